@@ -8,6 +8,25 @@ const agentsStatusCommand = require('../src/commands/agents-status');
 const agentsRunCommand = require('../src/commands/agents-run');
 const agentsNextCommand = require('../src/commands/agents-next');
 const agentsCompleteCommand = require('../src/commands/agents-complete');
+const agentsValidateCommand = require('../src/commands/agents-validate');
+const agentsClaimCommand = require('../src/commands/agents-claim');
+const agentsReleaseCommand = require('../src/commands/agents-release');
+const agentsUndoCommand = require('../src/commands/agents-undo');
+const agentsLogCommand = require('../src/commands/agents-log');
+const agentsResetCommand = require('../src/commands/agents-reset');
+const agentsStatsCommand = require('../src/commands/agents-stats');
+const reportGanttCommand = require('../src/commands/report-gantt');
+const reportCommand = require('../src/commands/report');
+const agentsSpawnCommand = require('../src/commands/agents-spawn');
+const agentsMergeCommand = require('../src/commands/agents-merge');
+const agentsExecCommand = require('../src/commands/agents-exec');
+const serveCommand = require('../src/commands/serve');
+const mcpCommand = require('../src/commands/mcp');
+const exportCommand = require('../src/commands/export');
+const importCommand = require('../src/commands/import');
+const planLintCommand = require('../src/commands/plan-lint');
+const planFormatCommand = require('../src/commands/plan-format');
+const planDiffCommand = require('../src/commands/plan-diff');
 
 const program = new Command();
 const packageJson = require('../package.json');
@@ -38,6 +57,8 @@ program
   .description('Generate workflow and step files from saved responses')
   .option('-o, --output <path>', 'Project directory', process.cwd())
   .option('-c, --complex', '📦 Enable complex project mode (modules, dependencies)')
+  .option('--no-merge', 'Regenerate tasks.json from scratch (resets task progress)')
+  .option('--fix', 'Drop invalid dependencies (cycles, missing steps)')
   .action(async (options) => {
     await buildCommand(options);
   });
@@ -71,9 +92,12 @@ program
 program
   .command('agents:next')
   .alias('next')
-  .description('➡️ Display the next available step (first ready task)')
+  .description('➡️ Display the next available step (chosen by the scheduling strategy)')
   .option('-o, --output <path>', 'Project directory', process.cwd())
   .option('-c, --copy', 'Copy prompt to clipboard')
+  .option('--strategy <name>', 'Scheduling strategy: critical, fifo, module, shortest (default: critical)')
+  .option('--claim', 'Claim the step so other agents skip it')
+  .option('--owner <name>', 'Claim owner (default: $PCB_OWNER or OS user)')
   .action(async (options) => {
     await agentsNextCommand(options);
   });
@@ -82,13 +106,274 @@ program
 program
   .command('agents:complete')
   .alias('done')
-  .description('✅ Mark a step as completed')
+  .description('✅ Mark a step as completed (after running its verify commands)')
   .option('-o, --output <path>', 'Project directory', process.cwd())
   .option('-s, --step <number>', 'Step number to complete')
+  .option('-f, --force', 'Complete even if verification fails')
+  .option('--no-verify', 'Skip verify commands')
+  .option('--commit', 'Commit all changes with a message built from the step title')
+  .option('--tag', 'Tag HEAD as step-N')
   .action(async (options) => {
     await agentsCompleteCommand(options);
   });
 
+// Agents claim command
+program
+  .command('agents:claim')
+  .alias('claim')
+  .description('🔨 Claim a step (or the next available one) for an owner')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Step number to claim (default: next available)')
+  .option('--owner <name>', 'Claim owner (default: $PCB_OWNER or OS user)')
+  .option('-f, --force', 'Take over an existing claim or ignore unmet dependencies')
+  .action(async (options) => {
+    await agentsClaimCommand(options);
+  });
+
+// Agents release command
+program
+  .command('agents:release')
+  .alias('release')
+  .description('🔓 Release a claimed step')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Step number to release')
+  .option('--owner <name>', 'Claim owner (default: $PCB_OWNER or OS user)')
+  .option('-f, --force', 'Release a step claimed by someone else')
+  .action(async (options) => {
+    await agentsReleaseCommand(options);
+  });
+
+// Agents reset command
+program
+  .command('agents:reset')
+  .alias('reset')
+  .description('⏪ Reset a step to pending (optionally with its dependents)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Step number to reset')
+  .option('--cascade', 'Also move started/completed dependent steps back to pending')
+  .option('--dry-run', 'Only preview the affected steps')
+  .option('-y, --yes', 'Apply without confirmation')
+  .action(async (options) => {
+    await agentsResetCommand(options);
+  });
+
+// Agents reopen command
+program
+  .command('agents:reopen')
+  .alias('reopen')
+  .description('🔁 Reopen a completed step (optionally resetting its dependents)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Step number to reopen')
+  .option('--cascade', 'Also move started/completed dependent steps back to pending')
+  .option('--dry-run', 'Only preview the affected steps')
+  .option('-y, --yes', 'Apply without confirmation')
+  .action(async (options) => {
+    await agentsResetCommand({ ...options, reopen: true });
+  });
+
+// Agents undo command
+program
+  .command('agents:undo')
+  .alias('undo')
+  .description('↩️ Revert the last task transitions (complete, reset, claim...)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-n, --count <number>', 'Number of transitions to revert', '1')
+  .option('-f, --force', 'Revert even if the task changed since')
+  .action(async (options) => {
+    await agentsUndoCommand(options);
+  });
+
+// Agents log command
+program
+  .command('agents:log')
+  .alias('log')
+  .description('📜 Show the history of task transitions')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Only show one step')
+  .option('-l, --limit <number>', 'Number of entries to show', '20')
+  .option('--json', 'Output raw events as JSON')
+  .action(async (options) => {
+    await agentsLogCommand(options);
+  });
+
+// Agents exec command
+program
+  .command('agents:exec')
+  .alias('exec')
+  .description('🤖 Pipe step prompts to a local agent CLI (headless)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Step to run (default: next available)')
+  .option('--cmd <template>', 'Agent command, prompt on stdin ({step}, {title}, {file}, {module}, {agent})')
+  .option('--loop', 'Keep running next tasks until none is ready or one fails')
+  .option('--strategy <name>', 'Scheduling strategy: critical, fifo, module, shortest')
+  .option('--timeout <minutes>', 'Kill the agent after this many minutes (default: 60)')
+  .option('--owner <name>', 'Claim owner (default: $PCB_OWNER or OS user)')
+  .option('--no-verify', 'Skip verify commands before completing')
+  .option('-q, --quiet', 'Do not echo agent output (still logged in .ai/runs/)')
+  .action(async (options) => {
+    await agentsExecCommand(options);
+  });
+
+// Agents spawn command
+program
+  .command('agents:spawn')
+  .alias('spawn')
+  .description('🌱 Create a git worktree and branch per ready task')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <numbers>', 'Steps to spawn, e.g. "3,4" (default: all ready tasks)')
+  .option('-m, --max <number>', 'Maximum number of worktrees')
+  .option('--parallel-only', 'Only steps flagged (parallel) in the plan')
+  .option('--strategy <name>', 'Order of ready tasks: critical, fifo, module, shortest')
+  .option('--owner <name>', 'Claim owner (default: $PCB_OWNER or OS user)')
+  .action(async (options) => {
+    await agentsSpawnCommand(options);
+  });
+
+// Agents merge command
+program
+  .command('agents:merge')
+  .alias('merge')
+  .description('🔀 Merge a task worktree back and complete the step')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-s, --step <number>', 'Step number to merge')
+  .option('--commit', 'Commit pending changes in the worktree first')
+  .option('--keep', 'Keep the worktree and branch after merging')
+  .option('-f, --force', 'Complete even if verification fails')
+  .option('--no-verify', 'Skip verify commands')
+  .option('--tag', 'Tag the merge as step-N')
+  .action(async (options) => {
+    await agentsMergeCommand(options);
+  });
+
+// Agents stats command
+program
+  .command('agents:stats')
+  .alias('stats')
+  .description('⏱️ Show estimate vs actual time, velocity and completion forecast')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-d, --days <number>', 'Throughput window in days', '14')
+  .option('--json', 'Output raw stats as JSON')
+  .action(async (options) => {
+    await agentsStatsCommand(options);
+  });
+
+// Report command
+program
+  .command('report')
+  .description('📰 Write a self-contained HTML status report (works offline)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('--html', 'HTML report (default format)')
+  .option('--file <path>', 'Output file (default: .ai/reports/report-<date>.html)')
+  .option('--recent <number>', 'Recent completions listed', '10')
+  .action(async (options) => {
+    await reportCommand(options);
+  });
+
+// Report gantt command
+program
+  .command('report:gantt')
+  .alias('gantt')
+  .description('📅 Show the schedule (gantt) and burndown from dependencies and estimates')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('--start <date>', 'Start date of the schedule (default: build date)')
+  .option('--mermaid', 'Print Mermaid gantt + burndown (xychart) instead of ASCII')
+  .option('--file <path>', 'Write the Mermaid output to this file')
+  .option('--json', 'Output raw schedule and burndown as JSON')
+  .action(async (options) => {
+    await reportGanttCommand(options);
+  });
+
+// Serve command
+program
+  .command('serve')
+  .description('🌐 Start a local HTTP API over tasks.json (with SSE events)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-p, --port <number>', 'Port (default: 4317)')
+  .option('--host <host>', 'Interface to bind (default: 127.0.0.1)')
+  .option('--token <token>', 'Require this bearer token (or $PCB_SERVER_TOKEN)')
+  .option('--cors <origin>', 'Allow cross-origin requests from this origin')
+  .action(async (options) => {
+    await serveCommand(options);
+  });
+
+// MCP command
+program
+  .command('mcp')
+  .description('🧩 MCP server on stdio: next task, step, complete, bug journal')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .action(async (options) => {
+    await mcpCommand(options);
+  });
+
+// Export command
+program
+  .command('export')
+  .description('📤 Export tasks to GitHub issues, Jira CSV, CSV, todo.txt or ICS')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-f, --format <format>', 'github-json, github-md, jira, csv, todotxt, ics or all', 'all')
+  .option('--file <path>', 'Write a single format to this file (default: stdout)')
+  .option('--start <date>', 'Start date for "Semaine N" milestone deadlines (default: build date)')
+  .action(async (options) => {
+    await exportCommand(options);
+  });
+
+// Import command
+program
+  .command('import <file>')
+  .description('📥 Build tasks.json from GitHub issues (JSON), a CSV file or a Markdown checklist')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('-f, --format <format>', 'github, csv or markdown (default: from the file)')
+  .option('-n, --name <name>', 'Project name')
+  .option('--complex', 'Complex mode (multi-module, agent rules)')
+  .option('--no-merge', 'Start over instead of merging with the existing tasks.json')
+  .option('--fix', 'Drop invalid dependencies')
+  .option('--dry-run', 'Show the imported steps without writing')
+  .action(async (file, options) => {
+    await importCommand(file, options);
+  });
+
+// Plan lint command
+program
+  .command('plan:lint [file]')
+  .description('🔎 Report plan problems with line numbers (default: the plan build reads)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('--json', 'Output diagnostics as JSON')
+  .action(async (file, options) => {
+    await planLintCommand(file, options);
+  });
+
+// Plan format command
+program
+  .command('plan:format [file]')
+  .description('🧹 Rewrite implementation-plan.md in the canonical format')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('--check', 'Only check, exit 1 if the plan is not canonical')
+  .option('--stdout', 'Print the canonical plan instead of writing it')
+  .action(async (file, options) => {
+    await planFormatCommand(file, options);
+  });
+
+// Plan diff command
+program
+  .command('plan:diff [old] [new]')
+  .description('🔀 Compare plan revisions step by step (default: last build → current plan)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('--json', 'Output the diff as JSON')
+  .action(async (oldFile, newFile, options) => {
+    await planDiffCommand(oldFile, newFile, options);
+  });
+
+// Agents validate command
+program
+  .command('agents:validate')
+  .alias('validate')
+  .description('🔗 Check task dependencies (cycles, missing steps)')
+  .option('-o, --output <path>', 'Project directory', process.cwd())
+  .option('--fix', 'Drop invalid dependencies and save tasks.json')
+  .action(async (options) => {
+    await agentsValidateCommand(options);
+  });
+
 // Parse arguments
 program.parse();
 
@@ -0,0 +1,26 @@
+#!/usr/bin/env node
+
+/**
+ * Stub agent for agents:exec - reads the step prompt on stdin and exits
+ *
+ *   prompt-cursor agents:exec --cmd "node examples/stub-agent.js" --loop
+ *
+ * STUB_FAIL_STEP=3 makes step 3 fail, STUB_DELAY_MS slows each run down
+ */
+
+let prompt = '';
+process.stdin.setEncoding('utf-8');
+process.stdin.on('data', chunk => { prompt += chunk; });
+process.stdin.on('end', () => {
+  const step = process.env.PCB_STEP;
+  const title = (prompt.match(/^# (.+)$/m) || [])[1] || 'untitled';
+
+  setTimeout(() => {
+    console.log(`[stub-agent] step ${step}: ${title} (${prompt.length} chars)`);
+
+    if (process.env.STUB_FAIL_STEP === step) {
+      console.error(`[stub-agent] failing step ${step} on purpose`);
+      process.exit(2);
+    }
+  }, parseInt(process.env.STUB_DELAY_MS || '0', 10));
+});
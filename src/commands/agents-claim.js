@@ -0,0 +1,51 @@
+/**
+ * agents:claim command - Take ownership of a step (parallel agents)
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Main claim command
+ */
+async function agentsClaim(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const owner = options.owner || Orchestrator.defaultOwner();
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    const stepNumber = options.step ? orchestrator.resolveStep(options.step) : null;
+
+    const task = stepNumber
+      ? orchestrator.claimTask(stepNumber, owner, { force: Boolean(options.force) })
+      : orchestrator.claimNextTask(owner);
+
+    if (!task) {
+      console.log();
+      console.log(chalk.yellow('⚠️  Aucune tâche disponible à prendre.'));
+      console.log(chalk.gray('   Vérifiez avec: prompt-cursor agents:status'));
+      console.log();
+      return;
+    }
+
+    console.log();
+    console.log(chalk.green.bold(`🔨 Step ${task.step} pris par ${owner}`));
+    console.log(chalk.white(`   ${task.title}`));
+    console.log(chalk.gray(`   Agent: ${task.agent} | Module: ${task.module}`));
+
+    const timeout = orchestrator.getClaimTimeoutMinutes();
+    if (timeout > 0) {
+      console.log(chalk.gray(`   Expire après ${timeout} min sans complétion`));
+    }
+    console.log();
+    console.log(chalk.yellow(`💡 Prompt: prompt-cursor agents:run --step ${task.step} --copy`));
+    console.log(chalk.gray(`   Libérer: prompt-cursor agents:release --step ${task.step}`));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsClaim;
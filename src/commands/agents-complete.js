@@ -24,14 +24,76 @@ function formatAgent(agent) {
   return `${icons[agent] || '🤖'} ${agent}`;
 }
 
+/**
+ * Run the verify commands of a step and print their results
+ * @returns {boolean} true if every command passed (or there is none)
+ */
+function runVerification(orchestrator, stepNumber) {
+  const commands = orchestrator.getVerifyCommands(stepNumber);
+
+  console.log();
+  if (commands.length === 0) {
+    console.log(chalk.gray('🔎 Vérification: aucune commande configurée'));
+    return true;
+  }
+
+  console.log(chalk.cyan.bold(`🔎 Vérification (${commands.length} commande(s))`));
+  const verification = orchestrator.verifyTask(stepNumber, {
+    onResult: (result) => {
+      if (result.skipped) {
+        console.log(chalk.gray(`  ○ ${result.command} (ignoré: ${result.skipped})`));
+      } else if (result.passed) {
+        console.log(chalk.green(`  ✓ ${result.command}`) + chalk.gray(` (${(result.durationMs / 1000).toFixed(1)}s)`));
+      } else {
+        console.log(chalk.red(`  ✗ ${result.command}`) + chalk.gray(` (code ${result.exitCode})`));
+        result.output.trim().split('\n').slice(-15).forEach(line => {
+          console.log(chalk.gray(`    │ ${line}`));
+        });
+      }
+    }
+  });
+  console.log();
+
+  return verification.passed;
+}
+
+/**
+ * Print what changed in git during the step
+ */
+function printGitSummary(task) {
+  const { git } = task;
+  const range = git.base && git.head && git.base !== git.head
+    ? `${git.base.substring(0, 7)}..${git.head.substring(0, 7)}`
+    : (git.head ? git.head.substring(0, 7) : 'aucun commit');
+
+  console.log(chalk.cyan('🌿 Git:') + chalk.white(` ${git.commits} commit(s) (${range})`
+    + (git.files ? `, ${git.files.length} fichier(s) modifié(s)` : '')));
+  if (!git.files) {
+    console.log(chalk.yellow('   ⚠️  Fichiers modifiés inconnus: aucun commit de départ (step complété sans agents:run ni claim)'));
+  }
+  if (git.committed) {
+    console.log(chalk.green(`   ✓ Commit ${git.committed.substring(0, 7)}: Step ${task.step}: ${task.title}`));
+  }
+  if (git.tag) {
+    console.log(chalk.green(`   ✓ Tag ${git.tag}`));
+  }
+  if (git.error) {
+    console.log(chalk.yellow(`   ⚠️  ${git.error}`));
+  }
+  if (git.untouched.length > 0) {
+    console.log(chalk.yellow(`   ⚠️  Fichiers prévus mais jamais modifiés (${git.untouched.length}):`));
+    git.untouched.slice(0, 10).forEach(file => console.log(chalk.yellow(`      - ${file}`)));
+  }
+  console.log();
+}
+
 /**
  * Main complete command
  */
 async function agentsComplete(options = {}) {
   const projectDir = options.output || process.cwd();
-  const stepNumber = parseInt(options.step, 10);
 
-  if (!stepNumber || isNaN(stepNumber)) {
+  if (!options.step) {
     console.error(chalk.red('\n❌ Erreur: --step <number> est requis'));
     console.log(chalk.gray('Exemple: prompt-cursor agents:complete --step 1\n'));
     process.exit(1);
@@ -40,6 +102,7 @@ async function agentsComplete(options = {}) {
   try {
     const orchestrator = new Orchestrator(projectDir);
     orchestrator.load();
+    const stepNumber = orchestrator.resolveStep(options.step);
 
     const task = orchestrator.getTask(stepNumber);
     if (!task) {
@@ -56,8 +119,28 @@ async function agentsComplete(options = {}) {
       return;
     }
 
+    // A parent completes with its sub-steps
+    orchestrator.assertNotParent(task);
+
+    // Verification gate
+    if (options.verify !== false) {
+      const passed = runVerification(orchestrator, stepNumber);
+      if (!passed) {
+        if (!options.force) {
+          console.log(chalk.red.bold(`❌ Step ${stepNumber} non complété: la vérification a échoué`));
+          console.log(chalk.gray('   Résultat enregistré dans tasks.json (verification)'));
+          console.log(chalk.gray(`   Forcer: prompt-cursor agents:complete --step ${stepNumber} --force`));
+          console.log();
+          process.exit(1);
+        }
+        task.verification.forced = true;
+        console.log(chalk.yellow('⚠️  Vérification en échec, complété quand même (--force)'));
+        console.log();
+      }
+    }
+
     // Mark as completed
-    orchestrator.markAsCompleted(stepNumber);
+    orchestrator.markAsCompleted(stepNumber, { commit: options.commit, tag: options.tag });
 
     // Get updated progress
     const progress = orchestrator.getProgress();
@@ -99,6 +182,10 @@ async function agentsComplete(options = {}) {
     console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
     console.log();
 
+    if (task.git) {
+      printGitSummary(task);
+    }
+
     const e2eFile = task.e2e?.file;
     const e2eCommand = task.e2e?.command;
     const e2eExists = e2eFile
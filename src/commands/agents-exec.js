@@ -0,0 +1,130 @@
+/**
+ * agents:exec command - Run steps headless through a local agent CLI
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const Orchestrator = require('../orchestrator');
+const AgentExecutor = require('../utils/agentExecutor');
+
+/**
+ * Run one step: claim, pipe the prompt, then verify and complete on success
+ * @returns {Promise<boolean>} true if the step was completed
+ */
+async function executeStep(orchestrator, executor, task, options) {
+  const owner = options.owner || Orchestrator.defaultOwner();
+  const stepNumber = task.step;
+
+  if (!orchestrator.isClaimed(task) || task.claimedBy !== owner) {
+    orchestrator.claimTask(stepNumber, owner);
+  }
+  orchestrator.markAsPrompted(stepNumber);
+
+  console.log();
+  console.log(chalk.blue.bold(`▶ Step ${stepNumber}: ${task.title}`));
+
+  const result = await executor.run(task, orchestrator.readStepContent(stepNumber), {
+    command: options.cmd,
+    timeoutMinutes: options.timeout ? parseFloat(options.timeout) : undefined,
+    onStdout: options.quiet ? null : chunk => process.stdout.write(chalk.gray(chunk.toString())),
+    onStderr: options.quiet ? null : chunk => process.stderr.write(chalk.gray(chunk.toString()))
+  });
+  const logs = path.relative(orchestrator.projectDir, result.runDir);
+
+  if (result.exitCode !== 0) {
+    const reason = result.timedOut
+      ? `timeout (${result.durationMs / 1000}s)`
+      : result.interrupted
+        ? `interrompu (${result.interrupted})`
+        : (result.error || `code ${result.exitCode}${result.signal ? `, ${result.signal}` : ''}`);
+    orchestrator.releaseTask(stepNumber, owner, { force: true });
+    console.log(chalk.red(`✗ Step ${stepNumber} en échec: ${reason}`));
+    console.log(chalk.gray(`  Logs: ${logs}/ │ statut: ${orchestrator.getTask(stepNumber).status}`));
+    return false;
+  }
+
+  console.log(chalk.green(`✓ Agent terminé (${(result.durationMs / 1000).toFixed(1)}s) │ logs: ${logs}/`));
+
+  if (options.verify !== false) {
+    const commands = orchestrator.getVerifyCommands(stepNumber);
+    if (commands.length > 0) {
+      const verification = orchestrator.verifyTask(stepNumber, {
+        onResult: (check) => {
+          const icon = check.skipped ? chalk.gray('○') : (check.passed ? chalk.green('✓') : chalk.red('✗'));
+          console.log(`  ${icon} ${check.command}`);
+        }
+      });
+      if (!verification.passed) {
+        orchestrator.releaseTask(stepNumber, owner, { force: true });
+        console.log(chalk.red(`✗ Step ${stepNumber}: vérification en échec (résultat dans tasks.json)`));
+        return false;
+      }
+    }
+  }
+
+  orchestrator.markAsCompleted(stepNumber);
+  console.log(chalk.green.bold(`✅ Step ${stepNumber} complété`));
+  return true;
+}
+
+/**
+ * Main exec command
+ */
+async function agentsExec(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const owner = options.owner || Orchestrator.defaultOwner();
+  const strategy = options.strategy;
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    const executor = new AgentExecutor(projectDir, orchestrator.loadConfig().exec);
+
+    if (!options.cmd && !executor.config.command) {
+      console.error(chalk.red('\n❌ Erreur: aucune commande d\'agent configurée'));
+      console.log(chalk.gray('Exemple: prompt-cursor agents:exec --cmd "my-agent --print"'));
+      console.log(chalk.gray('   ou { "exec": { "command": "my-agent --print" } } dans .ai/config.json\n'));
+      process.exit(1);
+    }
+
+    let completed = 0;
+    let task;
+
+    if (options.step) {
+      task = orchestrator.getTask(orchestrator.resolveStep(options.step));
+      if (!task) {
+        console.error(chalk.red(`\n❌ Step ${options.step} non trouvé`));
+        process.exit(1);
+      }
+    } else {
+      task = orchestrator.claimNextTask(owner, strategy);
+    }
+
+    while (task) {
+      const ok = await executeStep(orchestrator, executor, task, options);
+      if (!ok) {
+        console.log();
+        process.exit(1);
+      }
+      completed++;
+
+      if (!options.loop) break;
+      task = orchestrator.claimNextTask(owner, strategy);
+    }
+
+    const progress = orchestrator.getProgress();
+    console.log();
+    if (completed === 0) {
+      console.log(chalk.yellow('⚠️  Aucune tâche disponible pour le moment.'));
+    } else {
+      console.log(chalk.cyan(`📊 ${completed} step(s) exécuté(s) │ Progression: ${progress.completed}/${progress.total} (${progress.percentage}%)`));
+    }
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsExec;
@@ -0,0 +1,83 @@
+/**
+ * agents:log command - Show the history of task transitions
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Color an action name
+ */
+function formatAction(action) {
+  const colors = {
+    complete: chalk.green,
+    prompt: chalk.yellow,
+    claim: chalk.magenta,
+    release: chalk.cyan,
+    expire: chalk.gray,
+    reset: chalk.red,
+    reopen: chalk.red,
+    undo: chalk.blue
+  };
+  return (colors[action] || chalk.white)(action.padEnd(8));
+}
+
+/**
+ * Format an ISO date as "YYYY-MM-DD HH:MM"
+ */
+function formatDate(isoDate) {
+  return isoDate.replace('T', ' ').substring(0, 16);
+}
+
+/**
+ * Main log command
+ */
+async function agentsLog(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const limit = options.limit ? parseInt(options.limit, 10) : 20;
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    const step = options.step ? orchestrator.resolveStep(options.step) : undefined;
+
+    const events = orchestrator.getHistory({ step }).slice(-limit);
+
+    if (options.json) {
+      console.log(JSON.stringify(events, null, 2));
+      return;
+    }
+
+    console.log();
+    console.log(chalk.blue.bold(`📜 Historique des tâches${step ? ` (Step ${step})` : ''}`));
+    console.log();
+
+    if (events.length === 0) {
+      console.log(chalk.gray('  Aucune transition enregistrée.'));
+      console.log();
+      return;
+    }
+
+    events.forEach(event => {
+      const prefix = `  ${formatDate(event.at)}  Step ${String(event.step).padStart(2)}  `;
+      const transition = `  ${event.from.status || '?'} → ${event.to.status || '?'}`;
+      const actor = chalk.gray(`  (${event.actor})`);
+
+      if (event.undone) {
+        console.log(chalk.gray.strikethrough(prefix + event.action.padEnd(8) + transition) + actor + chalk.gray(' annulé'));
+      } else {
+        console.log(prefix + formatAction(event.action) + transition + actor);
+      }
+    });
+
+    console.log();
+    console.log(chalk.gray('💡 Annuler la dernière: prompt-cursor agents:undo'));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsLog;
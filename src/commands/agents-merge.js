@@ -0,0 +1,66 @@
+/**
+ * agents:merge command - Merge a task worktree back and complete the step
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const agentsComplete = require('./agents-complete');
+
+/**
+ * Main merge command
+ */
+async function agentsMerge(options = {}) {
+  const projectDir = options.output || process.cwd();
+
+  if (!options.step) {
+    console.error(chalk.red('\n❌ Erreur: --step <number> est requis'));
+    console.log(chalk.gray('Exemple: prompt-cursor agents:merge --step 3\n'));
+    process.exit(1);
+  }
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    const stepNumber = orchestrator.resolveStep(options.step);
+
+    const task = orchestrator.getTask(stepNumber);
+    const branch = task?.worktree?.branch;
+    const result = orchestrator.mergeWorktree(stepNumber, {
+      commit: Boolean(options.commit),
+      keep: Boolean(options.keep)
+    });
+
+    console.log();
+    if (result.committed) {
+      console.log(chalk.green(`✓ Changements du worktree commités (${result.committed.substring(0, 7)})`));
+    }
+
+    if (!result.ok) {
+      console.log(chalk.red.bold(`❌ Merge de ${branch} impossible, annulé`));
+      result.conflicts.forEach(file => console.log(chalk.red(`   ✗ ${file}`)));
+      if (result.conflicts.length === 0) {
+        console.log(chalk.gray(result.output.split('\n').map(line => `   ${line}`).join('\n')));
+      }
+      console.log(chalk.gray(`   Résoudre dans le worktree (git merge dans ${branch}) puis relancer agents:merge`));
+      console.log();
+      process.exit(1);
+    }
+
+    console.log(chalk.green(`✓ ${branch} mergé${options.keep ? '' : ', worktree supprimé'}`));
+
+    // Complete the step (verification gate included)
+    await agentsComplete({
+      output: projectDir,
+      step: String(stepNumber),
+      force: options.force,
+      verify: options.verify,
+      tag: options.tag
+    });
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsMerge;
@@ -16,7 +16,13 @@ async function agentsNext(options = {}) {
     const orchestrator = new Orchestrator(projectDir);
     orchestrator.load();
 
-    const nextTask = orchestrator.getNextTask();
+    const strategy = options.strategy || orchestrator.getDefaultStrategy();
+    const ranked = orchestrator.rankReadyTasks(strategy);
+
+    // --claim takes the task atomically so parallel agents don't get the same step
+    const nextTask = options.claim
+      ? orchestrator.claimNextTask(options.owner || Orchestrator.defaultOwner(), strategy)
+      : (ranked[0] ? ranked[0].task : null);
 
     if (!nextTask) {
       const progress = orchestrator.getProgress();
@@ -35,6 +41,22 @@ async function agentsNext(options = {}) {
       return;
     }
 
+    // Explain the choice
+    const choice = ranked.find(r => r.task.step === nextTask.step);
+    console.log();
+    console.log(chalk.cyan(`🧭 Step ${nextTask.step} choisi (stratégie: ${strategy})`));
+    (choice ? choice.reasons : []).forEach(reason => {
+      console.log(chalk.gray(`   • ${reason}`));
+    });
+    const others = ranked.filter(r => r.task.step !== nextTask.step).map(r => r.task.step);
+    if (others.length > 0) {
+      console.log(chalk.gray(`   Autres steps prêts: ${others.join(', ')}`));
+    }
+
+    if (options.claim) {
+      console.log(chalk.magenta(`🔨 Step ${nextTask.step} pris par ${nextTask.claimedBy}`));
+    }
+
     // Delegate to agents:run with the next step
     await agentsRun({
       ...options,
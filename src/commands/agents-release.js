@@ -0,0 +1,39 @@
+/**
+ * agents:release command - Give back a claimed step
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Main release command
+ */
+async function agentsRelease(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const owner = options.owner || Orchestrator.defaultOwner();
+
+  if (!options.step) {
+    console.error(chalk.red('\n❌ Erreur: --step <number> est requis'));
+    console.log(chalk.gray('Exemple: prompt-cursor agents:release --step 1\n'));
+    process.exit(1);
+  }
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    const stepNumber = orchestrator.resolveStep(options.step);
+
+    const task = orchestrator.releaseTask(stepNumber, owner, { force: Boolean(options.force) });
+
+    console.log();
+    console.log(chalk.green(`🔓 Step ${task.step} libéré`));
+    console.log(chalk.gray(`   ${task.title} → ${task.status}`));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsRelease;
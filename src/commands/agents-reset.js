@@ -0,0 +1,129 @@
+/**
+ * agents:reset / agents:reopen commands - Send a step back to work,
+ * optionally with every step built on top of it
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+
+// Dynamic import for inquirer (ESM module in version 9+)
+let inquirer;
+async function getInquirer() {
+  if (!inquirer) {
+    inquirer = await import('inquirer');
+  }
+  return inquirer.default;
+}
+
+/**
+ * Ask for confirmation before applying (skipped with --yes)
+ */
+async function confirmReset(options) {
+  if (options.yes) return true;
+  if (!process.stdin.isTTY) {
+    console.log(chalk.yellow('⚠️  Terminal non interactif: relancer avec --yes pour appliquer.'));
+    return false;
+  }
+
+  const prompt = await getInquirer();
+  const { confirmed } = await prompt.prompt([
+    {
+      type: 'confirm',
+      name: 'confirmed',
+      message: 'Appliquer ces changements ?',
+      default: false
+    }
+  ]);
+  return confirmed;
+}
+
+/**
+ * Main reset command (options.reopen for agents:reopen)
+ */
+async function agentsReset(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const commandName = options.reopen ? 'agents:reopen' : 'agents:reset';
+
+  if (!options.step) {
+    console.error(chalk.red('\n❌ Erreur: --step <number> est requis'));
+    console.log(chalk.gray(`Exemple: prompt-cursor ${commandName} --step 1 --cascade\n`));
+    process.exit(1);
+  }
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    const stepNumber = orchestrator.resolveStep(options.step);
+
+    const task = orchestrator.getTask(stepNumber);
+    if (!task) {
+      console.error(chalk.red(`\n❌ Step ${stepNumber} non trouvé`));
+      process.exit(1);
+    }
+    if (options.reopen && task.status !== 'completed') {
+      console.error(chalk.red(`\n❌ Step ${stepNumber} n'est pas complété (${task.status})`));
+      console.log(chalk.gray(`   Utiliser: prompt-cursor agents:reset --step ${stepNumber}\n`));
+      process.exit(1);
+    }
+
+    const affected = orchestrator.getResetCascade(stepNumber);
+    const targetStatus = options.reopen ? 'prompted' : (task.dependsOn.length === 0 ? 'ready' : 'pending');
+
+    // Preview
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  ${options.reopen ? '🔁 Réouverture' : '⏪ Réinitialisation'} du Step ${stepNumber}`.padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.white(`  ${task.title}`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.cyan(`  ${task.status} → ${targetStatus}`.padEnd(61)) + chalk.blue.bold('│'));
+
+    if (affected.length > 0) {
+      console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+      const header = options.cascade
+        ? `  🔗 Steps dépendants remis en pending (${affected.length}):`
+        : `  ⚠️  Steps dépendants déjà commencés (${affected.length}):`;
+      console.log(chalk.blue.bold('│') + chalk.yellow(header.padEnd(61)) + chalk.blue.bold('│'));
+
+      affected.forEach(dependent => {
+        const line = `     Step ${String(dependent.step).padStart(2)} │ ${dependent.status.padEnd(11)} │ ${dependent.title.substring(0, 28)}`;
+        console.log(chalk.blue.bold('│') + chalk.white(line.padEnd(61)) + chalk.blue.bold('│'));
+      });
+
+      if (!options.cascade) {
+        console.log(chalk.blue.bold('│') + chalk.gray('  💡 Les inclure: --cascade'.padEnd(61)) + chalk.blue.bold('│'));
+      }
+    }
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log();
+
+    if (options.dryRun) {
+      console.log(chalk.gray('Aperçu uniquement (--dry-run), rien n\'a été modifié.'));
+      console.log();
+      return;
+    }
+
+    if (!(await confirmReset(options))) {
+      console.log(chalk.gray('Annulé.'));
+      console.log();
+      return;
+    }
+
+    const { dependents } = orchestrator.resetTask(stepNumber, {
+      cascade: Boolean(options.cascade),
+      reopen: Boolean(options.reopen)
+    });
+
+    console.log();
+    console.log(chalk.green(`✓ Step ${stepNumber} → ${task.status}`));
+    if (dependents.length > 0) {
+      console.log(chalk.green(`✓ ${dependents.length} step(s) dépendant(s) → pending: ${dependents.map(d => d.step).join(', ')}`));
+    }
+    console.log(chalk.gray('   Annuler: prompt-cursor agents:undo' + (dependents.length > 0 ? ' (dépendants compris)' : '')));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsReset;
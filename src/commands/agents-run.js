@@ -6,6 +6,7 @@ const chalk = require('chalk');
 const fs = require('fs');
 const path = require('path');
 const Orchestrator = require('../orchestrator');
+const TaskTree = require('../utils/taskTree');
 
 /**
  * Copy to clipboard (cross-platform)
@@ -60,9 +61,8 @@ function formatAgent(agent) {
  */
 async function agentsRun(options = {}) {
   const projectDir = options.output || process.cwd();
-  const stepNumber = parseInt(options.step, 10);
 
-  if (!stepNumber || isNaN(stepNumber)) {
+  if (!options.step) {
     console.error(chalk.red('\n❌ Erreur: --step <number> est requis'));
     console.log(chalk.gray('Exemple: prompt-cursor agents:run --step 1\n'));
     process.exit(1);
@@ -71,6 +71,7 @@ async function agentsRun(options = {}) {
   try {
     const orchestrator = new Orchestrator(projectDir);
     orchestrator.load();
+    const stepNumber = orchestrator.resolveStep(options.step);
 
     const task = orchestrator.getTask(stepNumber);
     if (!task) {
@@ -100,6 +101,14 @@ async function agentsRun(options = {}) {
       console.log(chalk.blue.bold('│') + chalk.cyan(`  Dépend: Step ${depsStr}`.padEnd(61)) + chalk.blue.bold('│'));
     }
 
+    if (TaskTree.isParent(task)) {
+      console.log(chalk.blue.bold('│') + chalk.cyan(`  Sous-étapes: Step ${task.children.join(', ')}`.padEnd(61)) + chalk.blue.bold('│'));
+    }
+
+    if (orchestrator.isClaimed(task)) {
+      console.log(chalk.blue.bold('│') + chalk.magenta(`  Pris:   ${task.claimedBy} (${task.claimedAt})`.padEnd(61)) + chalk.blue.bold('│'));
+    }
+
     // Warning if dependencies not met
     if (unmetDeps.length > 0) {
       console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
@@ -116,11 +125,17 @@ async function agentsRun(options = {}) {
         console.log(chalk.green('✅ Prompt copié dans le clipboard !'));
         console.log();
         console.log(chalk.gray('Collez ce prompt dans votre IDE (Cursor, Claude Code, Windsurf...)'));
-        console.log(chalk.gray(`Puis exécutez: ${chalk.cyan(`prompt-cursor agents:complete --step ${stepNumber}`)}`));
-        console.log();
-
-        // Mark as prompted
-        orchestrator.markAsPrompted(stepNumber);
+        if (TaskTree.isParent(task)) {
+          // Completed with its sub-steps, never prompted itself
+          console.log(chalk.gray(`Step ${stepNumber} sera complété avec ses sous-étapes (Step ${task.children.join(', ')})`));
+          console.log();
+        } else {
+          console.log(chalk.gray(`Puis exécutez: ${chalk.cyan(`prompt-cursor agents:complete --step ${stepNumber}`)}`));
+          console.log();
+
+          // Mark as prompted
+          orchestrator.markAsPrompted(stepNumber);
+        }
       } catch (error) {
         console.log(chalk.yellow('⚠️  Impossible de copier dans le clipboard'));
         console.log(chalk.gray('Copiez manuellement le contenu ci-dessous:'));
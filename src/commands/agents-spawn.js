@@ -0,0 +1,86 @@
+/**
+ * agents:spawn command - One git worktree and branch per ready task
+ */
+
+const chalk = require('chalk');
+const path = require('path');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Parse a step list ("3,4 5" → [3, 4, 5])
+ */
+function parseSteps(value) {
+  return String(value)
+    .split(/[\s,]+/)
+    .map(v => parseInt(v, 10))
+    .filter(v => !isNaN(v));
+}
+
+/**
+ * Main spawn command
+ */
+async function agentsSpawn(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const owner = options.owner || Orchestrator.defaultOwner();
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+
+    let steps;
+    if (options.step) {
+      steps = parseSteps(options.step);
+    } else {
+      steps = orchestrator.rankReadyTasks(options.strategy || orchestrator.getDefaultStrategy())
+        .map(r => r.task)
+        .filter(task => !options.parallelOnly || task.parallel)
+        .map(task => task.step);
+    }
+    if (options.max) {
+      steps = steps.slice(0, parseInt(options.max, 10));
+    }
+
+    console.log();
+    if (steps.length === 0) {
+      console.log(chalk.yellow('⚠️  Aucune tâche prête à lancer en parallèle.'));
+      const active = orchestrator.getWorktreeTasks();
+      if (active.length > 0) {
+        console.log(chalk.gray('   Worktrees actifs:'));
+        active.forEach(task => console.log(chalk.gray(`   Step ${task.step} → ${task.worktree.path}`)));
+      }
+      console.log();
+      return;
+    }
+
+    console.log(chalk.blue.bold(`🌱 Création de ${steps.length} worktree(s)`));
+    console.log();
+
+    let failed = 0;
+    for (const step of steps) {
+      try {
+        const worktree = orchestrator.spawnWorktree(step, { owner });
+        const task = orchestrator.getTask(step);
+        console.log(chalk.green(`  ✓ Step ${step}: ${task.title}`));
+        console.log(chalk.gray(`    Branche:  ${worktree.branch}`));
+        console.log(chalk.gray(`    Dossier:  ${worktree.path}`));
+        console.log(chalk.gray(`    Prompt:   ${path.join(worktree.path, worktree.prompt)}`));
+      } catch (error) {
+        failed++;
+        console.log(chalk.red(`  ✗ Step ${step}: ${error.message}`));
+      }
+    }
+
+    console.log();
+    console.log(chalk.gray('💡 Lancer un agent dans chaque dossier, puis:'));
+    console.log(chalk.gray('   prompt-cursor agents:merge --step <N>'));
+    console.log();
+
+    if (failed > 0) process.exit(1);
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsSpawn;
@@ -0,0 +1,111 @@
+/**
+ * agents:stats command - Estimate vs actual, velocity and completion forecast
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Format hours ("45 min", "3.5h")
+ */
+function formatHours(hours) {
+  if (hours === null || hours === undefined) return '-';
+  if (hours < 1) return `${Math.round(hours * 60)} min`;
+  return `${Math.round(hours * 10) / 10}h`;
+}
+
+/**
+ * Format an estimate accuracy ratio (actual / estimated)
+ */
+function formatRatio(ratio) {
+  if (ratio === null) return chalk.gray('-'.padEnd(6));
+  const text = `x${ratio.toFixed(2)}`.padEnd(6);
+  if (ratio > 1.25) return chalk.red(text);
+  if (ratio < 0.8) return chalk.cyan(text);
+  return chalk.green(text);
+}
+
+/**
+ * Print an estimate-vs-actual table
+ */
+function printComparison(title, groups) {
+  console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+  console.log(chalk.blue.bold('│') + chalk.white.bold(`  ${title}`.padEnd(61)) + chalk.blue.bold('│'));
+  console.log(chalk.blue.bold('│') + chalk.gray('  Groupe       Faits   Estimé    Réel      Ratio'.padEnd(61)) + chalk.blue.bold('│'));
+
+  Object.entries(groups).forEach(([name, group]) => {
+    const estimated = group.measured > 0 ? formatHours(group.estimated) : '-';
+    const actual = group.measured > 0 ? formatHours(group.actual) : '-';
+    const left = `  ${name.substring(0, 12).padEnd(12)} ${`${group.completed}/${group.total}`.padEnd(7)} ${estimated.padEnd(9)} ${actual.padEnd(9)} `;
+    console.log(chalk.blue.bold('│') + chalk.white(left) + formatRatio(group.ratio) + ' '.repeat(Math.max(0, 61 - left.length - 6)) + chalk.blue.bold('│'));
+  });
+}
+
+/**
+ * Main stats command
+ */
+async function agentsStats(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const days = options.days ? parseInt(options.days, 10) : 14;
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+
+    const stats = orchestrator.getStats({ days });
+
+    if (options.json) {
+      console.log(JSON.stringify(stats, null, 2));
+      return;
+    }
+
+    const { throughput, forecast } = stats;
+
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  ⏱️  Statistiques - ${orchestrator.metadata.project || 'Projet'}`.padEnd(61)) + chalk.blue.bold('│'));
+
+    printComparison('📦 Estimé vs réel par module', stats.byModule);
+    printComparison('🤖 Estimé vs réel par agent', stats.byAgent);
+
+    // Throughput
+    console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  📈 Débit (${days} derniers jours): ${throughput.perDay} step(s)/jour`.padEnd(61)) + chalk.blue.bold('│'));
+    throughput.days.slice(-7).forEach(({ date, count }) => {
+      const line = `  ${date}  ${'█'.repeat(Math.min(count, 40))}${count > 0 ? ` ${count}` : '·'}`;
+      console.log(chalk.blue.bold('│') + chalk.green(line.padEnd(61)) + chalk.blue.bold('│'));
+    });
+
+    // Forecast
+    console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold('  🔮 Prévision'.padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.white(`  Steps restants: ${forecast.remaining}`.padEnd(61)) + chalk.blue.bold('│'));
+
+    if (forecast.remaining > 0) {
+      const chain = forecast.critical.steps.join(' → ');
+      console.log(chalk.blue.bold('│') + chalk.white(`  Chemin critique: ${formatHours(forecast.critical.hours)} (${chain})`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+      console.log(chalk.blue.bold('│') + chalk.gray(`  Estimations corrigées x${forecast.ratio} │ ${stats.hoursPerDay}h de travail/jour`.padEnd(61)) + chalk.blue.bold('│'));
+      if (forecast.unestimated > 0) {
+        console.log(chalk.blue.bold('│') + chalk.yellow(`  ⚠️  ${forecast.unestimated} step(s) sans estimation, hors chemin critique`.padEnd(61)) + chalk.blue.bold('│'));
+      }
+      console.log(chalk.blue.bold('│') + chalk.gray(`  Selon le débit: ${forecast.throughputDays ?? '-'} j │ selon le graphe: ${forecast.criticalDays ?? '-'} j`.padEnd(61)) + chalk.blue.bold('│'));
+
+      if (forecast.date) {
+        console.log(chalk.blue.bold('│') + chalk.yellow.bold(`  📅 Fin estimée: ${forecast.date.substring(0, 10)} (~${forecast.days} jours)`.padEnd(61)) + chalk.blue.bold('│'));
+      } else {
+        console.log(chalk.blue.bold('│') + chalk.gray('  📅 Pas assez de données pour une prévision'.padEnd(61)) + chalk.blue.bold('│'));
+      }
+    } else {
+      console.log(chalk.blue.bold('│') + chalk.green.bold('  🎉 Toutes les tâches sont terminées !'.padEnd(61)) + chalk.blue.bold('│'));
+    }
+
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsStats;
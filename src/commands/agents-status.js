@@ -4,6 +4,7 @@
 
 const chalk = require('chalk');
 const Orchestrator = require('../orchestrator');
+const TaskTree = require('../utils/taskTree');
 
 /**
  * Generate progress bar
@@ -26,6 +27,8 @@ function formatStatus(status) {
       return chalk.cyan('🔄 ready');
     case 'prompted':
       return chalk.yellow('📋 prompted');
+    case 'in-progress':
+      return chalk.magenta('🔨 in-progress');
     case 'pending':
       return chalk.gray('⏳ pending');
     default:
@@ -50,6 +53,15 @@ function formatAgent(agent) {
   return `${icons[agent] || '🤖'} ${agent}`;
 }
 
+/**
+ * Format elapsed time since an ISO date (e.g. "2h05")
+ */
+function formatSince(isoDate) {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(isoDate).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)}h${String(minutes % 60).padStart(2, '0')}`;
+}
+
 /**
  * Main status command
  */
@@ -77,8 +89,24 @@ async function agentsStatus(options = {}) {
     if (progress.prompted > 0) {
       console.log(chalk.blue.bold('│') + chalk.yellow(`  📋 Prompted:  ${progress.prompted}  (en attente de complétion)`.padEnd(61)) + chalk.blue.bold('│'));
     }
+    if (progress.inProgress > 0) {
+      console.log(chalk.blue.bold('│') + chalk.magenta(`  🔨 In progress: ${progress.inProgress}  (pris par un agent)`.padEnd(61)) + chalk.blue.bold('│'));
+    }
     console.log(chalk.blue.bold('│') + chalk.gray(`  ⏳ Pending:   ${progress.pending} (attendent des dépendances)`.padEnd(61)) + chalk.blue.bold('│'));
 
+    // Claimed tasks (who holds what)
+    const claimed = orchestrator.getClaimedTasks();
+    if (claimed.length > 0) {
+      console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+      console.log(chalk.blue.bold('│') + chalk.white.bold('  🔨 Tâches prises:'.padEnd(61)) + chalk.blue.bold('│'));
+
+      claimed.forEach(task => {
+        const since = formatSince(task.claimedAt);
+        const line = `  Step ${TaskTree.label(task).padStart(2)} │ ${task.claimedBy.substring(0, 12).padEnd(12)} │ ${since.padEnd(8)} │ ${task.title.substring(0, 22)}`;
+        console.log(chalk.blue.bold('│') + chalk.magenta(line.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+      });
+    }
+
     // Ready tasks
     if (progress.readyTasks.length > 0) {
       console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
@@ -88,8 +116,8 @@ async function agentsStatus(options = {}) {
       const tasksToShow = options.all ? progress.readyTasks : progress.readyTasks.slice(0, 5);
       
       tasksToShow.forEach(task => {
-        const line = `  Step ${String(task.step).padStart(2)} │ ${task.agent.padEnd(10)} │ ${task.title.substring(0, 35)}`;
-        console.log(chalk.blue.bold('│') + chalk.white(line.padEnd(61)) + chalk.blue.bold('│'));
+        const line = `  Step ${TaskTree.label(task).padStart(2)} │ ${task.agent.padEnd(10)} │ ${task.title.substring(0, 35)}`;
+        console.log(chalk.blue.bold('│') + chalk.white(line.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
       });
 
       if (!options.all && progress.readyTasks.length > 5) {
@@ -97,6 +125,23 @@ async function agentsStatus(options = {}) {
       }
     }
 
+    // Sub-steps under their parent (a parent completes with its sub-steps)
+    const tree = TaskTree.flatten(orchestrator.tasks).filter(row => row.depth > 0 || TaskTree.isParent(row.task));
+    if (tree.length > 0) {
+      console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+      console.log(chalk.blue.bold('│') + chalk.white.bold('  🌳 Sous-étapes:'.padEnd(61)) + chalk.blue.bold('│'));
+
+      tree.forEach(row => {
+        const { task } = row;
+        const count = TaskTree.isParent(task)
+          ? ` (${task.children.filter(step => orchestrator.getTask(step)?.status === 'completed').length}/${task.children.length})`
+          : '';
+        const line = `  ${TaskTree.prefix(row)}${orchestrator.getStatusIcon(task.status)} Step ${TaskTree.label(task)}${count} │ ${task.title}`;
+        const color = task.status === 'completed' ? chalk.green : chalk.white;
+        console.log(chalk.blue.bold('│') + color(line.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+      });
+    }
+
     // Progress by module (if --modules flag)
     if (options.modules) {
       console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
@@ -121,6 +166,14 @@ async function agentsStatus(options = {}) {
       });
     }
 
+    // Dependency problems (tasks stuck in pending)
+    const validation = orchestrator.dependencyValidation;
+    if (validation && !validation.valid) {
+      console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+      console.log(chalk.blue.bold('│') + chalk.red(`  ⚠️  ${validation.errorCount} problème(s) de dépendances`.padEnd(61)) + chalk.blue.bold('│'));
+      console.log(chalk.blue.bold('│') + chalk.gray('     prompt-cursor agents:validate --fix'.padEnd(61)) + chalk.blue.bold('│'));
+    }
+
     // Footer with hint
     console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
     console.log(chalk.blue.bold('│') + chalk.yellow('  💡 Utiliser: prompt-cursor agents:next --copy'.padEnd(61)) + chalk.blue.bold('│'));
@@ -0,0 +1,65 @@
+/**
+ * agents:undo command - Revert the last task transitions
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Describe a transition (status before → after)
+ */
+function formatTransition(event) {
+  return `${event.from.status || '?'} → ${event.to.status || '?'}`;
+}
+
+/**
+ * Main undo command
+ */
+async function agentsUndo(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const count = options.count ? parseInt(options.count, 10) : 1;
+
+  if (!count || isNaN(count) || count < 1) {
+    console.error(chalk.red('\n❌ Erreur: --count doit être un nombre positif'));
+    console.log(chalk.gray('Exemple: prompt-cursor agents:undo --count 2\n'));
+    process.exit(1);
+  }
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+
+    const { reverted, conflict } = orchestrator.undo(count, { force: Boolean(options.force) });
+
+    console.log();
+    if (reverted.length === 0 && !conflict) {
+      console.log(chalk.yellow('⚠️  Aucune transition à annuler.'));
+      console.log(chalk.gray('   Historique: prompt-cursor agents:log'));
+      console.log();
+      return;
+    }
+
+    if (reverted.length > 0) {
+      console.log(chalk.green.bold(`↩️  ${reverted.length} transition(s) annulée(s):`));
+      reverted.forEach(({ event, task }) => {
+        console.log(chalk.white(`  Step ${String(event.step).padStart(2)} │ ${event.action.padEnd(8)} │ ${formatTransition(event)}`) +
+          chalk.gray(`  → maintenant ${task.status}`));
+      });
+      console.log();
+    }
+
+    if (conflict) {
+      console.log(chalk.yellow(`⚠️  Arrêt: ${conflict.reason}`));
+      console.log(chalk.gray(`   Transition: ${conflict.event.action} du ${conflict.event.at}`));
+      console.log(chalk.gray('   Forcer: prompt-cursor agents:undo --force'));
+      console.log();
+      if (reverted.length === 0) process.exit(1);
+    }
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsUndo;
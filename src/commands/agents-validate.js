@@ -0,0 +1,58 @@
+/**
+ * agents:validate command - Check task dependencies in tasks.json
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const DependencyGraph = require('../utils/dependencyGraph');
+
+/**
+ * Main validate command
+ */
+async function agentsValidate(options = {}) {
+  const projectDir = options.output || process.cwd();
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+
+    const validation = orchestrator.validateDependencies({ fix: Boolean(options.fix) });
+    const { errors, warnings } = DependencyGraph.formatValidation(validation);
+
+    console.log();
+    console.log(chalk.blue.bold(`🔗 Validation des dépendances (${orchestrator.tasks.length} steps)`));
+    console.log();
+
+    if (errors.length === 0 && warnings.length === 0) {
+      console.log(chalk.green('✅ Aucun problème détecté'));
+      console.log();
+      return;
+    }
+
+    errors.forEach(line => console.log(chalk.red(`  ✗ ${line}`)));
+    warnings.forEach(line => console.log(chalk.yellow(`  ⚠ ${line}`)));
+    console.log();
+
+    if (validation.removed.length > 0) {
+      console.log(chalk.green.bold('🔧 Dépendances supprimées:'));
+      validation.removed.forEach(edge => {
+        console.log(chalk.green(`  ✓ Step ${edge.step} → Step ${edge.dep} (${edge.reason})`));
+      });
+      console.log();
+      return;
+    }
+
+    if (errors.length > 0) {
+      console.log(chalk.yellow('💡 Ces tâches resteront bloquées en pending.'));
+      console.log(chalk.gray('   Corriger: prompt-cursor agents:validate --fix'));
+      console.log();
+      process.exit(1);
+    }
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = agentsValidate;
@@ -5,14 +5,18 @@ const fsSync = require('fs');
 const CodeRunGenerator = require('../utils/codeRunGenerator');
 const WorkflowGenerator = require('../utils/workflowGenerator');
 const PlanParser = require('../utils/planParser');
-const { ensureDirectoryStructure, getFilePath, getDirs, detectProvider, DEFAULT_PROVIDER } = require('../utils/directoryManager');
+const DependencyGraph = require('../utils/dependencyGraph');
+const { ensureDirectoryStructure, getFilePath, getDirs, findDocFile, detectProvider, DEFAULT_PROVIDER } = require('../utils/directoryManager');
 const { getProvider, getRulesPath, getRulesDir, getPromptDirectory } = require('../utils/aiProviders');
 const MilestoneManager = require('../utils/milestoneManager');
 const ModuleManager = require('../utils/moduleManager');
 const SpecContext = require('../utils/specContext');
+const StructuredPlan = require('../utils/structuredPlan');
+const PlanDiff = require('../utils/planDiff');
 const { generateAgentsArtifacts } = require('../utils/agentsGenerator');
+const Orchestrator = require('../orchestrator');
 
-async function generateCursorMdcRules(outputDir) {
+async function generateCursorMdcRules(outputDir, log = console.log) {
   const cursorDir = path.join(outputDir, '.cursor', 'rules');
   await fs.mkdir(cursorDir, { recursive: true });
 
@@ -78,243 +82,352 @@ async function generateCursorMdcRules(outputDir) {
   }
 
   if (generalWritten) {
-    console.log(chalk.green('✓ Generated Cursor MDC rules (.cursor/rules/)'));
+    log(chalk.green('✓ Generated Cursor MDC rules (.cursor/rules/)'));
   } else {
-    console.log(chalk.gray('ℹ No MDC rules generated (sources missing)'));
+    log(chalk.gray('ℹ No MDC rules generated (sources missing)'));
   }
 }
 
 /**
- * Build command - Generate workflow and step files from saved responses
- * Supports simple mode (basic) and complex mode (modules, dependencies)
+ * Report dependency problems in parsed steps, dropping invalid edges when fix is set
  */
-async function buildCommand(options) {
-  console.log(chalk.blue.bold('\n🔨 Build - Generate Workflow & Steps\n'));
-  console.log(chalk.gray('Scanning project directory for saved responses...\n'));
+function validateStepDependencies(steps, fix = false, log = console.log) {
+  const graph = new DependencyGraph(steps).build();
+  const validation = graph.validate();
+  if (validation.errorCount === 0 && validation.warningCount === 0) return validation;
 
-  try {
-    const outputDir = path.resolve(options.output || process.cwd());
-    
-    // Auto-detect provider from existing directory or use default
-    let aiProviderKey = await detectProvider(outputDir) || DEFAULT_PROVIDER;
-    
-    // Use detected provider
-    const provider = getProvider(aiProviderKey);
-    const promptDir = getPromptDirectory(aiProviderKey);
-    const dirs = getDirs(aiProviderKey);
-    
-    // Detect complex mode from options or config
-    let complexMode = options.complex || false;
-    let selectedModules = [];
-    let projectName = 'MyProject';
-    
-    // Try to load project config (new unified config.json or legacy project-config.json)
-    const configPath = path.join(outputDir, promptDir, 'config.json');
-    const legacyConfigPath = path.join(outputDir, promptDir, 'project-config.json');
-    const configFile = fsSync.existsSync(configPath) ? configPath : 
-                       fsSync.existsSync(legacyConfigPath) ? legacyConfigPath : null;
-    
-    if (configFile) {
-      try {
-        const config = JSON.parse(fsSync.readFileSync(configFile, 'utf-8'));
-        complexMode = complexMode || config.complexMode;
-        selectedModules = selectedModules.length > 0 ? selectedModules : (config.modules || []);
-        projectName = config.projectName || projectName;
-      } catch (e) {
-        // Ignore config parsing errors
-      }
+  const { errors, warnings } = DependencyGraph.formatValidation(validation);
+  log(chalk.cyan('\n🔗 Validation des dépendances...'));
+  errors.forEach(line => log(chalk.red(`  ✗ ${line}`)));
+  warnings.forEach(line => log(chalk.yellow(`  ⚠ ${line}`)));
+
+  if (validation.errorCount === 0) return validation;
+
+  if (fix) {
+    const removed = graph.fixInvalidEdges();
+    removed.forEach(edge => {
+      log(chalk.green(`  ✓ Supprimé: Step ${edge.step} → Step ${edge.dep} (${edge.reason})`));
+    });
+  } else {
+    log(chalk.yellow('  Ces tâches resteraient bloquées en pending.'));
+    log(chalk.gray('  Run: prompt-cursor build --fix'));
+  }
+
+  return validation;
+}
+
+/**
+ * Log the plan complexity and group its steps (all steps in complex mode, 5 phases otherwise)
+ * @returns {Object} { steps, complexity }
+ */
+function groupPlanSteps(planSteps, complexMode, log = console.log) {
+  const complexity = PlanParser.detectComplexity(planSteps);
+  log(chalk.gray(`  Complexity: ${complexity.level} (${complexity.numSteps} steps)`));
+  
+  if (complexity.hasNonLinearDeps) {
+    log(chalk.gray(`  → Non-linear dependencies detected`));
+  }
+  if (complexity.hasParallel) {
+    log(chalk.gray(`  → Parallel steps detected`));
+  }
+  if (complexity.modules.length > 0) {
+    log(chalk.gray(`  → Modules: ${complexity.modules.join(', ')}`));
+  }
+  
+  // Suggest complex mode if not enabled but detected as complex
+  if (!complexMode && complexity.level === 'complex') {
+    log(chalk.yellow(`\n💡 ${complexity.recommendation}`));
+    log(chalk.gray(`   Run: prompt-cursor build --complex\n`));
+  }
+  
+  // Group into phases based on mode
+  let steps;
+  if (complexMode) {
+    // In complex mode, keep all steps (no grouping)
+    steps = PlanParser.groupIntoPhases(planSteps, 0);
+    log(chalk.green(`✓ Using all ${steps.length} steps (complex mode)`));
+  } else {
+    // In simple mode, group into 5 phases
+    steps = PlanParser.groupIntoPhases(planSteps, 5);
+    log(chalk.green(`✓ Grouped into ${steps.length} development phases`));
+  }
+  
+  return { steps, complexity };
+}
+
+/**
+ * Build core: parse the plan and generate workflow.md, steps/ and tasks.json
+ * Progress messages go through log, failures are thrown
+ * @param {Object} options - output, complex, merge, fix
+ * @param {Function} log - Message sink (console.log by default)
+ * @returns {Promise<Object>} Build result
+ */
+async function runBuild(options = {}, log = console.log) {
+  const outputDir = path.resolve(options.output || process.cwd());
+  
+  // Auto-detect provider from existing directory or use default
+  let aiProviderKey = await detectProvider(outputDir) || DEFAULT_PROVIDER;
+  
+  // Use detected provider
+  const provider = getProvider(aiProviderKey);
+  const promptDir = getPromptDirectory(aiProviderKey);
+  const dirs = getDirs(aiProviderKey);
+  
+  // Detect complex mode from options or config
+  let complexMode = options.complex || false;
+  let selectedModules = [];
+  let projectName = 'MyProject';
+  let namedInConfig = false;
+  
+  // Try to load project config (new unified config.json or legacy project-config.json)
+  const configPath = path.join(outputDir, promptDir, 'config.json');
+  const legacyConfigPath = path.join(outputDir, promptDir, 'project-config.json');
+  const configFile = fsSync.existsSync(configPath) ? configPath : 
+                     fsSync.existsSync(legacyConfigPath) ? legacyConfigPath : null;
+  
+  if (configFile) {
+    try {
+      const config = JSON.parse(fsSync.readFileSync(configFile, 'utf-8'));
+      complexMode = complexMode || config.complexMode;
+      selectedModules = selectedModules.length > 0 ? selectedModules : (config.modules || []);
+      projectName = config.projectName || projectName;
+      namedInConfig = Boolean(config.projectName);
+    } catch (e) {
+      // Ignore config parsing errors
     }
-    
-    // In complex mode, automatically use ALL modules if none specified
-    if (complexMode && selectedModules.length === 0) {
-      selectedModules = Object.keys(ModuleManager.getModuleDefinitions());
+  }
+  
+  // In complex mode, automatically use ALL modules if none specified
+  if (complexMode && selectedModules.length === 0) {
+    selectedModules = Object.keys(ModuleManager.getModuleDefinitions());
+  }
+  
+  log(chalk.gray(`Using ${provider.icon} ${provider.name} (${promptDir}/)`));
+  if (complexMode) {
+    log(chalk.blue(`📦 Complex mode enabled`));
+    if (selectedModules.length > 0) {
+      log(chalk.gray(`   Modules: ${selectedModules.join(', ')}`));
     }
-    
-    console.log(chalk.gray(`Using ${provider.icon} ${provider.name} (${promptDir}/)`));
-    if (complexMode) {
-      console.log(chalk.blue(`📦 Complex mode enabled`));
-      if (selectedModules.length > 0) {
-        console.log(chalk.gray(`   Modules: ${selectedModules.join(', ')}`));
-      }
+  }
+  log('');
+  
+  // Ensure directory structure exists
+  await ensureDirectoryStructure(outputDir, aiProviderKey);
+  
+  // Check for required files in prompt directory docs/
+  const filesToCheck = [
+    'implementation-plan.md',
+    'spec.md',
+    'project-request.md',
+    'ai-rules.md'
+  ];
+  
+  const foundFiles = {};
+  const missingFiles = [];
+  
+  for (const file of filesToCheck) {
+    // Also found at the root directory for backward compatibility
+    const found = await findDocFile(outputDir, file, aiProviderKey);
+    if (found) {
+      foundFiles[file] = found.path;
+      log(chalk.green(found.root ? `✓ Found: ${file} (root)` : `✓ Found: ${promptDir}/docs/${file}`));
+    } else {
+      missingFiles.push(file);
+      log(chalk.yellow(`⚠ Missing: ${file}`));
     }
-    console.log('');
-    
-    // Ensure directory structure exists
-    await ensureDirectoryStructure(outputDir, aiProviderKey);
-    
-    // Check for required files in prompt directory docs/
-    const filesToCheck = [
-      'implementation-plan.md',
-      'spec.md',
-      'project-request.md',
-      'ai-rules.md'
-    ];
-    
-    const foundFiles = {};
-    const missingFiles = [];
+  }
+  
+  // Structured plan (implementation-plan.yaml/.json or fenced block) wins over the markdown parser
+  const structuredPlan = StructuredPlan.locate(path.join(outputDir, dirs.DOCS), foundFiles['implementation-plan.md']);
+  if (structuredPlan && !structuredPlan.embedded) {
+    log(chalk.green(`✓ Found: ${promptDir}/docs/${structuredPlan.source}`));
+  }
+  
+  if (missingFiles.length === filesToCheck.length && !structuredPlan) {
+    log(chalk.red('\n❌ Error: No response files found!'));
+    log(chalk.yellow(`\nPlease save your AI responses in ${promptDir}/docs/:`));
+    log(chalk.white(`  - ${promptDir}/docs/project-request.md`));
+    log(chalk.white(`  - ${promptDir}/docs/ai-rules.md`));
+    log(chalk.white(`  - ${promptDir}/docs/spec.md`));
+    log(chalk.white(`  - ${promptDir}/docs/implementation-plan.md`));
+    log(chalk.cyan('\nThen run: prompt-cursor build\n'));
+    const error = new Error(`No response files found in ${promptDir}/docs/`);
+    error.code = 'NO_RESPONSE_FILES';
+    throw error;
+  }
+  
+  // Parse implementation plan
+  let steps = [];
+  let milestones = null;
+  let complexity = null;
+  let projectContext = {};
+  let consumedPlan = null;
+  
+  if (structuredPlan) {
+    const where = structuredPlan.embedded
+      ? `${structuredPlan.source}, bloc ${structuredPlan.format} ligne ${structuredPlan.lineOffset}`
+      : structuredPlan.source;
+    log(chalk.cyan(`\n📖 Reading structured plan (${where})...`));
     
-    for (const file of filesToCheck) {
-      const filePath = path.join(outputDir, dirs.DOCS, file);
-      try {
-        await fs.access(filePath);
-        foundFiles[file] = filePath;
-        console.log(chalk.green(`✓ Found: ${promptDir}/docs/${file}`));
-      } catch (error) {
-        // Also check root directory for backward compatibility
-        const rootPath = path.join(outputDir, file);
-        try {
-          await fs.access(rootPath);
-          foundFiles[file] = rootPath;
-          console.log(chalk.green(`✓ Found: ${file} (root)`));
-        } catch (err) {
-        missingFiles.push(file);
-        console.log(chalk.yellow(`⚠ Missing: ${file}`));
-        }
-      }
-    }
+    // Invalid structured plans fail the build instead of falling back to default steps
+    const plan = StructuredPlan.load(structuredPlan);
+    plan.warnings.forEach(warning => log(chalk.yellow(`⚠ ${warning}`)));
+    log(chalk.green(`✓ Found ${plan.steps.length} steps in plan`));
+    if (!namedInConfig && plan.project) projectName = plan.project;
+    consumedPlan = { source: structuredPlan.source, format: structuredPlan.format, content: structuredPlan.content };
     
-    if (missingFiles.length === filesToCheck.length) {
-      console.log(chalk.red('\n❌ Error: No response files found!'));
-      console.log(chalk.yellow(`\nPlease save your AI responses in ${promptDir}/docs/:`));
-      console.log(chalk.white(`  - ${promptDir}/docs/project-request.md`));
-      console.log(chalk.white(`  - ${promptDir}/docs/ai-rules.md`));
-      console.log(chalk.white(`  - ${promptDir}/docs/spec.md`));
-      console.log(chalk.white(`  - ${promptDir}/docs/implementation-plan.md`));
-      console.log(chalk.cyan('\nThen run: prompt-cursor build\n'));
-      process.exit(1);
+    ({ steps, complexity } = groupPlanSteps(plan.steps, complexMode, log));
+    if (complexMode && plan.milestones.length > 0) {
+      milestones = plan.milestones;
+      log(chalk.green(`✓ Found ${milestones.length} milestones`));
     }
+  } else if (foundFiles['implementation-plan.md']) {
+    log(chalk.cyan('\n📖 Parsing implementation plan...'));
     
-    // Parse implementation plan
-    let steps = [];
-    let milestones = null;
-    let complexity = null;
-    let projectContext = {};
-    
-    if (foundFiles['implementation-plan.md']) {
-      console.log(chalk.cyan('\n📖 Parsing implementation plan...'));
+    try {
+      const planContent = await fs.readFile(foundFiles['implementation-plan.md'], 'utf-8');
+      const planSteps = await PlanParser.parsePlanFile(foundFiles['implementation-plan.md']);
+      log(chalk.green(`✓ Found ${planSteps.length} steps in plan`));
+      if (planSteps.length > 0) {
+        consumedPlan = { source: 'implementation-plan.md', format: 'markdown', content: planContent };
+      }
       
-      try {
-        const planContent = await fs.readFile(foundFiles['implementation-plan.md'], 'utf-8');
-        const planSteps = await PlanParser.parsePlanFile(foundFiles['implementation-plan.md']);
-        console.log(chalk.green(`✓ Found ${planSteps.length} steps in plan`));
-        
-        // Detect complexity
-        complexity = PlanParser.detectComplexity(planSteps);
-        console.log(chalk.gray(`  Complexity: ${complexity.level} (${complexity.numSteps} steps)`));
-        
-        if (complexity.hasNonLinearDeps) {
-          console.log(chalk.gray(`  → Non-linear dependencies detected`));
-        }
-        if (complexity.hasParallel) {
-          console.log(chalk.gray(`  → Parallel steps detected`));
-        }
-        if (complexity.modules.length > 0) {
-          console.log(chalk.gray(`  → Modules: ${complexity.modules.join(', ')}`));
-        }
-        
-        // Suggest complex mode if not enabled but detected as complex
-        if (!complexMode && complexity.level === 'complex') {
-          console.log(chalk.yellow(`\n💡 ${complexity.recommendation}`));
-          console.log(chalk.gray(`   Run: prompt-cursor build --complex\n`));
-        }
-        
-        // Parse milestones if complex mode
-        if (complexMode) {
-          milestones = PlanParser.parseMilestones(planContent);
-          if (milestones.length > 0) {
-            console.log(chalk.green(`✓ Found ${milestones.length} milestones`));
-          }
-        }
-        
-        // Group into phases based on mode
-        if (complexMode) {
-          // In complex mode, keep all steps (no grouping)
-          steps = PlanParser.groupIntoPhases(planSteps, 0);
-          console.log(chalk.green(`✓ Using all ${steps.length} steps (complex mode)`));
-        } else {
-          // In simple mode, group into 5 phases
-          steps = PlanParser.groupIntoPhases(planSteps, 5);
-          console.log(chalk.green(`✓ Grouped into ${steps.length} development phases`));
-        }
-        
-        if (steps.length === 0) {
-          const fallbackCount = complexMode ? 10 : 5;
-          steps = CodeRunGenerator.generateDefaultSteps(fallbackCount);
-          console.log(chalk.yellow(`⚠ Plan vide, génération de ${fallbackCount} étapes par défaut`));
+      ({ steps, complexity } = groupPlanSteps(planSteps, complexMode, log));
+      
+      // Parse milestones if complex mode
+      if (complexMode) {
+        milestones = PlanParser.parseMilestones(planContent);
+        if (milestones.length > 0) {
+          log(chalk.green(`✓ Found ${milestones.length} milestones`));
         }
-        
-      } catch (error) {
-        console.log(chalk.yellow(`⚠ Could not parse plan: ${error.message}`));
-        console.log(chalk.yellow('Using default steps instead...'));
-        steps = CodeRunGenerator.generateDefaultSteps(complexMode ? 10 : 5);
       }
-    } else {
-      console.log(chalk.yellow('\n⚠ No implementation plan found, using default steps'));
+      
+      if (steps.length === 0) {
+        const fallbackCount = complexMode ? 10 : 5;
+        steps = CodeRunGenerator.generateDefaultSteps(fallbackCount);
+        log(chalk.yellow(`⚠ Plan vide, génération de ${fallbackCount} étapes par défaut`));
+      }
+      
+    } catch (error) {
+      log(chalk.yellow(`⚠ Could not parse plan: ${error.message}`));
+      log(chalk.yellow('Using default steps instead...'));
       steps = CodeRunGenerator.generateDefaultSteps(complexMode ? 10 : 5);
     }
+  } else {
+    log(chalk.yellow('\n⚠ No implementation plan found, using default steps'));
+    steps = CodeRunGenerator.generateDefaultSteps(complexMode ? 10 : 5);
+  }
 
-    try {
-      projectContext = await SpecContext.buildContext({
-        specPath: foundFiles['spec.md'],
-        planPath: foundFiles['implementation-plan.md'],
-      });
-    } catch (error) {
-      console.log(chalk.yellow(`⚠ Could not enrich context: ${error.message}`));
-      projectContext = {};
-    }
-    
-    // Generate workflow.md + steps/
-    console.log(chalk.cyan('\n🎨 Generating workflow.md + steps/...\n'));
-    
-    const workflowGenerator = new WorkflowGenerator({
-      projectName,
+  // Validate dependencies (cycles, missing steps, forward references)
+  const validation = validateStepDependencies(steps, options.fix, log);
+
+  try {
+    projectContext = await SpecContext.buildContext({
+      specPath: foundFiles['spec.md'],
+      planPath: foundFiles['implementation-plan.md'],
+    });
+  } catch (error) {
+    log(chalk.yellow(`⚠ Could not enrich context: ${error.message}`));
+    projectContext = {};
+  }
+  
+  // Generate workflow.md + steps/
+  log(chalk.cyan('\n🎨 Generating workflow.md + steps/...\n'));
+  
+  const workflowGenerator = new WorkflowGenerator({
+    projectName,
+    outputDir,
+    steps,
+    aiProvider: aiProviderKey,
+    complexMode,
+    modules: selectedModules,
+    projectContext,
+    merge: options.merge !== false,
+    log
+  });
+  
+  const workflow = await workflowGenerator.generate();
+  
+  // Reference for plan:diff (the next revision is compared with what this build consumed)
+  if (consumedPlan) {
+    PlanDiff.saveSnapshot(outputDir, consumedPlan, steps);
+  }
+  
+  // Generate agent rules in complex mode
+  let agentSummary = null;
+  if (complexMode) {
+    log(chalk.cyan('\n🤖 Génération des règles agents...\n'));
+    agentSummary = await generateAgentsArtifacts({
       outputDir,
-      steps,
       aiProvider: aiProviderKey,
-      complexMode,
+      projectName,
+      steps,
       modules: selectedModules,
-      projectContext
+      skipRunPrompts: true,
+      log
     });
-    
-    await workflowGenerator.generate();
-    
-    // Generate agent rules in complex mode
-    let agentSummary = null;
-    if (complexMode) {
-      console.log(chalk.cyan('\n🤖 Génération des règles agents...\n'));
-      agentSummary = await generateAgentsArtifacts({
-        outputDir,
-        aiProvider: aiProviderKey,
-        projectName,
-        steps,
-        modules: selectedModules,
-        skipRunPrompts: true
-      });
-    }
-    
-    // Copy rules file based on AI provider
-    if (foundFiles['ai-rules.md']) {
-      try {
-        // Create directory if needed (e.g., .github for Copilot)
-        const rulesDir = getRulesDir(aiProviderKey, outputDir);
-        if (rulesDir) {
-          await fs.mkdir(rulesDir, { recursive: true });
-        }
-        
-        const rulesPath = getRulesPath(aiProviderKey, outputDir);
-        const rulesContent = await fs.readFile(foundFiles['ai-rules.md'], 'utf-8');
-        await fs.writeFile(rulesPath, rulesContent, 'utf-8');
-        console.log(chalk.green(`✓ Generated ${provider.rulesFile} for ${provider.name}`));
-      } catch (error) {
-        console.log(chalk.yellow(`⚠ Could not copy rules: ${error.message}`));
+  }
+  
+  // Copy rules file based on AI provider
+  if (foundFiles['ai-rules.md']) {
+    try {
+      // Create directory if needed (e.g., .github for Copilot)
+      const rulesDir = getRulesDir(aiProviderKey, outputDir);
+      if (rulesDir) {
+        await fs.mkdir(rulesDir, { recursive: true });
       }
+      
+      const rulesPath = getRulesPath(aiProviderKey, outputDir);
+      const rulesContent = await fs.readFile(foundFiles['ai-rules.md'], 'utf-8');
+      await fs.writeFile(rulesPath, rulesContent, 'utf-8');
+      log(chalk.green(`✓ Generated ${provider.rulesFile} for ${provider.name}`));
+    } catch (error) {
+      log(chalk.yellow(`⚠ Could not copy rules: ${error.message}`));
     }
-    
-    // Generate Cursor MDC rules when applicable
-    if (aiProviderKey === 'cursor') {
-      await generateCursorMdcRules(outputDir);
-    }
-    
+  }
+  
+  // Generate Cursor MDC rules when applicable
+  if (aiProviderKey === 'cursor') {
+    await generateCursorMdcRules(outputDir, log);
+  }
+
+  new Orchestrator(outputDir).load().runHook('build-completed', {
+    complexMode,
+    steps: steps.length,
+    mergeReport: workflow.mergeReport
+  });
+
+  return {
+    outputDir,
+    provider: aiProviderKey,
+    promptDir,
+    projectName,
+    complexMode,
+    modules: selectedModules,
+    foundFiles,
+    missingFiles,
+    complexity,
+    milestones,
+    steps,
+    validation,
+    mergeReport: workflow.mergeReport,
+    agentSummary
+  };
+}
+
+/**
+ * Build command - Generate workflow and step files from saved responses
+ * Supports simple mode (basic) and complex mode (modules, dependencies)
+ */
+async function buildCommand(options) {
+  console.log(chalk.blue.bold('\n🔨 Build - Generate Workflow & Steps\n'));
+  console.log(chalk.gray('Scanning project directory for saved responses...\n'));
+
+  try {
+    const result = await runBuild(options);
+    const { promptDir, complexMode, complexity, steps, foundFiles, agentSummary } = result;
+    const provider = getProvider(result.provider);
+
     // Summary
     console.log(chalk.green.bold('\n✨ Build complete!\n'));
     console.log(chalk.cyan('📦 Generated files:'));
@@ -346,6 +459,10 @@ async function buildCommand(options) {
     }
     
   } catch (error) {
+    if (error.code === 'NO_RESPONSE_FILES') {
+      process.exit(1);
+    }
+
     console.error(chalk.red.bold('\n❌ Error:'));
     console.error(chalk.red(error.message));
     
@@ -359,3 +476,5 @@ async function buildCommand(options) {
 
 
 module.exports = buildCommand;
+module.exports.runBuild = runBuild;
+module.exports.validateStepDependencies = validateStepDependencies;
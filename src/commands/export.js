@@ -0,0 +1,75 @@
+/**
+ * export command - tasks.json and step content to GitHub issues, Jira, CSV, todo.txt, ICS
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const TaskExporter = require('../utils/taskExporter');
+
+/**
+ * Main export command
+ */
+async function exportTasks(options = {}) {
+  const projectDir = options.output || process.cwd();
+  const format = options.format || 'all';
+  const { EXPORT_FORMATS } = TaskExporter;
+
+  try {
+    if (format !== 'all' && !EXPORT_FORMATS[format]) {
+      throw new Error(`Format inconnu "${format}" (${Object.keys(EXPORT_FORMATS).join(', ')}, all)`);
+    }
+    if (options.start && isNaN(new Date(options.start).getTime())) {
+      throw new Error(`Date de début invalide "${options.start}" (AAAA-MM-JJ)`);
+    }
+
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    orchestrator.calculateReadyTasks();
+
+    const exporter = new TaskExporter(orchestrator.tasks, {
+      project: orchestrator.metadata.project,
+      milestones: orchestrator.getMilestones(),
+      readStep: step => orchestrator.readStepContent(step),
+      // "Semaine N" deadlines are counted from the build date unless --start is given
+      start: options.start || orchestrator.metadata.generatedAt
+    });
+
+    // Single format without --file: raw content on stdout, for pipes
+    if (format !== 'all' && !options.file) {
+      process.stdout.write(exporter.export(format));
+      return;
+    }
+
+    const formats = format === 'all' ? Object.keys(EXPORT_FORMATS) : [format];
+    const exportDir = path.join(projectDir, '.ai', 'exports');
+    const written = [];
+
+    for (const key of formats) {
+      const file = options.file && format !== 'all'
+        ? path.resolve(options.file)
+        : path.join(exportDir, `tasks.${EXPORT_FORMATS[key].extension}`);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, exporter.export(key));
+      written.push({ key, file });
+    }
+
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  📤 Export - ${orchestrator.metadata.project || 'Projet'} (${orchestrator.tasks.length} steps)`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+    written.forEach(({ key, file }) => {
+      const line = `  ${key.padEnd(12)} ${path.relative(projectDir, file) || file}`;
+      console.log(chalk.blue.bold('│') + chalk.white(line.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    });
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = exportTasks;
@@ -0,0 +1,124 @@
+/**
+ * import command - Build tasks.json and steps/ from GitHub issues, a CSV file or a Markdown checklist
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const TaskImporter = require('../utils/taskImporter');
+const WorkflowGenerator = require('../utils/workflowGenerator');
+const ModuleManager = require('../utils/moduleManager');
+const SpecContext = require('../utils/specContext');
+const { generateAgentsArtifacts } = require('../utils/agentsGenerator');
+const { detectProvider, DEFAULT_PROVIDER } = require('../utils/directoryManager');
+const { validateStepDependencies } = require('./build');
+
+/**
+ * Read .ai/config.json (empty if missing or invalid)
+ */
+function readConfig(projectDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(projectDir, '.ai', 'config.json'), 'utf-8'));
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Main import command
+ */
+async function importTasks(file, options = {}) {
+  const projectDir = path.resolve(options.output || process.cwd());
+
+  try {
+    const sourcePath = path.resolve(file);
+    if (!fs.existsSync(sourcePath)) {
+      throw new Error(`Fichier introuvable: ${file}`);
+    }
+
+    const content = fs.readFileSync(sourcePath, 'utf-8');
+    const format = options.format || TaskImporter.detectFormat(sourcePath, content);
+    const { steps, warnings } = TaskImporter.parse(content, format);
+
+    console.log(chalk.blue.bold(`\n📥 Import - ${path.basename(sourcePath)} (${format})\n`));
+    console.log(chalk.green(`✓ ${steps.length} tâche(s) trouvée(s)`));
+    warnings.forEach(warning => console.log(chalk.yellow(`  ⚠ ${warning}`)));
+    validateStepDependencies(steps, options.fix);
+
+    if (options.dryRun) {
+      console.log();
+      steps.forEach(step => {
+        const deps = step.dependsOn.length > 0 ? ` ← ${step.dependsOn.join(', ')}` : '';
+        const status = step.source.status ? chalk.green(` [${step.source.status}]`) : '';
+        console.log(chalk.white(`  ${String(step.number).padStart(3)}. ${step.name}`) + chalk.gray(` (${step.module || '-'}${deps})`) + status);
+      });
+      console.log(chalk.gray('\n  --dry-run: rien n\'a été écrit\n'));
+      return;
+    }
+
+    const config = readConfig(projectDir);
+    const aiProvider = await detectProvider(projectDir) || DEFAULT_PROVIDER;
+    const complexMode = options.complex || config.complexMode || false;
+    const projectName = options.name || config.projectName || path.basename(projectDir);
+    let modules = config.modules || [];
+    if (complexMode && modules.length === 0) {
+      modules = Object.keys(ModuleManager.getModuleDefinitions());
+    }
+
+    const specPath = path.join(projectDir, '.ai', 'docs', 'spec.md');
+    const projectContext = await SpecContext.buildContext({
+      specPath: fs.existsSync(specPath) ? specPath : undefined
+    }).catch(() => ({}));
+
+    const workflow = await new WorkflowGenerator({
+      projectName,
+      outputDir: projectDir,
+      steps,
+      aiProvider,
+      complexMode,
+      modules,
+      projectContext,
+      merge: options.merge !== false
+    }).generate();
+
+    if (complexMode) {
+      await generateAgentsArtifacts({
+        outputDir: projectDir,
+        aiProvider,
+        projectName,
+        steps,
+        modules,
+        skipRunPrompts: true
+      });
+    }
+
+    // Closed issues and checked items: completed, in-progress ones are imported as prompted
+    const orchestrator = new Orchestrator(projectDir).load();
+    const changed = orchestrator.applyImportedState(steps.map(step => ({ step: step.number, ...step.source })));
+    orchestrator.runHook('build-completed', {
+      complexMode,
+      steps: steps.length,
+      mergeReport: workflow.mergeReport,
+      importedFrom: path.relative(projectDir, sourcePath)
+    });
+
+    const progress = orchestrator.getProgress();
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  📥 ${steps.length} steps importés (${format})`.padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.white(`  ✅ ${progress.completed} terminé(s) │ 🟢 ${progress.ready} prêt(s) │ ⏳ ${progress.pending} en attente`.padEnd(59)) + chalk.blue.bold('│'));
+    if (changed.length > 0) {
+      console.log(chalk.blue.bold('│') + chalk.gray(`  Statuts repris de la source: ${changed.length}`.padEnd(61)) + chalk.blue.bold('│'));
+    }
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log(chalk.cyan('\n📋 Prochaine étape: prompt-cursor agents:next --copy'));
+    console.log(chalk.gray('   Pour réimporter après modification de la source, relancez import (build repart du plan)\n'));
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = importTasks;
@@ -0,0 +1,25 @@
+/**
+ * mcp command - Model Context Protocol server on stdio
+ */
+
+const path = require('path');
+const McpServer = require('../server/mcp');
+
+/**
+ * Main mcp command
+ * Nothing but JSON-RPC may be written to stdout, messages go to stderr
+ */
+async function mcp(options = {}) {
+  const projectDir = path.resolve(options.output || process.cwd());
+
+  try {
+    const server = new McpServer(projectDir);
+    process.stderr.write(`prompt-cursor MCP server ready (${projectDir})\n`);
+    await server.start();
+  } catch (error) {
+    process.stderr.write(`❌ Erreur: ${error.message}\n`);
+    process.exit(1);
+  }
+}
+
+module.exports = mcp;
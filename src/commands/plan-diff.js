@@ -0,0 +1,137 @@
+/**
+ * plan:diff command - Step-level diff between two revisions of the implementation plan
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const PlanDiff = require('../utils/planDiff');
+const { resolvePlan } = require('./plan-lint');
+
+/**
+ * Revision read from a file (format from the extension)
+ */
+async function fileRevision(file, projectDir) {
+  const plan = await resolvePlan(file, projectDir);
+  return {
+    label: path.relative(process.cwd(), plan.file) || plan.file,
+    source: path.basename(plan.file),
+    format: plan.format,
+    content: plan.content
+  };
+}
+
+/**
+ * Revision consumed by the last build
+ */
+function snapshotRevision(projectDir) {
+  const snapshot = PlanDiff.loadSnapshot(projectDir);
+  if (!snapshot) {
+    throw new Error('Aucun plan enregistré par build (.ai/plan-snapshot.json): lancez build, ou comparez deux fichiers (plan:diff ancien.md nouveau.md)');
+  }
+  return {
+    label: `dernier build (${snapshot.source}, ${snapshot.builtAt.substring(0, 16).replace('T', ' ')})`,
+    source: snapshot.source,
+    format: snapshot.format,
+    content: snapshot.content
+  };
+}
+
+/**
+ * "+Step 4 -Step 3" style list of a change
+ */
+function describeChange(change) {
+  if (change.before !== undefined) {
+    return `${change.before || '-'} → ${change.after || '-'}`;
+  }
+  return [...change.added.map(item => `+${item}`), ...change.removed.map(item => `-${item}`)].join(' ');
+}
+
+/**
+ * Main plan:diff command
+ * No file: last build → current plan, one file: last build → file, two files: first → second
+ */
+async function planDiff(oldFile, newFile, options = {}) {
+  const projectDir = path.resolve(options.output || process.cwd());
+
+  try {
+    const before = newFile ? await fileRevision(oldFile, projectDir) : snapshotRevision(projectDir);
+    const after = await fileRevision(newFile || oldFile, projectDir);
+    const oldSteps = PlanDiff.readSteps(before.content, before);
+    const newSteps = PlanDiff.readSteps(after.content, after);
+
+    // No diff rather than a misleading one
+    [[before, oldSteps], [after, newSteps]].forEach(([revision, steps]) => {
+      const duplicates = PlanDiff.duplicateLabels(steps);
+      if (duplicates.length > 0) {
+        throw new Error(`Step ${duplicates.join(', ')} en double dans ${revision.label}: corrigez la numérotation avant de comparer (voir plan:lint ${revision.source})`);
+      }
+    });
+    const diff = PlanDiff.compare(oldSteps, newSteps);
+
+    // Tasks were built from the snapshot: its step → task map is exact, otherwise match like build does
+    const orchestrator = new Orchestrator(projectDir);
+    const entries = fs.existsSync(orchestrator.tasksFile) ? orchestrator.load().tasks : [];
+    const snapshot = PlanDiff.loadSnapshot(projectDir);
+    const stepTasks = snapshot && snapshot.content === before.content
+      ? snapshot.stepTasks
+      : PlanDiff.mapStepsToTasks(oldSteps, entries);
+    const affected = PlanDiff.affectedTasks(diff, entries, stepTasks);
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        before: before.label,
+        after: after.label,
+        steps: { before: oldSteps.length, after: newSteps.length },
+        ...diff,
+        affected
+      }, null, 2));
+      return;
+    }
+
+    console.log();
+    console.log(chalk.blue.bold('🔀 Diff du plan'));
+    console.log(chalk.gray(`   avant: ${before.label}`));
+    console.log(chalk.gray(`   après: ${after.label}`));
+    console.log(chalk.gray(`   ${oldSteps.length} → ${newSteps.length} étape(s)`));
+    console.log();
+
+    if (!PlanDiff.hasChanges(diff)) {
+      console.log(chalk.green('✅ Aucun changement d\'étape'));
+      console.log();
+      return;
+    }
+
+    diff.added.forEach(s => console.log(chalk.green(`  + Step ${s.step}: ${s.title}`)));
+    diff.removed.forEach(s => console.log(chalk.red(`  - Step ${s.step}: ${s.title}`)));
+    diff.renumbered.forEach(s => console.log(chalk.cyan(`  ↻ Step ${s.from} → Step ${s.to}: ${s.title}`)));
+    diff.renamed.forEach(s => console.log(chalk.cyan(`  ✎ Step ${s.to}: "${s.previousTitle}" → "${s.title}"`)));
+    diff.changed.forEach(s => {
+      console.log(chalk.yellow(`  ~ Step ${s.to}: ${s.title}`));
+      s.changes.forEach(change => {
+        console.log(chalk.gray(`      ${PlanDiff.FIELD_LABELS[change.field]}: ${describeChange(change)}`));
+      });
+    });
+    console.log();
+
+    if (affected.length === 0) {
+      console.log(chalk.green('✅ Aucune tâche commencée n\'est touchée'));
+    } else {
+      console.log(chalk.yellow.bold(`⚠ ${affected.length} tâche(s) commencée(s) touchée(s):`));
+      affected.forEach(task => {
+        const icon = task.status === 'completed' ? chalk.green('✓') : chalk.yellow('▶');
+        console.log(`  ${icon} ${chalk.white(`Tâche ${task.step}: ${task.title}`)} ${chalk.gray(`(${task.status})`)}`);
+        console.log(chalk.gray(`      ${task.reasons.join(' │ ')}`));
+      });
+      console.log(chalk.gray('   build conserve leur progression: vérifiez qu\'elle reste valable'));
+    }
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = planDiff;
@@ -0,0 +1,99 @@
+/**
+ * plan:format command - Rewrite implementation-plan.md in the canonical format
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const PlanWriter = require('../utils/planWriter');
+const { detectProvider, getDirs, findDocFile, DEFAULT_PROVIDER } = require('../utils/directoryManager');
+
+/**
+ * Markdown plan to format: the given file or implementation-plan.md where build reads it
+ * @returns {Promise<string>} Absolute path
+ */
+async function resolvePlanFile(file, projectDir) {
+  if (file) {
+    const planPath = path.resolve(file);
+    if (!fs.existsSync(planPath)) {
+      throw new Error(`Fichier introuvable: ${file}`);
+    }
+    if (['.yaml', '.yml', '.json'].includes(path.extname(planPath).toLowerCase())) {
+      throw new Error('Plan structuré: il est déjà canonique, utilisez plan:lint pour le valider');
+    }
+    return planPath;
+  }
+
+  const provider = await detectProvider(projectDir) || DEFAULT_PROVIDER;
+  const found = await findDocFile(projectDir, 'implementation-plan.md', provider);
+  if (!found) {
+    const planPath = path.join(projectDir, getDirs(provider).DOCS, 'implementation-plan.md');
+    throw new Error(`Aucun plan trouvé: ${path.relative(process.cwd(), planPath) || planPath} (ni à la racine du projet)`);
+  }
+  return found.path;
+}
+
+/**
+ * Main plan:format command
+ */
+async function planFormat(file, options = {}) {
+  const projectDir = path.resolve(options.output || process.cwd());
+
+  try {
+    const planPath = await resolvePlanFile(file, projectDir);
+    const result = PlanWriter.format(fs.readFileSync(planPath, 'utf-8'));
+    const displayPath = path.relative(process.cwd(), planPath) || planPath;
+
+    if (options.stdout) {
+      process.stdout.write(result.markdown);
+      return;
+    }
+
+    console.log();
+    console.log(chalk.blue.bold(`🧹 Format du plan - ${displayPath}`));
+    console.log(chalk.gray(`   ${result.steps.length} étape(s) │ ${result.milestones.length} jalon(s)`));
+    console.log();
+
+    // The rewrite must read back like the original and keep its list items: never write one that does not
+    if (result.differences.length > 0) {
+      console.log(chalk.red('✗ La version normalisée changerait ou perdrait du contenu:'));
+      result.differences.forEach(d => console.log(chalk.red(`   • ${d}`)));
+      console.log(chalk.gray('   Plan laissé intact: placez ces éléments sous - **Tasks**:, voir plan:lint pour les lignes en cause'));
+      console.log();
+      process.exitCode = 1;
+      return;
+    }
+
+    if (!result.changed) {
+      console.log(chalk.green('✅ Déjà au format canonique'));
+      console.log();
+      return;
+    }
+
+    if (options.check) {
+      console.log(chalk.yellow('⚠ Le plan n\'est pas au format canonique'));
+      console.log(chalk.gray('   Lancez plan:format sans --check pour le réécrire'));
+      console.log();
+      process.exitCode = 1;
+      return;
+    }
+
+    const backupDir = path.join(path.dirname(planPath), '.backup');
+    fs.mkdirSync(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `${path.basename(planPath, '.md')}-${stamp}.md`);
+    fs.copyFileSync(planPath, backupPath);
+    fs.writeFileSync(planPath, result.markdown, 'utf-8');
+
+    console.log(chalk.green('✅ Plan réécrit au format canonique'));
+    console.log(chalk.gray(`   Original sauvegardé: ${path.relative(process.cwd(), backupPath) || backupPath}`));
+    console.log(chalk.gray('   Titre, étapes, jalons et bloc de plan structuré conservés: la prose hors étapes est dans la sauvegarde'));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = planFormat;
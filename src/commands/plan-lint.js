@@ -0,0 +1,96 @@
+/**
+ * plan:lint command - Line-level diagnostics for implementation-plan.md (or the structured plan)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const PlanLinter = require('../utils/planLinter');
+const StructuredPlan = require('../utils/structuredPlan');
+const { detectProvider, getDirs, findDocFile, DEFAULT_PROVIDER } = require('../utils/directoryManager');
+
+/**
+ * Plan that build would read: structured file first, then implementation-plan.md
+ * (docs directory, or the project root like build)
+ * @returns {Promise<Object>} { file, content, format }
+ */
+async function resolvePlan(file, projectDir) {
+  if (file) {
+    const planPath = path.resolve(file);
+    if (!fs.existsSync(planPath)) {
+      throw new Error(`Fichier introuvable: ${file}`);
+    }
+    const ext = path.extname(planPath).toLowerCase();
+    return {
+      file: planPath,
+      content: fs.readFileSync(planPath, 'utf-8'),
+      format: ext === '.json' ? 'json' : ['.yaml', '.yml'].includes(ext) ? 'yaml' : 'markdown'
+    };
+  }
+
+  const provider = await detectProvider(projectDir) || DEFAULT_PROVIDER;
+  const docsDir = path.join(projectDir, getDirs(provider).DOCS);
+  const markdown = await findDocFile(projectDir, 'implementation-plan.md', provider);
+  const structured = StructuredPlan.locate(docsDir, markdown?.path);
+  if (structured && !structured.embedded) {
+    return { file: structured.file, content: structured.content, format: structured.format };
+  }
+
+  if (!markdown) {
+    throw new Error(`Aucun plan trouvé dans ${path.relative(process.cwd(), docsDir) || docsDir}/ ni à la racine du projet (implementation-plan.md)`);
+  }
+  return { file: markdown.path, content: fs.readFileSync(markdown.path, 'utf-8'), format: 'markdown' };
+}
+
+/**
+ * Main plan:lint command
+ */
+async function planLint(file, options = {}) {
+  const projectDir = path.resolve(options.output || process.cwd());
+
+  try {
+    const plan = await resolvePlan(file, projectDir);
+    const result = PlanLinter.lint(plan.content, { source: path.basename(plan.file), format: plan.format });
+    const displayPath = path.relative(process.cwd(), plan.file) || plan.file;
+
+    // exitCode rather than exit(): stdout may be a pipe still being written
+    if (result.errors > 0) process.exitCode = 1;
+
+    if (options.json) {
+      console.log(JSON.stringify({ file: displayPath, ...result }, null, 2));
+      return;
+    }
+
+    console.log();
+    console.log(chalk.blue.bold(`🔎 Lint du plan - ${displayPath}`));
+    console.log(chalk.gray(`   ${result.steps} étape(s)${result.format ? ` │ format ${result.format}` : ''}`));
+    console.log();
+
+    if (result.diagnostics.length === 0) {
+      console.log(chalk.green('✅ Aucun problème détecté'));
+      console.log();
+      return;
+    }
+
+    result.diagnostics.forEach(d => {
+      const where = chalk.gray(`${displayPath}:${d.line || '-'}`);
+      const text = d.severity === 'error' ? chalk.red(`✗ ${d.message}`) : chalk.yellow(`⚠ ${d.message}`);
+      console.log(`  ${where} ${text} ${chalk.gray(`(${d.rule})`)}`);
+    });
+
+    console.log();
+    const summary = `${result.errors} erreur(s), ${result.warnings} avertissement(s)`;
+    console.log(result.errors > 0 ? chalk.red.bold(`✗ ${summary}`) : chalk.yellow.bold(`⚠ ${summary}`));
+    if (result.errors > 0 && !result.structured) {
+      console.log(chalk.gray('   Les étapes ignorées ou mal lues changent le workflow généré par build'));
+    }
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = planLint;
+module.exports.resolvePlan = resolvePlan;
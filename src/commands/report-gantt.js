@@ -0,0 +1,88 @@
+/**
+ * report:gantt command - Schedule (gantt) and burndown, in the terminal or as Mermaid
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const ProgressCharts = require('../utils/progressCharts');
+
+/**
+ * Format working days ("0.5 j", "3 j")
+ */
+function formatDays(days) {
+  return `${Math.round(days * 10) / 10} j`;
+}
+
+/**
+ * Main report:gantt command
+ */
+async function reportGantt(options = {}) {
+  const projectDir = options.output || process.cwd();
+
+  try {
+    if (options.start && isNaN(new Date(options.start).getTime())) {
+      throw new Error(`Date de début invalide "${options.start}" (AAAA-MM-JJ)`);
+    }
+
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+    orchestrator.calculateReadyTasks();
+
+    const planning = orchestrator.getPlanning({ start: options.start });
+
+    if (options.json) {
+      console.log(JSON.stringify({
+        ...planning,
+        schedule: {
+          totalDays: planning.schedule.totalDays,
+          items: planning.schedule.items.map(({ task, startDay, days }) => ({ step: task.step, title: task.title, status: task.status, startDay, days }))
+        }
+      }, null, 2));
+      return;
+    }
+
+    if (options.mermaid) {
+      const markdown = [
+        ProgressCharts.toMermaidGantt(planning),
+        '',
+        ProgressCharts.toMermaidBurndown(planning.burndown),
+        ''
+      ].join('\n');
+      if (options.file) {
+        fs.writeFileSync(path.resolve(options.file), markdown);
+        console.log(chalk.green(`✓ Diagrammes Mermaid écrits dans ${options.file}`));
+      } else {
+        process.stdout.write(markdown);
+      }
+      return;
+    }
+
+    const line = (text, color = chalk.white) => {
+      console.log(chalk.blue.bold('│') + color(text.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    };
+
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  📅 Planning - ${orchestrator.metadata.project || 'Projet'}`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    line(`  Début ${planning.start} │ ${formatDays(planning.schedule.totalDays)} de travail │ ${planning.hoursPerDay}h/jour`, chalk.gray);
+    console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+    ProgressCharts.toAsciiGantt(planning, { width: 28 }).forEach(text => line(`  ${text}`));
+    line('  █ terminé  ▓ en cours  ▒ chemin critique  ░ à faire', chalk.gray);
+
+    console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold('  📉 Burndown (steps restants)'.padEnd(61)) + chalk.blue.bold('│'));
+    ProgressCharts.toAsciiBurndown(planning.burndown).forEach(text => line(`  ${text}`, chalk.green));
+    line(`  █ restants  · idéal selon le planning${planning.burndown.stepDays > 1 ? ` │ 1 colonne = ${planning.burndown.stepDays} jours` : ''}`, chalk.gray);
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log(chalk.gray('  Mermaid: prompt-cursor report:gantt --mermaid (aussi dans workflow.md)'));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = reportGantt;
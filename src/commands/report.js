@@ -0,0 +1,89 @@
+/**
+ * report command - Self-contained HTML status report for stakeholders
+ */
+
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const SpecContext = require('../utils/specContext');
+const HtmlReport = require('../utils/htmlReport');
+const TaskStats = require('../utils/taskStats');
+const { getBugJournalSummary } = require('../utils/contextTrackerV2');
+const { detectProvider, getDirs, DEFAULT_PROVIDER } = require('../utils/directoryManager');
+
+/**
+ * Gather everything the report shows
+ * @param {string} projectDir - Project directory
+ * @param {Object} options - { recent } number of recent completions
+ * @returns {Promise<Object>} HtmlReport.render() data
+ */
+async function collectReportData(projectDir, { recent = 10 } = {}) {
+  const orchestrator = new Orchestrator(projectDir);
+  orchestrator.load();
+  orchestrator.calculateReadyTasks();
+
+  const provider = await detectProvider(projectDir) || DEFAULT_PROVIDER;
+  const docsDir = path.join(projectDir, getDirs(provider).DOCS);
+  const docPath = file => (fs.existsSync(path.join(docsDir, file)) ? path.join(docsDir, file) : undefined);
+  const context = await SpecContext.buildContext({
+    specPath: docPath('spec.md'),
+    planPath: docPath('implementation-plan.md')
+  });
+
+  const { readyTasks, ...progress } = orchestrator.getProgress();
+  const completed = orchestrator.tasks
+    .filter(t => t.status === 'completed')
+    .sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+
+  return {
+    project: orchestrator.metadata.project || path.basename(path.resolve(projectDir)),
+    generatedAt: new Date().toISOString(),
+    context,
+    progress,
+    byModule: orchestrator.getProgressByModule(),
+    byAgent: orchestrator.getProgressByAgent(),
+    milestones: orchestrator.getMilestones(),
+    tasks: orchestrator.tasks,
+    critical: TaskStats.remainingCriticalPath(orchestrator.tasks).steps,
+    bugs: getBugJournalSummary(projectDir, provider),
+    recent: completed.slice(0, recent),
+    forecast: orchestrator.getStats().forecast
+  };
+}
+
+/**
+ * Main report command
+ */
+async function report(options = {}) {
+  const projectDir = options.output || process.cwd();
+
+  try {
+    const data = await collectReportData(projectDir, {
+      recent: options.recent ? parseInt(options.recent, 10) : 10
+    });
+    const html = HtmlReport.render(data);
+
+    const file = options.file
+      ? path.resolve(options.file)
+      : path.join(projectDir, '.ai', 'reports', `report-${data.generatedAt.substring(0, 10)}.html`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html, 'utf-8');
+
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  📰 Rapport - ${data.project}`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.white(`  ${data.progress.completed}/${data.progress.total} étapes (${data.progress.percentage}%) │ ${data.milestones.length} jalon(s) │ ${data.bugs.totalBugs} bug(s)`.padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.green(`  ${path.relative(process.cwd(), file) || file}`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log(chalk.gray('  Fichier autonome: aucune ressource externe, lisible hors ligne'));
+    console.log();
+
+  } catch (error) {
+    console.error(chalk.red('\n❌ Erreur:'), error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = report;
+module.exports.collectReportData = collectReportData;
@@ -0,0 +1,65 @@
+/**
+ * serve command - Local HTTP API over tasks.json
+ */
+
+const chalk = require('chalk');
+const Orchestrator = require('../orchestrator');
+const ApiServer = require('../server');
+
+/**
+ * Main serve command
+ */
+async function serve(options = {}) {
+  const projectDir = options.output || process.cwd();
+
+  try {
+    const orchestrator = new Orchestrator(projectDir);
+    orchestrator.load();
+
+    const config = { ...ApiServer.SERVER_DEFAULTS, ...orchestrator.loadConfig().server };
+    const token = options.token || process.env.PCB_SERVER_TOKEN || config.token;
+    const server = new ApiServer(projectDir, {
+      ...config,
+      host: options.host || config.host,
+      port: options.port !== undefined ? parseInt(options.port, 10) : config.port,
+      cors: options.cors || config.cors,
+      token
+    });
+
+    const url = await server.start();
+
+    console.log();
+    console.log(chalk.blue.bold('┌' + '─'.repeat(62) + '┐'));
+    console.log(chalk.blue.bold('│') + chalk.white.bold(`  🌐 API: ${url}`.padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.cyan(`  Projet: ${orchestrator.metadata.project || '-'} (${orchestrator.tasks.length} steps)`.substring(0, 60).padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('│') + chalk.gray(`  Auth: ${token ? 'token requis (Authorization: Bearer)' : 'aucune'}`.padEnd(61)) + chalk.blue.bold('│'));
+    console.log(chalk.blue.bold('├' + '─'.repeat(62) + '┤'));
+    [
+      'GET  /api/tasks[?status=]       GET /api/progress',
+      'GET  /api/tasks/next            GET /api/tasks/:step',
+      'GET  /api/tasks/:step/content   GET /api/events (SSE)',
+      'POST /api/tasks/:step/prompt | complete | reset'
+    ].forEach(line => {
+      console.log(chalk.blue.bold('│') + chalk.white(`  ${line}`.padEnd(61)) + chalk.blue.bold('│'));
+    });
+    console.log(chalk.blue.bold('└' + '─'.repeat(62) + '┘'));
+    console.log(chalk.gray('  Ctrl+C pour arrêter'));
+    console.log();
+
+    const shutdown = async () => {
+      await server.stop();
+      console.log(chalk.gray('\n👋 Serveur arrêté'));
+      process.exit(0);
+    };
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+  } catch (error) {
+    const message = error.code === 'EADDRINUSE'
+      ? `Port ${error.port} déjà utilisé (--port <number>)`
+      : error.message;
+    console.error(chalk.red(`\n❌ Erreur: ${message}`));
+    process.exit(1);
+  }
+}
+
+module.exports = serve;
@@ -0,0 +1,329 @@
+// Type definitions for the prompt-cursor public API (src/index.js)
+
+export type TaskStatus = 'pending' | 'ready' | 'prompted' | 'in-progress' | 'completed';
+export type Strategy = 'critical' | 'fifo' | 'module' | 'shortest';
+export type ProviderKey = 'cursor' | 'claude' | 'windsurf' | 'copilot';
+
+export interface VerifyResult {
+  command: string;
+  source?: 'task' | 'step' | 'config' | 'module';
+  passed: boolean;
+  skipped?: string;
+  exitCode: number | null;
+  durationMs: number;
+  output: string;
+}
+
+export interface Verification {
+  at: string;
+  passed: boolean;
+  forced?: boolean;
+  results: VerifyResult[];
+}
+
+export interface GitRecord {
+  base: string | null;
+  baseAt?: string;
+  head?: string | null;
+  commits?: number;
+  /** null when the step had no starting commit (completed without being prompted) */
+  files?: string[] | null;
+  untouched?: string[];
+  committed?: string | null;
+  tag?: string | null;
+  error?: string;
+}
+
+export interface E2EInfo {
+  type: string;
+  file: string;
+  command: string;
+  route?: string;
+  baseUrlEnv?: string;
+}
+
+/** Entry of .ai/tasks.json */
+export interface Task {
+  step: number;
+  title: string;
+  file: string;
+  agent: string;
+  module: string;
+  files: string[];
+  dependsOn: number[];
+  status: TaskStatus;
+  parallel?: boolean;
+  /** Parent task of a sub-step (2.1 under 2) */
+  parent?: number;
+  /** Step number as written in the plan ("2.1"), accepted by --step */
+  label?: string;
+  /** Sub-steps of a parent task, which completes with them */
+  children?: number[];
+  estimate?: string;
+  estimatedHours?: number | null;
+  priority?: string | number;
+  verify?: string[];
+  stepHash?: string;
+  e2e?: E2EInfo;
+  promptedAt?: string;
+  startedAt?: string;
+  completedAt?: string;
+  actualHours?: number;
+  claimedBy?: string;
+  claimedAt?: string;
+  verification?: Verification;
+  git?: GitRecord;
+  worktree?: { path: string; branch: string; base: string | null; prompt: string; createdAt: string };
+}
+
+/** Step parsed from an implementation plan */
+export interface PlanStep {
+  number: number;
+  name: string;
+  rawNumber?: string;
+  displayNumber?: string;
+  tasks: string[];
+  objective?: string;
+  estimatedTime?: string | null;
+  /** false when the estimate is the parser default, not written in the plan */
+  estimateDeclared?: boolean;
+  dependsOn: number[];
+  parallel?: boolean;
+  parent?: number;
+  children?: number[];
+  module?: string | null;
+  files?: string[];
+  userCommands?: string[];
+  techDetails?: string[];
+  [key: string]: unknown;
+}
+
+export interface Milestone {
+  name: string;
+  [key: string]: unknown;
+}
+
+export interface Complexity {
+  level: 'simple' | 'medium' | 'complex';
+  numSteps: number;
+  hasNonLinearDeps: boolean;
+  hasParallel: boolean;
+  modules: string[];
+  recommendation: string;
+  [key: string]: unknown;
+}
+
+export interface ParsedPlan {
+  steps: PlanStep[];
+  milestones: Milestone[];
+  complexity: Complexity;
+}
+
+export interface GroupProgress {
+  total: number;
+  completed: number;
+  ready: number;
+  pending: number;
+}
+
+export interface Progress {
+  total: number;
+  completed: number;
+  ready: number;
+  pending: number;
+  prompted: number;
+  inProgress: number;
+  percentage: number;
+  readySteps: number[];
+  byModule: Record<string, GroupProgress>;
+  byAgent: Record<string, GroupProgress>;
+}
+
+export interface BuildOptions {
+  /** Project directory (default: cwd) */
+  output?: string;
+  complex?: boolean;
+  /** Merge with the existing tasks.json (default: true) */
+  merge?: boolean;
+  /** Drop invalid dependencies */
+  fix?: boolean;
+  /** Receives progress messages (silent by default) */
+  log?: (message: string) => void;
+}
+
+export interface BuildResult {
+  outputDir: string;
+  provider: ProviderKey;
+  promptDir: string;
+  projectName: string;
+  complexMode: boolean;
+  modules: string[];
+  foundFiles: Record<string, string>;
+  missingFiles: string[];
+  complexity: Complexity | null;
+  milestones: Milestone[] | null;
+  steps: PlanStep[];
+  validation: { valid: boolean; errorCount: number; warningCount: number; [key: string]: unknown };
+  mergeReport: Record<string, unknown> | null;
+  agentSummary: { tasks: number; modules: string[] } | null;
+  tasks: Task[];
+}
+
+export interface Project {
+  projectDir: string;
+  provider: ProviderKey;
+  project: string;
+  generatedAt: string;
+  totalSteps: number;
+  tasks: Task[];
+  progress: Progress;
+  config: Record<string, unknown>;
+}
+
+export interface RankedTask {
+  task: Task;
+  reasons: string[];
+}
+
+export interface CompleteOptions {
+  /** false skips the verify commands */
+  verify?: boolean;
+  /** Complete even if verification fails */
+  force?: boolean;
+  commit?: boolean;
+  tag?: boolean;
+  onResult?: (result: VerifyResult) => void;
+}
+
+export interface CompleteResult {
+  completed: boolean;
+  task: Task;
+  verification: Verification | null;
+  reason: 'already-completed' | 'verification-failed' | null;
+}
+
+export interface HistoryEvent {
+  id: string;
+  at: string;
+  action: string;
+  step: number;
+  actor: string;
+  from: Partial<Task>;
+  to: Partial<Task>;
+  undoes?: string;
+  /** Follows from another transition (parent completed by its sub-steps, cascaded reset), not undoable on its own */
+  auto?: boolean;
+  /** Id of the transition this one is undone with */
+  cause?: string;
+  undone: boolean;
+}
+
+export interface ProviderConfig {
+  name: string;
+  rulesFile: string;
+  rulesLocation: string;
+  directory: string;
+  description: string;
+  icon: string;
+}
+
+export function parsePlan(content: string, options?: { complex?: boolean }): ParsedPlan;
+export function build(options?: BuildOptions): Promise<BuildResult>;
+export function loadProject(projectDir?: string): Promise<Project>;
+
+export function getTasks(projectDir: string, options?: { status?: TaskStatus }): Task[];
+export function getTask(projectDir: string, step: number): Task | null;
+export function readStep(projectDir: string, step: number): string;
+export function getNextTask(projectDir: string, options?: { strategy?: Strategy }): RankedTask | null;
+export function getProgress(projectDir: string): Progress;
+export function promptTask(projectDir: string, step: number): Task;
+export function claimTask(projectDir: string, step: number, options?: { owner?: string; force?: boolean }): Task;
+export function releaseTask(projectDir: string, step: number, options?: { owner?: string; force?: boolean }): Task;
+export function completeTask(projectDir: string, step: number, options?: CompleteOptions): CompleteResult;
+export function resetTask(
+  projectDir: string,
+  step: number,
+  options?: { cascade?: boolean; reopen?: boolean }
+): { task: Task; dependents: Task[] };
+export function undo(
+  projectDir: string,
+  options?: { count?: number; force?: boolean }
+): { reverted: { event: HistoryEvent; task: Task }[]; conflict: { event: HistoryEvent; reason: string } | null };
+export function getHistory(projectDir: string, options?: { step?: number }): HistoryEvent[];
+
+export const providers: {
+  list(): ProviderKey[];
+  get(name: string): ProviderConfig;
+  getRulesPath(provider: string, projectDir: string): string;
+  getPromptDirectory(provider: string): string;
+  getDirs(provider: string): Record<'ROOT' | 'PROMPTS' | 'DOCS' | 'STEPS' | 'RULES' | 'WORKFLOW' | 'INSTRUCTIONS', string>;
+  detect(projectDir: string): Promise<ProviderKey | null>;
+  all: Record<ProviderKey, ProviderConfig>;
+  DEFAULT_PROVIDER: ProviderKey;
+};
+
+/** Lower-level classes, for tooling that needs more than the functions above */
+export class Orchestrator {
+  constructor(projectDir?: string);
+  projectDir: string;
+  tasks: Task[];
+  metadata: { generatedAt: string; project: string; totalSteps: number };
+  static defaultOwner(): string;
+  load(): this;
+  save(): void;
+  loadConfig(): Record<string, unknown>;
+  getTask(step: number): Task | undefined;
+  resolveStep(value: string | number): number;
+  getTasksByStatus(status: TaskStatus): Task[];
+  calculateReadyTasks(): Task[];
+  rankReadyTasks(strategy?: Strategy): RankedTask[];
+  getNextTask(strategy?: Strategy): Task | null;
+  markAsPrompted(step: number): Task;
+  markAsCompleted(step: number, options?: { commit?: boolean; tag?: boolean }): Task;
+  completeTask(step: number, options?: CompleteOptions): CompleteResult;
+  readStepContent(step: number): string;
+  [key: string]: any;
+}
+
+export class PlanParser {
+  /** inferred: false keeps only the module and estimate the plan declares */
+  static parsePlan(content: string, options?: { inferred?: boolean }): PlanStep[];
+  static parsePlanFile(filePath: string): Promise<PlanStep[]>;
+  static parseMilestones(content: string, options?: { defaults?: boolean }): Milestone[];
+  static detectComplexity(steps: PlanStep[]): Complexity;
+  static groupIntoPhases(steps: PlanStep[], targetPhases?: number): PlanStep[];
+  static resolveDependency(rawDep: string, steps: PlanStep[]): number[];
+  static linkSubSteps(steps: PlanStep[]): PlanStep[];
+  static normalizeModuleName(name: string): string;
+  static parseEstimateHours(estimate: string): number | null;
+  [key: string]: any;
+}
+
+export class WorkflowGenerator {
+  constructor(options: {
+    projectName?: string;
+    outputDir?: string;
+    steps?: PlanStep[];
+    aiProvider?: ProviderKey;
+    complexMode?: boolean;
+    modules?: string[];
+    projectContext?: Record<string, unknown>;
+    merge?: boolean;
+    log?: (message: string) => void;
+  });
+  generate(): Promise<{ workflowPath: string; stepFiles: string[]; tasksMapPath: string; mergeReport: Record<string, unknown> | null }>;
+  [key: string]: any;
+}
+
+export class DependencyGraph {
+  constructor(steps: PlanStep[]);
+  static fromTasks(tasks: Task[]): DependencyGraph;
+  build(): this;
+  [key: string]: any;
+}
+
+export class TaskScheduler {
+  static STRATEGIES: Strategy[];
+  static normalizePriority(priority: string | number | undefined): number;
+  [key: string]: any;
+}
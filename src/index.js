@@ -1,5 +1,206 @@
-// Main entry point
-module.exports = {
-  // Commands can be imported here if needed
+/**
+ * Public Node API
+ * Everything returns data: no console output, no process.exit, failures are thrown
+ * Types: src/index.d.ts
+ */
+
+const path = require('path');
+const Orchestrator = require('./orchestrator');
+const PlanParser = require('./utils/planParser');
+const StructuredPlan = require('./utils/structuredPlan');
+const WorkflowGenerator = require('./utils/workflowGenerator');
+const DependencyGraph = require('./utils/dependencyGraph');
+const TaskScheduler = require('./utils/taskScheduler');
+const { runBuild } = require('./commands/build');
+const {
+  AI_PROVIDERS,
+  getProvider,
+  getAllProviders,
+  getRulesPath,
+  getPromptDirectory,
+  getProviderDirs
+} = require('./utils/aiProviders');
+const { detectProvider, DEFAULT_PROVIDER } = require('./utils/directoryManager');
+
+/**
+ * Loaded orchestrator for a project directory
+ */
+function open(projectDir = process.cwd()) {
+  return new Orchestrator(path.resolve(projectDir)).load();
+}
+
+/**
+ * Parse implementation plan markdown (its fenced yaml/json plan block first, like build)
+ * @param {string} content - Plan markdown
+ * @param {Object} options - { complex } keep every step (true) or group into 5 phases
+ * @returns {Object} { steps, milestones, complexity }
+ * @throws {Error} code INVALID_PLAN when the structured block does not match the schema
+ */
+function parsePlan(content, { complex = true } = {}) {
+  const block = StructuredPlan.extractBlock(content);
+  const plan = block ? StructuredPlan.load({ source: 'implementation-plan.md', ...block }) : null;
+  const planSteps = plan ? plan.steps : PlanParser.parsePlan(content);
+  return {
+    steps: PlanParser.groupIntoPhases(planSteps, complex ? 0 : 5),
+    milestones: plan ? plan.milestones : PlanParser.parseMilestones(content),
+    complexity: PlanParser.detectComplexity(planSteps)
+  };
+}
+
+/**
+ * Generate workflow.md, steps/ and tasks.json from the saved responses (like `prompt-cursor build`)
+ * @param {Object} options - { output, complex, merge, fix, log }
+ * @returns {Promise<Object>} Build result
+ */
+async function build(options = {}) {
+  const result = await runBuild(options, options.log || (() => {}));
+  return { ...result, tasks: open(result.outputDir).tasks };
+}
+
+/**
+ * Snapshot of a built project
+ * @param {string} projectDir - Project directory
+ * @returns {Promise<Object>} { projectDir, provider, project, generatedAt, totalSteps, tasks, progress, config }
+ */
+async function loadProject(projectDir = process.cwd()) {
+  const orchestrator = open(projectDir);
+  return {
+    projectDir: orchestrator.projectDir,
+    provider: await detectProvider(orchestrator.projectDir) || DEFAULT_PROVIDER,
+    ...orchestrator.metadata,
+    tasks: orchestrator.tasks,
+    progress: getProgress(projectDir),
+    config: orchestrator.loadConfig()
+  };
+}
+
+/**
+ * Tasks, optionally filtered by status
+ */
+function getTasks(projectDir, { status } = {}) {
+  const orchestrator = open(projectDir);
+  orchestrator.calculateReadyTasks();
+  return status ? orchestrator.getTasksByStatus(status) : orchestrator.tasks;
+}
+
+/**
+ * One task (null if the step doesn't exist)
+ */
+function getTask(projectDir, step) {
+  return open(projectDir).getTask(step) || null;
+}
+
+/**
+ * Instructions of a step (content of its step file)
+ */
+function readStep(projectDir, step) {
+  return open(projectDir).readStepContent(step);
+}
+
+/**
+ * Next ready task with the reasons of the choice (null if none is ready)
+ */
+function getNextTask(projectDir, { strategy } = {}) {
+  const orchestrator = open(projectDir);
+  const ranked = orchestrator.rankReadyTasks(strategy || orchestrator.getDefaultStrategy());
+  return ranked[0] || null;
+}
+
+/**
+ * Progress counts, with breakdowns by module and agent
+ */
+function getProgress(projectDir) {
+  const orchestrator = open(projectDir);
+  const { readyTasks, ...progress } = orchestrator.getProgress();
+  return {
+    ...progress,
+    readySteps: readyTasks.map(t => t.step),
+    byModule: orchestrator.getProgressByModule(),
+    byAgent: orchestrator.getProgressByAgent()
+  };
+}
+
+function promptTask(projectDir, step) {
+  return open(projectDir).markAsPrompted(step);
+}
+
+function claimTask(projectDir, step, { owner = Orchestrator.defaultOwner(), force = false } = {}) {
+  return open(projectDir).claimTask(step, owner, { force });
+}
+
+function releaseTask(projectDir, step, { owner = Orchestrator.defaultOwner(), force = false } = {}) {
+  return open(projectDir).releaseTask(step, owner, { force });
+}
+
+/**
+ * Complete a task behind the verification gate
+ * @returns {Object} { completed, task, verification, reason }
+ */
+function completeTask(projectDir, step, options = {}) {
+  return open(projectDir).completeTask(step, options);
+}
+
+/**
+ * Reset (or reopen) a task
+ * @returns {Object} { task, dependents }
+ */
+function resetTask(projectDir, step, { cascade = false, reopen = false } = {}) {
+  return open(projectDir).resetTask(step, { cascade, reopen });
+}
+
+/**
+ * Revert the last task transitions
+ * @returns {Object} { reverted, conflict }
+ */
+function undo(projectDir, { count = 1, force = false } = {}) {
+  return open(projectDir).undo(count, { force });
+}
+
+function getHistory(projectDir, { step } = {}) {
+  return open(projectDir).getHistory({ step });
+}
+
+/**
+ * Provider registry
+ */
+const providers = {
+  list: getAllProviders,
+  get: getProvider,
+  getRulesPath,
+  getPromptDirectory,
+  getDirs: getProviderDirs,
+  detect: detectProvider,
+  all: AI_PROVIDERS,
+  DEFAULT_PROVIDER
 };
 
+module.exports = {
+  // Plan and build
+  parsePlan,
+  build,
+  loadProject,
+
+  // Task operations
+  getTasks,
+  getTask,
+  readStep,
+  getNextTask,
+  getProgress,
+  promptTask,
+  claimTask,
+  releaseTask,
+  completeTask,
+  resetTask,
+  undo,
+  getHistory,
+
+  // Providers
+  providers,
+
+  // Classes (advanced use)
+  Orchestrator,
+  PlanParser,
+  WorkflowGenerator,
+  DependencyGraph,
+  TaskScheduler
+};
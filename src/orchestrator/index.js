@@ -3,15 +3,46 @@
  */
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const DependencyGraph = require('../utils/dependencyGraph');
+const TaskHistory = require('../utils/taskHistory');
+const TaskScheduler = require('../utils/taskScheduler');
+const TaskStats = require('../utils/taskStats');
+const TaskTree = require('../utils/taskTree');
+const VerifyRunner = require('../utils/verifyRunner');
+const GitTracker = require('../utils/gitTracker');
+const HookRunner = require('../utils/hookRunner');
+const MilestoneManager = require('../utils/milestoneManager');
+const PlanParser = require('../utils/planParser');
+const ProgressCharts = require('../utils/progressCharts');
+const StructuredPlan = require('../utils/structuredPlan');
+const { withLock, writeFileAtomic } = require('../utils/fileLock');
+
+/**
+ * Markers of the generated planning section in workflow.md
+ */
+const PLANNING_START = '<!-- planning:start -->';
+const PLANNING_END = '<!-- planning:end -->';
 
 class Orchestrator {
   constructor(projectDir = process.cwd()) {
     this.projectDir = projectDir;
     this.tasksFile = path.join(projectDir, '.ai', 'tasks.json');
     this.workflowFile = path.join(projectDir, '.ai', 'workflow.md');
+    this.configFile = path.join(projectDir, '.ai', 'config.json');
     this.tasks = [];
     this.metadata = {};
+    this.baseEntries = new Map();
+    this.dependencyValidation = null;
+    this.inTransaction = false;
+    this.config = null;
+    this.history = new TaskHistory(projectDir);
+    this.pendingEvents = [];
+    this.pendingHooks = [];
+    this.diskStatuses = null;
+    this.actor = null;
+    this.gitTracker = new GitTracker(projectDir);
   }
 
   /**
@@ -22,26 +53,287 @@ class Orchestrator {
       throw new Error(`tasks.json not found. Run 'prompt-cursor build' first.`);
     }
 
-    const data = JSON.parse(fs.readFileSync(this.tasksFile, 'utf-8'));
+    const data = this.readTasksFile();
     this.metadata = {
       generatedAt: data.generatedAt,
       project: data.project,
       totalSteps: data.totalSteps
     };
     this.tasks = data.entries || [];
+    this.snapshotBase();
+    this.validateDependencies();
+    this.expireClaims();
     return this;
   }
 
+  /**
+   * Load project config (.ai/config.json), empty object if missing
+   */
+  loadConfig() {
+    if (this.config) return this.config;
+    try {
+      this.config = JSON.parse(fs.readFileSync(this.configFile, 'utf-8'));
+    } catch (error) {
+      this.config = {};
+    }
+    return this.config;
+  }
+
+  /**
+   * Read and parse tasks.json from disk
+   */
+  readTasksFile() {
+    return JSON.parse(fs.readFileSync(this.tasksFile, 'utf-8'));
+  }
+
+  /**
+   * Remember tasks as they are on disk (base for the merge in save())
+   */
+  snapshotBase() {
+    this.baseEntries = new Map(
+      this.tasks.map(t => [t.step, JSON.parse(JSON.stringify(t))])
+    );
+  }
+
+  /**
+   * Validate task dependencies (cycles, missing steps, forward references)
+   * With fix, invalid edges are dropped and tasks.json is saved
+   * @returns {Object} Validation result with the removed edges
+   */
+  validateDependencies({ fix = false } = {}) {
+    const graph = DependencyGraph.fromTasks(this.tasks);
+    const validation = graph.validate();
+    let removed = [];
+
+    if (fix && !validation.valid) {
+      removed = graph.fixInvalidEdges();
+      this.calculateReadyTasks();
+      this.save();
+    }
+
+    this.dependencyValidation = removed.length > 0 ? graph.validate() : validation;
+    return { ...validation, removed };
+  }
+
   /**
    * Save tasks back to tasks.json
+   * Holds the lock, re-reads the file and merges the fields changed since
+   * load() on top of it, so concurrent commands don't lose each other's updates
    */
   save() {
+    // Written once at the end of the transaction
+    if (this.inTransaction) return;
+
+    withLock(this.tasksFile, () => {
+      this.refreshFromDisk();
+      this.writeTasks();
+    });
+    this.runHooks();
+  }
+
+  /**
+   * Run a read-check-write sequence atomically (under the tasks.json lock)
+   * fn sees the latest tasks from disk; save() calls inside it are deferred
+   * @param {Function} fn - Synchronous function
+   * @returns {*} Result of fn
+   */
+  transaction(fn) {
+    const result = withLock(this.tasksFile, () => {
+      this.inTransaction = true;
+      try {
+        this.refreshFromDisk();
+        const result = fn();
+        this.writeTasks();
+        return result;
+      } finally {
+        this.inTransaction = false;
+      }
+    });
+    this.runHooks();
+    return result;
+  }
+
+  /**
+   * Merge local changes on top of the current tasks.json (caller holds the lock)
+   */
+  refreshFromDisk() {
+    if (!fs.existsSync(this.tasksFile)) return;
+
+    const disk = this.readTasksFile();
+    this.diskStatuses = new Map((disk.entries || []).map(e => [e.step, e.status]));
+    this.mergeWithDisk(disk.entries || []);
+    this.metadata = {
+      generatedAt: disk.generatedAt,
+      project: disk.project,
+      totalSteps: disk.totalSteps
+    };
+    this.calculateReadyTasks();
+  }
+
+  /**
+   * Write tasks.json atomically (caller holds the lock)
+   * Transitions recorded since the last write are appended to the history
+   */
+  writeTasks() {
     const data = {
       ...this.metadata,
       totalSteps: this.tasks.length,
       entries: this.tasks
     };
-    fs.writeFileSync(this.tasksFile, JSON.stringify(data, null, 2));
+    writeFileAtomic(this.tasksFile, JSON.stringify(data, null, 2));
+    this.queueHooks();
+    this.snapshotBase();
+
+    this.history.append(this.pendingEvents);
+    this.pendingEvents = [];
+  }
+
+  /**
+   * Queue the hook events of the changes just written (caller holds the lock)
+   * Compared with tasks.json as it was on disk, so a change is only reported once
+   */
+  queueHooks() {
+    const previous = this.diskStatuses ||
+      new Map([...this.baseEntries].map(([step, task]) => [step, task.status]));
+    this.diskStatuses = null;
+
+    this.pendingEvents.forEach(event => {
+      if (event.action === 'prompt') this.pendingHooks.push({ event: 'step-prompted', step: event.step });
+      if (event.action === 'complete') this.pendingHooks.push({ event: 'step-completed', step: event.step });
+    });
+
+    this.tasks
+      .filter(task => task.status === 'ready' && previous.has(task.step) && previous.get(task.step) !== 'ready')
+      .forEach(task => this.pendingHooks.push({ event: 'step-ready', step: task.step }));
+
+    const newlyCompleted = this.tasks.some(task => task.status === 'completed' && previous.get(task.step) !== 'completed');
+    if (!newlyCompleted) return;
+
+    const isCompleted = step => this.getTask(step)?.status === 'completed';
+    this.getMilestones()
+      .filter(milestone => milestone.steps.length > 0 && milestone.steps.every(isCompleted))
+      .filter(milestone => !milestone.steps.every(step => previous.get(step) === 'completed'))
+      .forEach(milestone => this.pendingHooks.push({ event: 'milestone-completed', milestone }));
+  }
+
+  /**
+   * Run the queued hooks, once tasks.json is written and unlocked
+   */
+  runHooks() {
+    const queued = this.pendingHooks;
+    this.pendingHooks = [];
+    queued.forEach(({ event, step, ...extra }) => {
+      this.runHook(event, { task: step ? this.getTask(step) : undefined, ...extra });
+    });
+  }
+
+  /**
+   * Run the hooks of an event (config "hooks" and .ai/hooks/), project and progress in the payload
+   * A failing hook is reported on stderr, it never throws
+   * @param {string} event - One of HookRunner.HOOK_EVENTS
+   * @param {Object} extra - Payload fields (task, milestone, verification...)
+   * @returns {Object[]} Hook results
+   */
+  runHook(event, extra = {}) {
+    const runner = new HookRunner(this.projectDir, this.loadConfig().hooks);
+    try {
+      const { readyTasks, ...progress } = this.getProgress();
+      return runner.run(event, {
+        project: this.metadata.project,
+        projectDir: this.projectDir,
+        actor: this.getActor(),
+        ...extra,
+        progress: { ...progress, readySteps: readyTasks.map(t => t.step) }
+      });
+    } catch (error) {
+      runner.report(event, { hook: '-', error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Milestones with their progress: from the plan (structured "milestones" or
+   * ## Milestone/Phase/Jalon sections) or grouped automatically like the workflow
+   * @returns {Object[]} MilestoneManager milestones
+   */
+  getMilestones() {
+    let planMilestones = null;
+    try {
+      const docsDir = path.join(this.projectDir, '.ai', 'docs');
+      const structured = StructuredPlan.locate(docsDir);
+      const parsed = structured
+        ? StructuredPlan.load(structured).milestones
+        : PlanParser.parseMilestones(fs.readFileSync(path.join(docsDir, 'implementation-plan.md'), 'utf-8'));
+      if (parsed.some(m => m.steps.length > 0)) planMilestones = parsed;
+    } catch (error) {
+      // No plan or invalid structured plan: automatic milestones
+    }
+
+    const manager = new MilestoneManager(this.tasks.map(t => ({ number: t.step, name: t.title })));
+    manager.createMilestones(planMilestones);
+    manager.deduplicateSteps();
+    manager.updateProgress(this.tasks.filter(t => t.status === 'completed').map(t => t.step));
+    return manager.milestones.map(({ stepDetails, ...milestone }) => milestone);
+  }
+
+  /**
+   * Name recorded as actor in the history (claim owner by default)
+   */
+  getActor() {
+    return this.actor || Orchestrator.defaultOwner();
+  }
+
+  /**
+   * Queue a history event for a task change (written with tasks.json)
+   * @param {Object} task - Task after the change
+   * @param {string} action - prompt, complete, reset, claim, release, expire, import, undo
+   * @param {Object} before - State captured before the change
+   * @param {Object} extra - Additional event fields (actor, undoes, auto, cause)
+   * @returns {Object} Queued event
+   */
+  recordTransition(task, action, before, extra = {}) {
+    const event = TaskHistory.createEvent({
+      action,
+      step: task.step,
+      actor: extra.actor || this.getActor(),
+      from: before,
+      to: TaskHistory.captureState(task),
+      undoes: extra.undoes,
+      auto: extra.auto,
+      cause: extra.cause
+    });
+    this.pendingEvents.push(event);
+    return event;
+  }
+
+  /**
+   * Three-way merge (base = loaded, ours = memory, theirs = disk), field by field
+   * Task objects are updated in place so references held by callers stay valid
+   * @param {Object[]} diskEntries - Entries currently on disk
+   */
+  mergeWithDisk(diskEntries) {
+    const mine = new Map(this.tasks.map(t => [t.step, t]));
+
+    this.tasks = diskEntries.map(diskTask => {
+      const task = mine.get(diskTask.step);
+      if (!task) return diskTask;
+
+      const base = this.baseEntries.get(diskTask.step) || {};
+      const merged = { ...diskTask };
+      const keys = new Set([...Object.keys(base), ...Object.keys(task)]);
+
+      for (const key of keys) {
+        if (JSON.stringify(task[key]) === JSON.stringify(base[key])) continue;
+        if (task[key] === undefined) {
+          delete merged[key];
+        } else {
+          merged[key] = task[key];
+        }
+      }
+
+      for (const key of Object.keys(task)) delete task[key];
+      return Object.assign(task, merged);
+    });
   }
 
   /**
@@ -51,6 +343,22 @@ class Orchestrator {
     return this.tasks.find(t => t.step === stepNumber);
   }
 
+  /**
+   * Resolve a --step value: a step number, or a plan label such as "2.1"
+   * @param {string|number} value - Value given by the user
+   * @returns {number} Step number
+   */
+  resolveStep(value) {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return parseInt(text, 10);
+
+    const task = this.tasks.find(t => t.label === text);
+    if (!task) {
+      throw new Error(`Step ${text} not found (neither a step number nor a plan label)`);
+    }
+    return task.step;
+  }
+
   /**
    * Get all tasks with a specific status
    */
@@ -58,13 +366,31 @@ class Orchestrator {
     return this.tasks.filter(t => t.status === status);
   }
 
+  /**
+   * Check that a task can be worked on directly (parents complete with their sub-steps)
+   * @param {Object} task - Task entry
+   * @throws {Error} For a parent task
+   */
+  assertNotParent(task) {
+    if (TaskTree.isParent(task)) {
+      throw new Error(`Step ${TaskTree.label(task)} groups sub-steps (${task.children.join(', ')}): it completes with them`);
+    }
+  }
+
   /**
    * Calculate which tasks are ready (dependencies satisfied)
+   * Parent tasks first follow their sub-steps, they are never ready themselves
    */
   calculateReadyTasks() {
+    TaskTree.syncParents(this.tasks).forEach(({ task, before }) => {
+      this.recordTransition(task, task.status === 'completed' ? 'complete' : 'reset',
+        TaskHistory.captureState(before), { actor: 'system', auto: true });
+    });
+
     return this.tasks.filter(task => {
       if (task.status === 'completed') return false;
-      if (task.status === 'ready') return true;
+      if (task.status === 'in-progress') return false;
+      if (TaskTree.isParent(task)) return false;
       
       // Check if all dependencies are completed
       const depsCompleted = task.dependsOn.every(depStep => {
@@ -72,9 +398,11 @@ class Orchestrator {
         return depTask && depTask.status === 'completed';
       });
 
-      // Update status if newly ready
+      // Update status if newly ready, or back to pending if a dependency was undone
       if (depsCompleted && task.status === 'pending') {
         task.status = 'ready';
+      } else if (!depsCompleted && task.status === 'ready') {
+        task.status = 'pending';
       }
 
       return depsCompleted;
@@ -82,30 +410,207 @@ class Orchestrator {
   }
 
   /**
-   * Get the next available task (first ready task)
+   * Scheduling strategy (config: scheduling.strategy, default critical)
    */
-  getNextTask() {
-    const readyTasks = this.calculateReadyTasks();
-    return readyTasks.length > 0 ? readyTasks[0] : null;
+  getDefaultStrategy() {
+    return this.loadConfig().scheduling?.strategy || 'critical';
+  }
+
+  /**
+   * Rank available tasks, best first
+   * @param {string} strategy - critical, fifo, module or shortest
+   * @returns {Object[]} [{ task, reasons }]
+   */
+  rankReadyTasks(strategy = this.getDefaultStrategy()) {
+    const readyTasks = this.calculateReadyTasks().filter(t => !this.isClaimed(t));
+    return TaskScheduler.rank(readyTasks, this.tasks, strategy);
+  }
+
+  /**
+   * Get the next available task according to a strategy
+   * @param {string} strategy - critical, fifo, module or shortest
+   */
+  getNextTask(strategy = this.getDefaultStrategy()) {
+    const ranked = this.rankReadyTasks(strategy);
+    return ranked.length > 0 ? ranked[0].task : null;
+  }
+
+  /**
+   * Default claim owner (PCB_OWNER or the OS user name)
+   */
+  static defaultOwner() {
+    if (process.env.PCB_OWNER) return process.env.PCB_OWNER;
+    try {
+      return os.userInfo().username;
+    } catch (error) {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Claim expiry in minutes (config: claims.expireAfterMinutes, default 4h, 0 = never)
+   */
+  getClaimTimeoutMinutes() {
+    const value = this.loadConfig().claims?.expireAfterMinutes;
+    return typeof value === 'number' && value >= 0 ? value : 240;
+  }
+
+  /**
+   * Check whether a task is currently claimed
+   */
+  isClaimed(task) {
+    return Boolean(task && task.claimedBy && task.status === 'in-progress');
+  }
+
+  /**
+   * Check whether a claim is older than the configured timeout
+   */
+  isClaimExpired(task, now = Date.now()) {
+    const timeout = this.getClaimTimeoutMinutes();
+    if (!this.isClaimed(task) || timeout === 0 || !task.claimedAt) return false;
+    return now - new Date(task.claimedAt).getTime() > timeout * 60 * 1000;
+  }
+
+  /**
+   * Release claims held longer than the configured timeout
+   * @returns {Object[]} Tasks whose claim expired
+   */
+  expireClaims() {
+    const expired = this.tasks.filter(task => this.isClaimExpired(task));
+    expired.forEach(task => {
+      const before = TaskHistory.captureState(task);
+      this.clearClaim(task);
+      this.recordTransition(task, 'expire', before, { actor: 'system' });
+    });
+    return expired;
+  }
+
+  /**
+   * Remove claim fields and restore the status the task had before
+   */
+  clearClaim(task) {
+    delete task.claimedBy;
+    delete task.claimedAt;
+    if (task.status === 'in-progress') {
+      task.status = task.promptedAt ? 'prompted' : 'pending';
+      this.calculateReadyTasks();
+    }
+  }
+
+  /**
+   * Claim a task for an owner (status in-progress)
+   * @param {number} stepNumber - Step to claim
+   * @param {string} owner - Owner name
+   * @param {Object} options - { force } to take over another claim or unmet dependencies
+   */
+  claimTask(stepNumber, owner = Orchestrator.defaultOwner(), { force = false } = {}) {
+    return this.transaction(() => {
+      this.expireClaims();
+      const task = this.getTask(stepNumber);
+      if (!task) {
+        throw new Error(`Step ${stepNumber} not found`);
+      }
+      if (task.status === 'completed') {
+        throw new Error(`Step ${stepNumber} is already completed`);
+      }
+      this.assertNotParent(task);
+      if (this.isClaimed(task) && task.claimedBy !== owner && !force) {
+        throw new Error(`Step ${stepNumber} is already claimed by ${task.claimedBy} (since ${task.claimedAt})`);
+      }
+
+      const unmetDeps = (task.dependsOn || []).filter(dep => this.getTask(dep)?.status !== 'completed');
+      if (unmetDeps.length > 0 && !force) {
+        throw new Error(`Step ${stepNumber} depends on unfinished steps: ${unmetDeps.join(', ')}`);
+      }
+
+      const before = TaskHistory.captureState(task);
+      task.status = 'in-progress';
+      task.claimedBy = owner;
+      task.claimedAt = new Date().toISOString();
+      task.startedAt = task.startedAt || task.claimedAt;
+      this.snapshotGitBase(task);
+      this.recordTransition(task, 'claim', before, { actor: owner });
+      return task;
+    });
+  }
+
+  /**
+   * Claim the next available task atomically
+   * @param {string} owner - Owner name
+   * @param {string} strategy - Scheduling strategy
+   * @returns {Object|null} Claimed task
+   */
+  claimNextTask(owner = Orchestrator.defaultOwner(), strategy = this.getDefaultStrategy()) {
+    return this.transaction(() => {
+      this.expireClaims();
+      const task = this.getNextTask(strategy);
+      if (!task) return null;
+
+      const before = TaskHistory.captureState(task);
+      task.status = 'in-progress';
+      task.claimedBy = owner;
+      task.claimedAt = new Date().toISOString();
+      task.startedAt = task.startedAt || task.claimedAt;
+      this.snapshotGitBase(task);
+      this.recordTransition(task, 'claim', before, { actor: owner });
+      return task;
+    });
+  }
+
+  /**
+   * Release a claimed task
+   * @param {number} stepNumber - Step to release
+   * @param {string} owner - Owner releasing the claim
+   * @param {Object} options - { force } to release someone else's claim
+   */
+  releaseTask(stepNumber, owner = Orchestrator.defaultOwner(), { force = false } = {}) {
+    return this.transaction(() => {
+      const task = this.getTask(stepNumber);
+      if (!task) {
+        throw new Error(`Step ${stepNumber} not found`);
+      }
+      if (!this.isClaimed(task)) {
+        throw new Error(`Step ${stepNumber} is not claimed`);
+      }
+      if (task.claimedBy !== owner && !force) {
+        throw new Error(`Step ${stepNumber} is claimed by ${task.claimedBy}, not ${owner}`);
+      }
+
+      const before = TaskHistory.captureState(task);
+      this.clearClaim(task);
+      this.recordTransition(task, 'release', before, { actor: owner });
+      return task;
+    });
+  }
+
+  /**
+   * Get claimed tasks
+   */
+  getClaimedTasks() {
+    return this.tasks.filter(task => this.isClaimed(task));
   }
 
   /**
    * Get progress statistics
    */
   getProgress() {
-    const completed = this.tasks.filter(t => t.status === 'completed').length;
+    // Parents complete with their sub-steps: only steps carrying work are counted
+    const steps = TaskStats.workItems(this.tasks);
+    const completed = steps.filter(t => t.status === 'completed').length;
     const readyTasks = this.calculateReadyTasks();
-    const pending = this.tasks.filter(t => t.status === 'pending').length;
-    const prompted = this.tasks.filter(t => t.status === 'prompted').length;
+    const pending = steps.filter(t => t.status === 'pending').length;
+    const prompted = steps.filter(t => t.status === 'prompted').length;
+    const inProgress = steps.filter(t => t.status === 'in-progress').length;
 
     return {
-      total: this.tasks.length,
+      total: steps.length,
       completed,
       ready: readyTasks.length,
       pending,
       prompted,
-      percentage: this.tasks.length > 0 
-        ? Math.round((completed / this.tasks.length) * 100) 
+      inProgress,
+      percentage: steps.length > 0 
+        ? Math.round((completed / steps.length) * 100) 
         : 0,
       readyTasks
     };
@@ -161,6 +666,44 @@ class Orchestrator {
     return agents;
   }
 
+  /**
+   * Time tracking stats: estimate vs actual, throughput and forecast
+   * (config: stats.hoursPerDay, default 8)
+   * @param {Object} options - { days } throughput window
+   */
+  getStats({ days = 14 } = {}) {
+    const hoursPerDay = this.loadConfig().stats?.hoursPerDay || 8;
+    return {
+      byModule: TaskStats.compareByGroup(this.tasks, 'module'),
+      byAgent: TaskStats.compareByGroup(this.tasks, 'agent'),
+      throughput: TaskStats.throughput(this.tasks, { days }),
+      forecast: TaskStats.forecast(this.tasks, { hoursPerDay, days }),
+      hoursPerDay
+    };
+  }
+
+  /**
+   * Schedule and burndown behind report:gantt and the workflow.md planning
+   * Day 0 is the start option, else the tasks.json generation date
+   * @param {Object} options - { start, now }
+   * @returns {Object} { project, start, hoursPerDay, schedule, milestones, critical, burndown }
+   */
+  getPlanning({ start, now = Date.now() } = {}) {
+    const hoursPerDay = this.loadConfig().stats?.hoursPerDay || 8;
+    const startDate = (start || this.metadata.generatedAt || new Date(now).toISOString()).substring(0, 10);
+    const schedule = ProgressCharts.schedule(this.tasks, { hoursPerDay });
+
+    return {
+      project: this.metadata.project,
+      start: startDate,
+      hoursPerDay,
+      schedule,
+      milestones: this.getMilestones(),
+      critical: TaskStats.remainingCriticalPath(this.tasks).steps,
+      burndown: ProgressCharts.burndown(this.tasks, { start: startDate, now, plannedDays: schedule.totalDays })
+    };
+  }
+
   /**
    * Mark a task as prompted (user copied the prompt)
    */
@@ -169,30 +712,273 @@ class Orchestrator {
     if (!task) {
       throw new Error(`Step ${stepNumber} not found`);
     }
+    this.assertNotParent(task);
     
-    task.status = 'prompted';
+    const before = TaskHistory.captureState(task);
+
+    // A claimed task stays in-progress, only the prompt time is recorded
+    if (task.status !== 'in-progress') {
+      task.status = 'prompted';
+    }
     task.promptedAt = new Date().toISOString();
+    task.startedAt = task.startedAt || task.promptedAt;
+    this.snapshotGitBase(task);
+    this.recordTransition(task, 'prompt', before);
     this.save();
     return task;
   }
 
+  /**
+   * Verify commands of a task (see VerifyRunner.resolveCommands)
+   * @param {number} stepNumber - Step number
+   * @returns {Object[]} [{ command, source, skip }]
+   */
+  getVerifyCommands(stepNumber) {
+    const task = this.getTask(stepNumber);
+    if (!task) {
+      throw new Error(`Step ${stepNumber} not found`);
+    }
+
+    let stepContent = '';
+    try {
+      stepContent = this.readStepContent(stepNumber);
+    } catch (error) {
+      // No step file: only task/config/module commands apply
+    }
+    return new VerifyRunner(this.projectDir, this.loadConfig().verify).resolveCommands(task, stepContent);
+  }
+
+  /**
+   * Run the verify commands of a task and record the result in its entry
+   * @param {number} stepNumber - Step number
+   * @param {Object} options - { onResult } called after each command
+   * @returns {Object} { at, passed, results }
+   */
+  verifyTask(stepNumber, { onResult } = {}) {
+    const task = this.getTask(stepNumber);
+    const commands = this.getVerifyCommands(stepNumber);
+    const runner = new VerifyRunner(this.projectDir, this.loadConfig().verify);
+    const { passed, results } = runner.run(commands, onResult);
+
+    task.verification = {
+      at: new Date().toISOString(),
+      passed,
+      results
+    };
+    if (!passed) {
+      this.pendingHooks.push({ event: 'verify-failed', step: stepNumber, verification: task.verification });
+    }
+    this.save();
+    return task.verification;
+  }
+
+  /**
+   * Git options (config: git.enabled, git.autoCommit, git.tag)
+   */
+  getGitConfig() {
+    return { enabled: true, autoCommit: false, tag: false, ...this.loadConfig().git };
+  }
+
+  /**
+   * Remember HEAD when work on a task starts (kept until the task is reset)
+   */
+  snapshotGitBase(task) {
+    if (task.git?.base || !this.getGitConfig().enabled || !this.gitTracker.isRepo()) return;
+    task.git = { base: this.gitTracker.head(), baseAt: new Date().toISOString() };
+  }
+
+  /**
+   * Record the commits and files touched by a task, optionally commit and tag
+   * @param {Object} task - Task being completed
+   * @param {Object} options - { commit, tag }
+   * @returns {Object|null} Git info stored in task.git, null outside a repository
+   */
+  recordGitCompletion(task, { commit, tag }) {
+    if (!this.getGitConfig().enabled || !this.gitTracker.isRepo()) return null;
+
+    // A step completed without being prompted has no starting commit: its files are unknown
+    const base = task.git?.base || null;
+    const files = this.gitTracker.changedFiles(base);
+    const untouched = !files ? [] : (task.files || []).filter(declared => {
+      const prefix = declared.replace(/\/$/, '') + '/';
+      return !files.some(file => file === declared || file.startsWith(prefix));
+    });
+
+    const info = { ...task.git, base, files, untouched };
+    const message = `Step ${task.step}: ${task.title}`;
+
+    try {
+      if (commit) {
+        info.committed = this.gitTracker.commitAll(message);
+      }
+      if (tag) {
+        const tagName = `step-${task.step}`;
+        info.tag = this.gitTracker.tag(tagName, message) ? tagName : null;
+        if (!info.tag) info.error = `Tag ${tagName} already exists`;
+      }
+    } catch (error) {
+      info.error = error.message;
+    }
+
+    info.head = this.gitTracker.head();
+    info.commits = this.gitTracker.countCommits(base, info.head);
+    task.git = info;
+    return info;
+  }
+
+  /**
+   * Directory holding task worktrees (config: worktrees.dir, default ../<repo>.worktrees)
+   */
+  getWorktreesDir() {
+    const configured = this.loadConfig().worktrees?.dir;
+    if (configured) return path.resolve(this.projectDir, configured);
+
+    const root = this.gitTracker.repoRoot() || this.projectDir;
+    return path.join(path.dirname(root), `${path.basename(root)}.worktrees`);
+  }
+
+  /**
+   * Create a git worktree and branch for a ready task, claim it and write its prompt there
+   * @param {number} stepNumber - Step number
+   * @param {Object} options - { owner }
+   * @returns {Object} Worktree info stored in task.worktree
+   */
+  spawnWorktree(stepNumber, { owner = Orchestrator.defaultOwner() } = {}) {
+    if (!this.gitTracker.isRepo()) {
+      throw new Error('Not a git repository (agents:spawn needs git worktrees)');
+    }
+    const head = this.gitTracker.head();
+    if (!head) {
+      throw new Error('The repository has no commit yet');
+    }
+
+    const existing = this.getTask(stepNumber);
+    if (existing?.worktree && !existing.worktree.mergedAt) {
+      throw new Error(`Step ${stepNumber} already has a worktree: ${existing.worktree.path}`);
+    }
+
+    const task = this.claimTask(stepNumber, owner);
+    const root = this.gitTracker.repoRoot();
+    // The prompt file is ours, not the agent's work: keep it out of commits
+    this.gitTracker.excludePattern('.ai/current-step.md');
+    const worktreePath = path.join(this.getWorktreesDir(), `step-${stepNumber}`);
+    const branch = `agents/step-${stepNumber}`;
+
+    try {
+      this.gitTracker.addWorktree(worktreePath, branch, head);
+    } catch (error) {
+      this.releaseTask(stepNumber, owner, { force: true });
+      throw error;
+    }
+
+    // The project may live in a sub-directory of the repository
+    const projectPath = path.join(worktreePath, path.relative(root, this.projectDir));
+    const promptPath = path.join(projectPath, '.ai', 'current-step.md');
+    fs.mkdirSync(path.dirname(promptPath), { recursive: true });
+    fs.writeFileSync(promptPath, [
+      `<!-- Worktree for Step ${stepNumber}, branch ${branch}. Commit your work here; -->`,
+      `<!-- merge it from the main checkout with: prompt-cursor agents:merge --step ${stepNumber} -->`,
+      '',
+      this.readStepContent(stepNumber)
+    ].join('\n'), 'utf-8');
+
+    task.worktree = {
+      path: worktreePath,
+      branch,
+      base: head,
+      prompt: path.relative(worktreePath, promptPath),
+      createdAt: new Date().toISOString()
+    };
+    this.save();
+    return task.worktree;
+  }
+
+  /**
+   * Merge the branch of a task worktree back and remove the worktree
+   * The caller completes the task afterwards (agents:merge runs agents:complete)
+   * @param {number} stepNumber - Step number
+   * @param {Object} options - { commit: commit pending worktree changes, keep: keep worktree and branch }
+   * @returns {Object} { ok, conflicts, output, committed }
+   */
+  mergeWorktree(stepNumber, { commit = false, keep = false } = {}) {
+    const task = this.getTask(stepNumber);
+    if (!task) {
+      throw new Error(`Step ${stepNumber} not found`);
+    }
+    const worktree = task.worktree;
+    if (!worktree || worktree.mergedAt) {
+      throw new Error(`Step ${stepNumber} has no active worktree (run agents:spawn first)`);
+    }
+
+    let committed = null;
+    if (fs.existsSync(worktree.path)) {
+      const worktreeGit = new GitTracker(worktree.path);
+      if (worktreeGit.isDirty()) {
+        if (!commit) {
+          throw new Error(`Uncommitted changes in ${worktree.path} (commit them or use --commit)`);
+        }
+        committed = worktreeGit.commitAll(`Step ${task.step}: ${task.title}`);
+      }
+    }
+
+    const result = this.gitTracker.mergeBranch(worktree.branch, `Merge step ${task.step}: ${task.title}`);
+    if (!result.ok) {
+      return { ...result, committed };
+    }
+
+    if (!keep) {
+      if (fs.existsSync(worktree.path)) {
+        this.gitTracker.removeWorktree(worktree.path, { force: true });
+      }
+      this.gitTracker.deleteBranch(worktree.branch);
+    }
+
+    task.worktree = { ...worktree, mergedAt: new Date().toISOString(), merge: this.gitTracker.head() };
+    this.save();
+    return { ...result, committed };
+  }
+
+  /**
+   * Tasks with an active (not merged) worktree
+   */
+  getWorktreeTasks() {
+    return this.tasks.filter(task => task.worktree && !task.worktree.mergedAt);
+  }
+
   /**
    * Mark a task as completed
+   * @param {number} stepNumber - Step number
+   * @param {Object} options - { commit, tag } (default: git.autoCommit / git.tag config)
    */
-  markAsCompleted(stepNumber) {
+  markAsCompleted(stepNumber, options = {}) {
     const task = this.getTask(stepNumber);
     if (!task) {
       throw new Error(`Step ${stepNumber} not found`);
     }
+    this.assertNotParent(task);
 
+    const before = TaskHistory.captureState(task);
     task.status = 'completed';
     task.completedAt = new Date().toISOString();
-    this.save();
+    const actualHours = TaskStats.durationHours(task);
+    if (actualHours !== null) task.actualHours = actualHours;
+    delete task.claimedBy;
+    delete task.claimedAt;
+    this.recordTransition(task, 'complete', before);
 
     // Recalculate ready tasks
     this.calculateReadyTasks();
     this.save();
 
+    // Commit once the completion is saved (the commit includes it), then store the hash
+    const gitConfig = this.getGitConfig();
+    if (this.recordGitCompletion(task, {
+      commit: options.commit ?? gitConfig.autoCommit,
+      tag: options.tag ?? gitConfig.tag
+    })) {
+      this.save();
+    }
+
     this.ensureE2ETest(stepNumber);
 
     // Update workflow.md
@@ -202,20 +988,210 @@ class Orchestrator {
   }
 
   /**
-   * Reset a task to pending
+   * Complete a task behind the verification gate (same rules as agents:complete)
+   * @param {number} stepNumber - Step number
+   * @param {Object} options - { verify: false to skip, force, commit, tag, onResult }
+   * @returns {Object} { completed, task, verification, reason }
    */
-  resetTask(stepNumber) {
+  completeTask(stepNumber, { verify = true, force = false, commit, tag, onResult } = {}) {
     const task = this.getTask(stepNumber);
     if (!task) {
       throw new Error(`Step ${stepNumber} not found`);
     }
+    if (task.status === 'completed') {
+      return { completed: false, task, verification: null, reason: 'already-completed' };
+    }
+    this.assertNotParent(task);
 
-    task.status = task.dependsOn.length === 0 ? 'ready' : 'pending';
-    delete task.completedAt;
-    delete task.promptedAt;
-    this.save();
+    let verification = null;
+    if (verify !== false && this.getVerifyCommands(stepNumber).length > 0) {
+      verification = this.verifyTask(stepNumber, { onResult });
+      if (!verification.passed) {
+        if (!force) {
+          return { completed: false, task, verification, reason: 'verification-failed' };
+        }
+        task.verification.forced = true;
+      }
+    }
 
-    return task;
+    this.markAsCompleted(stepNumber, { commit, tag });
+    return { completed: true, task, verification, reason: null };
+  }
+
+  /**
+   * Apply the state of imported tasks (done, in progress, priority) in one write
+   * Only pending or ready tasks change, so progress made here is never overwritten.
+   * A task in progress at the source has no owner here: it becomes prompted, not claimed
+   * @param {Object[]} states - [{ step, status, priority }]
+   * @returns {Object[]} Tasks whose status changed
+   */
+  applyImportedState(states) {
+    const changed = this.transaction(() => {
+      const now = new Date().toISOString();
+      const updated = [];
+
+      states.forEach(({ step, status, priority }) => {
+        const task = this.getTask(step);
+        if (!task) return;
+
+        if (priority !== undefined && priority !== null && priority !== '' && task.priority === undefined) {
+          task.priority = priority;
+        }
+        const target = status === 'in-progress' ? 'prompted' : status;
+        if (!target || task.status === target || !['pending', 'ready'].includes(task.status)) return;
+
+        const before = TaskHistory.captureState(task);
+        task.status = target;
+        if (target === 'completed') task.completedAt = now;
+        if (target === 'prompted') {
+          task.promptedAt = now;
+          task.startedAt = now;
+        }
+        this.recordTransition(task, 'import', before);
+        updated.push(task);
+      });
+
+      this.calculateReadyTasks();
+      return updated;
+    });
+
+    if (changed.length > 0) {
+      this.updateWorkflow();
+    }
+    return changed;
+  }
+
+  /**
+   * Get the steps that would be moved back to pending by a cascading reset
+   * (transitive dependents that were started or completed)
+   * @param {number} stepNumber - Step to reset
+   * @returns {Object[]} Affected tasks
+   */
+  getResetCascade(stepNumber) {
+    const graph = DependencyGraph.fromTasks(this.tasks);
+    return graph.getDependents(stepNumber)
+      .map(step => this.getTask(step))
+      .filter(task => task && (!['pending', 'ready'].includes(task.status) || task.promptedAt));
+  }
+
+  /**
+   * Reset a task to pending, or reopen it (completed → prompted)
+   * With cascade, started or completed dependents go back to pending too
+   * @param {number} stepNumber - Step to reset
+   * @param {Object} options - { cascade, reopen }
+   * @returns {Object} { task, dependents }
+   */
+  resetTask(stepNumber, { cascade = false, reopen = false } = {}) {
+    const result = this.transaction(() => {
+      const task = this.getTask(stepNumber);
+      if (!task) {
+        throw new Error(`Step ${stepNumber} not found`);
+      }
+      this.assertNotParent(task);
+      if (reopen && task.status !== 'completed') {
+        throw new Error(`Step ${stepNumber} is not completed (${task.status})`);
+      }
+
+      const before = TaskHistory.captureState(task);
+      if (reopen) {
+        task.status = 'prompted';
+        task.promptedAt = task.promptedAt || new Date().toISOString();
+        if (task.git) task.git = { base: task.git.base, baseAt: task.git.baseAt };
+      } else {
+        task.status = task.dependsOn.length === 0 ? 'ready' : 'pending';
+        delete task.promptedAt;
+        delete task.startedAt;
+        delete task.git;
+      }
+      delete task.completedAt;
+      delete task.actualHours;
+      delete task.verification;
+      delete task.claimedBy;
+      delete task.claimedAt;
+
+      const dependents = cascade ? this.getResetCascade(stepNumber) : [];
+      const previous = new Map(dependents.map(dependent => [dependent.step, TaskHistory.captureState(dependent)]));
+      dependents.forEach(dependent => {
+        dependent.status = 'pending';
+        delete dependent.completedAt;
+        delete dependent.promptedAt;
+        delete dependent.startedAt;
+        delete dependent.actualHours;
+        delete dependent.verification;
+        delete dependent.git;
+        delete dependent.claimedBy;
+        delete dependent.claimedAt;
+      });
+
+      // Logged once readiness is recalculated, so undo expects the status actually saved.
+      // Cascaded resets are undone with the reset that caused them
+      this.calculateReadyTasks();
+      const root = this.recordTransition(task, reopen ? 'reopen' : 'reset', before);
+      dependents.forEach(dependent => {
+        this.recordTransition(dependent, 'reset', previous.get(dependent.step), { auto: true, cause: root.id });
+      });
+      return { task, dependents };
+    });
+
+    this.updateWorkflow();
+    return result;
+  }
+
+  /**
+   * Revert the last transitions recorded in the history
+   * Stops at the first task whose status changed since the transition (unless force)
+   * @param {number} count - Number of transitions to revert
+   * @param {Object} options - { force } to revert even if the task changed since
+   * @returns {Object} { reverted: [{ event, task }], conflict: { event, reason } | null }
+   */
+  undo(count = 1, { force = false } = {}) {
+    const result = this.transaction(() => {
+      const reverted = [];
+      let conflict = null;
+
+      for (const event of this.history.getUndoable(count)) {
+        // A transition and the ones it caused (cascaded resets) are reverted together
+        const group = [event, ...this.history.getCaused(event.id)];
+        const tasks = group.map(e => this.getTask(e.step));
+        const index = group.findIndex((e, i) => !tasks[i] || (tasks[i].status !== e.to.status && !force));
+        if (index !== -1) {
+          const e = group[index];
+          conflict = tasks[index]
+            ? { event: e, reason: `Step ${e.step} is now ${tasks[index].status} (expected ${e.to.status})` }
+            : { event: e, reason: `Step ${e.step} no longer exists` };
+          break;
+        }
+
+        group.forEach((e, i) => {
+          const before = TaskHistory.captureState(tasks[i]);
+          TaskHistory.applyState(tasks[i], e.from);
+          this.recordTransition(tasks[i], 'undo', before, { undoes: e.id, auto: e !== event });
+          reverted.push({ event: e, task: tasks[i] });
+        });
+      }
+
+      this.calculateReadyTasks();
+      return { reverted, conflict };
+    });
+
+    if (result.reverted.length > 0) {
+      this.updateWorkflow();
+    }
+    return result;
+  }
+
+  /**
+   * Read history events, oldest first
+   * @param {Object} filters - { step }
+   * @returns {Object[]} Events with an `undone` flag
+   */
+  getHistory({ step } = {}) {
+    const events = this.history.readAll();
+    const undone = TaskHistory.getUndoneIds(events);
+
+    return events
+      .filter(e => step === undefined || e.step === step)
+      .map(e => ({ ...e, undone: undone.has(e.id) }));
   }
 
   /**
@@ -305,6 +1281,7 @@ class Orchestrator {
     const route = uiTest.route || '/';
 
     const content = [
+      `${VerifyRunner.GENERATED_E2E_MARKER}: remove this line to run it with agents:complete`,
       `import { test, expect } from '@playwright/test';`,
       `import fs from 'node:fs';`,
       `import path from 'node:path';`,
@@ -371,25 +1348,36 @@ ${progressBar} ${progress.percentage}%
 `;
     content = content.replace(progressRegex, newProgressSection);
 
-    // Update table rows
-    this.tasks.forEach(task => {
+    // Update table rows (sub-steps keep their tree prefix)
+    TaskTree.flatten(this.tasks).forEach(row => {
+      const { task } = row;
       const statusIcon = this.getStatusIcon(task.status);
       const statusText = this.getStatusText(task.status);
       
-      // Match the row by step number
+      // Match the row by step label ("3 (2.1)"), or the bare number of older workflow.md files
+      const label = TaskTree.label(task);
       const rowRegex = new RegExp(
-        `\\| ${task.step} \\| ${this.escapeRegex(task.title)} \\| [^|]+ \\| [^|]+ \\| [^|]+ \\|`,
+        `\\| (?:${this.escapeRegex(label)}|${task.step}) \\| [├└─ ]*${this.escapeRegex(task.title)} \\| [^|]+ \\| [^|]+ \\| [^|]+ \\|`,
         'g'
       );
-      const newRow = `| ${task.step} | ${task.title} | ${task.module} | ${task.agent} | ${statusIcon} ${statusText} |`;
+      const newRow = `| ${label} | ${TaskTree.prefix(row)}${task.title} | ${task.module || '-'} | ${task.agent} | ${statusIcon} ${statusText} |`;
       content = content.replace(rowRegex, newRow);
     });
 
+    // Update planning (gantt + burndown), added before the footer in older workflow.md files
+    const planning = `${PLANNING_START}\n${ProgressCharts.toMarkdown(this.getPlanning())}\n${PLANNING_END}`;
+    const planningRegex = new RegExp(`${PLANNING_START}[\\s\\S]*?${PLANNING_END}`);
+    if (planningRegex.test(content)) {
+      content = content.replace(planningRegex, () => planning);
+    } else {
+      content = content.replace(/\n---\n\n\*(Généré|Mis à jour) le/, match => `\n---\n\n## 📅 Planning\n\n${planning}\n${match}`);
+    }
+
     // Update timestamp
     const timestampRegex = /\*(Généré|Mis à jour) le [^*]+\*/;
     content = content.replace(timestampRegex, `*Mis à jour le ${new Date().toISOString()}*`);
 
-    fs.writeFileSync(this.workflowFile, content);
+    writeFileAtomic(this.workflowFile, content);
   }
 
   /**
@@ -409,6 +1397,7 @@ ${progressBar} ${progress.percentage}%
       case 'completed': return '✅';
       case 'ready': return '🟡';
       case 'prompted': return '📋';
+      case 'in-progress': return '🔨';
       case 'pending': return '⏳';
       default: return '⏳';
     }
@@ -422,6 +1411,7 @@ ${progressBar} ${progress.percentage}%
       case 'completed': return 'Terminé';
       case 'ready': return 'En cours';
       case 'prompted': return 'Prompt copié';
+      case 'in-progress': return 'Pris en charge';
       case 'pending': return 'En attente';
       default: return 'En attente';
     }
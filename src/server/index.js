@@ -0,0 +1,407 @@
+/**
+ * ApiServer - Localhost HTTP API over the orchestrator
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { Worker } = require('worker_threads');
+const Orchestrator = require('../orchestrator');
+
+/**
+ * Default server options (.ai/config.json "server" section)
+ */
+const SERVER_DEFAULTS = {
+  host: '127.0.0.1',
+  port: 4317,
+  token: null,
+  cors: null,        // Allowed origin (none by default)
+  pollInterval: 1000 // tasks.json change detection for /api/events
+};
+
+/**
+ * HTTP error with a status code
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+class ApiServer {
+  /**
+   * @param {string} projectDir - Project directory
+   * @param {Object} options - host, port, token, cors, pollInterval
+   */
+  constructor(projectDir = process.cwd(), options = {}) {
+    this.projectDir = projectDir;
+    this.options = { ...SERVER_DEFAULTS, ...options };
+    this.server = null;
+    this.clients = new Set();
+    this.snapshot = new Map();
+    this.heartbeat = null;
+    this.tasksFile = new Orchestrator(projectDir).tasksFile;
+
+    this.routes = [
+      ['GET', /^\/api\/health$/, () => this.health()],
+      ['GET', /^\/api\/tasks$/, (req, params, query) => this.listTasks(query)],
+      ['GET', /^\/api\/tasks\/next$/, (req, params, query) => this.nextTask(query)],
+      ['GET', /^\/api\/tasks\/(\d+(?:\.\d+)*)$/, (req, [step]) => this.getTask(step)],
+      ['GET', /^\/api\/tasks\/(\d+(?:\.\d+)*)\/content$/, (req, [step]) => this.getContent(step)],
+      ['POST', /^\/api\/tasks\/(\d+(?:\.\d+)*)\/prompt$/, (req, [step]) => this.promptTask(step)],
+      ['POST', /^\/api\/tasks\/(\d+(?:\.\d+)*)\/complete$/, (req, [step], query, body) => this.completeTask(step, body)],
+      ['POST', /^\/api\/tasks\/(\d+(?:\.\d+)*)\/reset$/, (req, [step], query, body) => this.resetTask(step, body)],
+      ['GET', /^\/api\/progress$/, () => this.progress()]
+    ];
+  }
+
+  /**
+   * Fresh orchestrator for each request (tasks.json may be changed by other commands)
+   */
+  load() {
+    return new Orchestrator(this.projectDir).load();
+  }
+
+  /**
+   * Find a task or throw 404
+   */
+  requireTask(orchestrator, step) {
+    const task = orchestrator.getTask(orchestrator.resolveStep(step));
+    if (!task) throw new HttpError(404, `Step ${step} not found`);
+    return task;
+  }
+
+  health() {
+    const orchestrator = this.load();
+    return { ok: true, project: orchestrator.metadata.project, totalSteps: orchestrator.tasks.length };
+  }
+
+  listTasks(query) {
+    const orchestrator = this.load();
+    orchestrator.calculateReadyTasks();
+    const tasks = query.status
+      ? orchestrator.tasks.filter(t => t.status === query.status)
+      : orchestrator.tasks;
+    return { ...orchestrator.metadata, tasks };
+  }
+
+  nextTask(query) {
+    const orchestrator = this.load();
+    const ranked = orchestrator.rankReadyTasks(query.strategy || orchestrator.getDefaultStrategy());
+    return ranked.length > 0 ? ranked[0] : { task: null, reasons: [] };
+  }
+
+  getTask(step) {
+    return this.requireTask(this.load(), step);
+  }
+
+  getContent(step) {
+    const orchestrator = this.load();
+    const task = this.requireTask(orchestrator, step);
+    return { step: task.step, file: task.file, content: orchestrator.readStepContent(task.step) };
+  }
+
+  progress() {
+    const orchestrator = this.load();
+    const { readyTasks, ...progress } = orchestrator.getProgress();
+    return {
+      ...progress,
+      readySteps: readyTasks.map(t => t.step),
+      byModule: orchestrator.getProgressByModule(),
+      byAgent: orchestrator.getProgressByAgent()
+    };
+  }
+
+  /**
+   * Run an orchestrator change in a worker thread: git, verify commands and hooks
+   * block with spawnSync, other requests and event streams are served meanwhile
+   * @param {string} method - Orchestrator method
+   * @param {Array} args - Its arguments (structured-cloneable)
+   * @returns {Promise<*>} Method result
+   */
+  runInWorker(method, args) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.join(__dirname, 'worker.js'), {
+        workerData: { projectDir: this.projectDir, method, args }
+      });
+      worker.once('message', ({ result, error }) => (error ? reject(new Error(error)) : resolve(result)));
+      worker.once('error', reject);
+      worker.once('exit', code => reject(new Error(`Worker stopped with exit code ${code}`)));
+    });
+  }
+
+  promptTask(step) {
+    return this.runInWorker('markAsPrompted', [this.load().resolveStep(step)]);
+  }
+
+  /**
+   * Complete a task, behind the same verification gate as agents:complete
+   * body: { force, verify: false to skip }
+   * Commit and tag follow the project's git config, never the request
+   */
+  async completeTask(step, body) {
+    const result = await this.runInWorker('completeTask', [this.load().resolveStep(step), {
+      verify: body.verify,
+      force: Boolean(body.force)
+    }]);
+
+    if (result.reason === 'already-completed') {
+      throw new HttpError(409, `Step ${step} is already completed`);
+    }
+    if (result.reason === 'verification-failed') {
+      const error = new HttpError(409, `Verification failed for step ${step}`);
+      error.details = { verification: result.verification };
+      throw error;
+    }
+    return result.task;
+  }
+
+  /**
+   * Reset or reopen a task, body: { cascade, reopen }
+   */
+  resetTask(step, body) {
+    return this.runInWorker('resetTask', [this.load().resolveStep(step), {
+      cascade: Boolean(body.cascade),
+      reopen: Boolean(body.reopen)
+    }]);
+  }
+
+  /**
+   * Check the token (Authorization: Bearer <token>, or ?token= for EventSource)
+   */
+  isAuthorized(req, query) {
+    if (!this.options.token) return true;
+
+    const header = req.headers.authorization || '';
+    const given = header.startsWith('Bearer ') ? header.slice(7) : (query.token || '');
+    const expected = Buffer.from(String(this.options.token));
+    const actual = Buffer.from(given);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  /**
+   * Only answer to localhost host names (DNS rebinding protection)
+   */
+  isLocalHost(req) {
+    const host = (req.headers.host || '').replace(/:\d+$/, '').replace(/^\[|\]$/g, '');
+    return ['localhost', '127.0.0.1', '::1', this.options.host].includes(host);
+  }
+
+  /**
+   * Only answer to pages served from localhost (or the configured cors origin)
+   * Requests without Origin do not come from a browser page
+   */
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (this.options.cors && origin === this.options.cors) return true;
+    try {
+      const host = new URL(origin).hostname.replace(/^\[|\]$/g, '');
+      return ['localhost', '127.0.0.1', '::1'].includes(host);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * POST bodies must be JSON: a cross-site form or text/plain request cannot send
+   * application/json without a CORS preflight, which other origins do not pass
+   */
+  isJsonRequest(req) {
+    return (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase() === 'application/json';
+  }
+
+  /**
+   * Read a JSON request body (empty object if none)
+   */
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let data = '';
+      req.on('data', chunk => {
+        data += chunk;
+        if (data.length > 1024 * 1024) {
+          reject(new HttpError(413, 'Request body too large'));
+          req.destroy();
+        }
+      });
+      req.on('end', () => {
+        if (!data.trim()) return resolve({});
+        try {
+          resolve(JSON.parse(data));
+        } catch (error) {
+          reject(new HttpError(400, 'Invalid JSON body'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   */
+  send(res, status, payload) {
+    const headers = { 'Content-Type': 'application/json; charset=utf-8' };
+    if (this.options.cors) headers['Access-Control-Allow-Origin'] = this.options.cors;
+    res.writeHead(status, headers);
+    res.end(JSON.stringify(payload, null, 2));
+  }
+
+  /**
+   * Route a request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const query = Object.fromEntries(url.searchParams);
+
+    if (!this.isLocalHost(req)) {
+      return this.send(res, 403, { error: 'Forbidden host' });
+    }
+
+    if (!this.isAllowedOrigin(req)) {
+      return this.send(res, 403, { error: 'Forbidden origin' });
+    }
+
+    if (req.method === 'OPTIONS' && this.options.cors) {
+      res.writeHead(204, {
+        'Access-Control-Allow-Origin': this.options.cors,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+      });
+      return res.end();
+    }
+
+    if (!this.isAuthorized(req, query)) {
+      return this.send(res, 401, { error: 'Invalid or missing token' });
+    }
+
+    if (req.method === 'GET' && url.pathname === '/api/events') {
+      return this.openEventStream(req, res);
+    }
+
+    const methodMatches = this.routes.filter(([, pattern]) => pattern.test(url.pathname));
+    const route = methodMatches.find(([method]) => method === req.method);
+    if (!route) {
+      return methodMatches.length > 0
+        ? this.send(res, 405, { error: `Method ${req.method} not allowed` })
+        : this.send(res, 404, { error: `No route for ${url.pathname}` });
+    }
+
+    if (req.method === 'POST' && !this.isJsonRequest(req)) {
+      return this.send(res, 415, { error: 'Content-Type must be application/json' });
+    }
+
+    try {
+      const params = url.pathname.match(route[1]).slice(1);
+      const body = req.method === 'POST' ? await this.readBody(req) : {};
+      this.send(res, 200, await route[2](req, params, query, body));
+    } catch (error) {
+      const status = error.status || (/not found/i.test(error.message) ? 404 : /groups sub-steps/.test(error.message) ? 409 : 500);
+      this.send(res, status, { error: error.message, ...error.details });
+    }
+  }
+
+  /**
+   * Server-Sent Events: "task" events when a task status changes, "progress" after
+   */
+  openEventStream(req, res) {
+    const headers = {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    };
+    if (this.options.cors) headers['Access-Control-Allow-Origin'] = this.options.cors;
+    // Read before the headers: an error still gets a JSON 500
+    const progress = this.progress();
+    res.writeHead(200, headers);
+    res.write(`event: ready\ndata: ${JSON.stringify(progress)}\n\n`);
+
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  /**
+   * Push an event to every SSE client
+   */
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    this.clients.forEach(client => client.write(message));
+  }
+
+  /**
+   * Status of each task, to diff against after a change
+   */
+  takeSnapshot() {
+    try {
+      return new Map(this.load().tasks.map(t => [t.step, { status: t.status, title: t.title, claimedBy: t.claimedBy }]));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  /**
+   * Compare tasks.json with the last snapshot and notify clients
+   */
+  onTasksChanged() {
+    const next = this.takeSnapshot();
+
+    for (const [step, state] of next) {
+      const previous = this.snapshot.get(step);
+      if (!previous || previous.status !== state.status || previous.claimedBy !== state.claimedBy) {
+        this.broadcast('task', { step, title: state.title, from: previous?.status || null, to: state.status, claimedBy: state.claimedBy || null });
+      }
+    }
+    for (const [step, state] of this.snapshot) {
+      if (!next.has(step)) this.broadcast('task', { step, title: state.title, from: state.status, to: null });
+    }
+
+    this.snapshot = next;
+    if (this.clients.size > 0) this.broadcast('progress', this.progress());
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Server URL
+   */
+  start() {
+    this.snapshot = this.takeSnapshot();
+    fs.watchFile(this.tasksFile, { interval: this.options.pollInterval }, () => this.onTasksChanged());
+
+    // Keeps proxies and browsers from closing idle streams
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach(client => client.write(': ping\n\n'));
+    }, 25000);
+
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch(error => {
+        if (res.headersSent) return res.end();
+        this.send(res, 500, { error: error.message });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, () => {
+        const { port } = this.server.address();
+        resolve(`http://${this.options.host}:${port}`);
+      });
+    });
+  }
+
+  /**
+   * Stop the server and close event streams
+   */
+  stop() {
+    fs.unwatchFile(this.tasksFile);
+    clearInterval(this.heartbeat);
+    this.clients.forEach(client => client.end());
+    this.clients.clear();
+    return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+  }
+}
+
+ApiServer.SERVER_DEFAULTS = SERVER_DEFAULTS;
+ApiServer.HttpError = HttpError;
+
+module.exports = ApiServer;
@@ -0,0 +1,381 @@
+/**
+ * McpServer - Model Context Protocol server over stdio (newline-delimited JSON-RPC)
+ * Lets an IDE agent pull its next step, report bugs and complete steps itself
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Orchestrator = require('../orchestrator');
+const { addBug, searchBugs, checkKnownSolution } = require('../utils/contextTrackerV2');
+const { detectProvider, getDirs, DEFAULT_PROVIDER } = require('../utils/directoryManager');
+const { getRulesPath } = require('../utils/aiProviders');
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+/**
+ * Protocol versions this server implements (a client asking for another one gets PROTOCOL_VERSION)
+ */
+const SUPPORTED_VERSIONS = [PROTOCOL_VERSION];
+const URI_PREFIX = 'prompt-cursor://';
+
+/**
+ * JSON-RPC error codes
+ */
+const ERRORS = {
+  PARSE: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL: -32603
+};
+
+/**
+ * Tool definitions (JSON Schema input)
+ */
+const TOOLS = [
+  {
+    name: 'get_next_task',
+    description: 'Pick the next ready step, mark it as prompted and return its instructions',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        strategy: { type: 'string', enum: ['critical', 'fifo', 'module', 'shortest'], description: 'Scheduling strategy' },
+        owner: { type: 'string', description: 'Claim the step for this owner (parallel agents)' }
+      }
+    }
+  },
+  {
+    name: 'get_step',
+    description: 'Return a step entry from tasks.json and its instructions',
+    inputSchema: {
+      type: 'object',
+      properties: { step: { type: ['integer', 'string'], description: 'Step number or plan label ("2.1")' } },
+      required: ['step']
+    }
+  },
+  {
+    name: 'complete_step',
+    description: 'Run the step verify commands and mark it as completed if they pass',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        step: { type: ['integer', 'string'], description: 'Step number or plan label ("2.1")' },
+        force: { type: 'boolean', description: 'Complete even if verification fails' },
+        verify: { type: 'boolean', description: 'Set to false to skip verification' }
+      },
+      required: ['step']
+    }
+  },
+  {
+    name: 'report_bug',
+    description: 'Record a bug in the project bug journal (similar bugs are linked)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        errorMessage: { type: 'string' },
+        description: { type: 'string' },
+        step: { type: 'integer', description: 'Step being worked on' },
+        file: { type: 'string' },
+        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] }
+      },
+      required: ['title']
+    }
+  },
+  {
+    name: 'search_known_solutions',
+    description: 'Look up an error message in the bug journal before debugging it',
+    inputSchema: {
+      type: 'object',
+      properties: { query: { type: 'string', description: 'Error message or keywords' } },
+      required: ['query']
+    }
+  }
+];
+
+/**
+ * Error returned to the client as a JSON-RPC error
+ */
+class RpcError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+class McpServer {
+  /**
+   * @param {string} projectDir - Project directory
+   * @param {Object} streams - { input, output } (stdin/stdout by default)
+   */
+  constructor(projectDir = process.cwd(), { input = process.stdin, output = process.stdout } = {}) {
+    this.projectDir = projectDir;
+    this.input = input;
+    this.output = output;
+    this.providerKey = DEFAULT_PROVIDER;
+    this.packageVersion = require('../../package.json').version;
+  }
+
+  /**
+   * Fresh orchestrator for each call (tasks.json may be changed by other commands)
+   */
+  load() {
+    return new Orchestrator(this.projectDir).load();
+  }
+
+  requireTask(orchestrator, step) {
+    let task;
+    try {
+      task = orchestrator.getTask(orchestrator.resolveStep(step));
+    } catch (error) {
+      throw new RpcError(ERRORS.INVALID_PARAMS, error.message);
+    }
+    if (!task) throw new RpcError(ERRORS.INVALID_PARAMS, `Step ${step} not found`);
+    return task;
+  }
+
+  /**
+   * Files exposed as resources: spec, workflow, agent rules and the provider rules file
+   * @returns {Object[]} [{ uri, name, path }]
+   */
+  listResourceFiles() {
+    const dirs = getDirs(this.providerKey);
+    const files = [
+      { uri: `${URI_PREFIX}spec.md`, name: 'Specification', path: path.join(dirs.DOCS, 'spec.md') },
+      { uri: `${URI_PREFIX}workflow.md`, name: 'Workflow', path: path.join(dirs.ROOT, 'workflow.md') }
+    ];
+
+    const rulesDir = path.join(this.projectDir, dirs.RULES);
+    if (fs.existsSync(rulesDir)) {
+      fs.readdirSync(rulesDir)
+        .filter(file => file.endsWith('.md'))
+        .sort()
+        .forEach(file => files.push({
+          uri: `${URI_PREFIX}rules/${file}`,
+          name: `Rules: ${file.replace(/-rules\.md$|\.md$/, '')}`,
+          path: path.join(dirs.RULES, file)
+        }));
+    }
+
+    const providerRules = path.relative(this.projectDir, getRulesPath(this.providerKey, this.projectDir));
+    files.push({ uri: `${URI_PREFIX}rules/${path.basename(providerRules)}`, name: 'Provider rules', path: providerRules });
+
+    return files.filter(file => fs.existsSync(path.join(this.projectDir, file.path)));
+  }
+
+  /**
+   * Task with its step instructions
+   */
+  describeTask(orchestrator, task, extra = {}) {
+    return { task, ...extra, instructions: orchestrator.readStepContent(task.step) };
+  }
+
+  getNextTask({ strategy, owner } = {}) {
+    const orchestrator = this.load();
+    const ranked = orchestrator.rankReadyTasks(strategy || orchestrator.getDefaultStrategy());
+    if (ranked.length === 0) {
+      const progress = orchestrator.getProgress();
+      return {
+        task: null,
+        message: progress.completed === progress.total
+          ? 'All steps are completed'
+          : 'No step is ready, waiting on dependencies or claimed steps'
+      };
+    }
+
+    const { task, reasons } = ranked[0];
+    if (owner) orchestrator.claimTask(task.step, owner);
+    orchestrator.markAsPrompted(task.step);
+    return this.describeTask(orchestrator, orchestrator.getTask(task.step), { reasons });
+  }
+
+  getStep({ step }) {
+    const orchestrator = this.load();
+    return this.describeTask(orchestrator, this.requireTask(orchestrator, step));
+  }
+
+  /**
+   * Same gate as agents:complete: verify commands must pass unless forced
+   */
+  completeStep({ step, force = false, verify = true }) {
+    const orchestrator = this.load();
+    const { completed, task, verification, reason } = orchestrator.completeTask(this.requireTask(orchestrator, step).step, { verify, force });
+    if (!completed) {
+      return {
+        completed,
+        message: reason === 'already-completed'
+          ? `Step ${task.step} is already completed`
+          : 'Verification failed, fix the failing commands or use force',
+        task,
+        verification
+      };
+    }
+
+    const { readyTasks, ...progress } = orchestrator.getProgress();
+    return {
+      completed,
+      task,
+      verification,
+      progress,
+      nowReady: readyTasks.map(t => ({ step: t.step, title: t.title }))
+    };
+  }
+
+  reportBug(args) {
+    let module = null;
+    if (args.step) {
+      const task = this.load().getTask(parseInt(args.step, 10));
+      module = task ? task.module : null;
+    }
+
+    const bug = addBug(this.projectDir, this.providerKey, {
+      title: args.title,
+      errorMessage: args.errorMessage,
+      description: args.description,
+      step: args.step,
+      module,
+      file: args.file,
+      severity: args.severity
+    });
+    return { bug };
+  }
+
+  searchKnownSolutions({ query }) {
+    const known = checkKnownSolution(this.projectDir, this.providerKey, query);
+    const similar = searchBugs(this.projectDir, this.providerKey, query)
+      .slice(0, 5)
+      .map(bug => ({ id: bug.id, title: bug.title, errorMessage: bug.errorMessage, resolved: bug.resolved, solution: bug.solution }));
+
+    return { knownSolution: known ? known.solution : null, bug: known ? known.bug.id : null, similar };
+  }
+
+  /**
+   * Run a tool, errors are returned as tool results (isError) so the agent can read them
+   */
+  callTool(name, args = {}) {
+    const handlers = {
+      get_next_task: () => this.getNextTask(args),
+      get_step: () => this.getStep(args),
+      complete_step: () => this.completeStep(args),
+      report_bug: () => this.reportBug(args),
+      search_known_solutions: () => this.searchKnownSolutions(args)
+    };
+    if (!handlers[name]) throw new RpcError(ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+
+    const required = TOOLS.find(tool => tool.name === name).inputSchema.required || [];
+    const missing = required.filter(key => args[key] === undefined || args[key] === '');
+    if (missing.length > 0) {
+      return { content: [{ type: 'text', text: `Missing argument(s): ${missing.join(', ')}` }], isError: true };
+    }
+
+    try {
+      const result = handlers[name]();
+      return { content: [{ type: 'text', text: JSON.stringify(result, null, 2) }] };
+    } catch (error) {
+      return { content: [{ type: 'text', text: error.message }], isError: true };
+    }
+  }
+
+  readResource(uri) {
+    const file = this.listResourceFiles().find(resource => resource.uri === uri);
+    if (!file) throw new RpcError(ERRORS.INVALID_PARAMS, `Resource not found: ${uri}`);
+
+    return {
+      contents: [{
+        uri,
+        mimeType: 'text/markdown',
+        text: fs.readFileSync(path.join(this.projectDir, file.path), 'utf-8')
+      }]
+    };
+  }
+
+  /**
+   * Dispatch a JSON-RPC method
+   */
+  handleMethod(method, params = {}) {
+    switch (method) {
+      case 'initialize':
+        return {
+          protocolVersion: SUPPORTED_VERSIONS.includes(params.protocolVersion) ? params.protocolVersion : PROTOCOL_VERSION,
+          capabilities: { tools: {}, resources: {} },
+          serverInfo: { name: 'prompt-cursor', version: this.packageVersion }
+        };
+      case 'ping':
+        return {};
+      case 'tools/list':
+        return { tools: TOOLS };
+      case 'tools/call':
+        return this.callTool(params.name, params.arguments);
+      case 'resources/list':
+        return {
+          resources: this.listResourceFiles().map(({ uri, name, path: file }) => ({
+            uri, name, description: file, mimeType: 'text/markdown'
+          }))
+        };
+      case 'resources/read':
+        return this.readResource(params.uri);
+      default:
+        throw new RpcError(ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  /**
+   * Handle one message line, returns the response (null for notifications)
+   */
+  handleMessage(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return { jsonrpc: '2.0', id: null, error: { code: ERRORS.PARSE, message: 'Parse error' } };
+    }
+
+    if (!message || message.jsonrpc !== '2.0' || typeof message.method !== 'string') {
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: ERRORS.INVALID_REQUEST, message: 'Invalid request' } };
+    }
+
+    const isNotification = message.id === undefined;
+    try {
+      const result = this.handleMethod(message.method, message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) return null;
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: error.code || ERRORS.INTERNAL, message: error.message }
+      };
+    }
+  }
+
+  send(response) {
+    this.output.write(JSON.stringify(response) + '\n');
+  }
+
+  /**
+   * Serve until stdin closes
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.providerKey = await detectProvider(this.projectDir) || DEFAULT_PROVIDER;
+
+    // stdout carries the protocol: logs from shared helpers (bug journal, workflow) go to stderr
+    console.log = console.error;
+
+    const rl = readline.createInterface({ input: this.input, terminal: false });
+    rl.on('line', line => {
+      if (!line.trim()) return;
+      const response = this.handleMessage(line);
+      if (response) this.send(response);
+    });
+
+    return new Promise(resolve => rl.on('close', resolve));
+  }
+}
+
+McpServer.TOOLS = TOOLS;
+McpServer.PROTOCOL_VERSION = PROTOCOL_VERSION;
+McpServer.SUPPORTED_VERSIONS = SUPPORTED_VERSIONS;
+
+module.exports = McpServer;
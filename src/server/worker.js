@@ -0,0 +1,16 @@
+/**
+ * ApiServer worker - Runs one orchestrator change off the server's event loop
+ * (git, verify commands and hooks use spawnSync)
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const Orchestrator = require('../orchestrator');
+
+const { projectDir, method, args } = workerData;
+
+try {
+  const orchestrator = new Orchestrator(projectDir).load();
+  parentPort.postMessage({ result: orchestrator[method](...args) });
+} catch (error) {
+  parentPort.postMessage({ error: error.message });
+}
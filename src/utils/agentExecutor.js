@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+/**
+ * Default executor options (.ai/config.json "exec" section)
+ */
+const EXEC_DEFAULTS = {
+  command: null,       // e.g. "my-agent --non-interactive" (prompt on stdin)
+  timeoutMinutes: 60,
+  killAfterSeconds: 10 // SIGKILL an agent still running this long after SIGTERM/SIGINT
+};
+
+/**
+ * Quote a value for a POSIX shell
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Agent Executor
+ * Pipes a step prompt to a local agent CLI and keeps its output in .ai/runs/step-N/
+ */
+class AgentExecutor {
+  /**
+   * @param {string} projectDir - Project directory (the command runs there)
+   * @param {Object} config - "exec" section of .ai/config.json
+   */
+  constructor(projectDir, config = {}) {
+    this.projectDir = projectDir;
+    this.config = { ...EXEC_DEFAULTS, ...config };
+  }
+
+  /**
+   * Directory holding the logs of a step
+   */
+  getRunDir(stepNumber) {
+    return path.join(this.projectDir, '.ai', 'runs', `step-${stepNumber}`);
+  }
+
+  /**
+   * Fill the command template: {step}, {title}, {file}, {module}, {agent}, {projectDir}
+   * Values are shell-quoted, plan content can't inject commands
+   * @param {string} template - Command template
+   * @param {Object} task - tasks.json entry
+   * @returns {string} Shell command
+   */
+  buildCommand(template, task) {
+    const values = {
+      step: task.step,
+      title: task.title,
+      file: task.file,
+      module: task.module || '',
+      agent: task.agent || '',
+      projectDir: this.projectDir
+    };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (
+      values[key] !== undefined ? shellQuote(values[key]) : match
+    ));
+  }
+
+  /**
+   * Run the agent command for a task, prompt on stdin
+   * @param {Object} task - tasks.json entry
+   * @param {string} prompt - Step content
+   * @param {Object} options - { command, timeoutMinutes, onStdout, onStderr }
+   * @returns {Promise<Object>} { command, exitCode, signal, timedOut, interrupted, durationMs, runDir }
+   */
+  run(task, prompt, options = {}) {
+    const template = options.command || this.config.command;
+    if (!template) {
+      throw new Error('No executor command: use --cmd "<command>" or set exec.command in .ai/config.json');
+    }
+
+    const command = this.buildCommand(template, task);
+    const timeoutMinutes = options.timeoutMinutes || this.config.timeoutMinutes;
+    const runDir = this.getRunDir(task.step);
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, 'prompt.md'), prompt, 'utf-8');
+
+    const stdoutLog = fs.createWriteStream(path.join(runDir, 'stdout.log'));
+    const stderrLog = fs.createWriteStream(path.join(runDir, 'stderr.log'));
+    const startedAt = new Date();
+
+    return new Promise((resolve) => {
+      // Own process group, so a timeout stops the agent and everything it started
+      const child = spawn(command, {
+        cwd: this.projectDir,
+        shell: true,
+        detached: process.platform !== 'win32',
+        env: {
+          ...process.env,
+          PCB_STEP: String(task.step),
+          PCB_STEP_TITLE: task.title,
+          PCB_STEP_FILE: path.join(this.projectDir, task.file),
+          PCB_PROJECT_DIR: this.projectDir
+        }
+      });
+
+      const signalGroup = (signal) => {
+        try {
+          if (child.pid && process.platform !== 'win32') {
+            process.kill(-child.pid, signal);
+          } else {
+            child.kill(signal);
+          }
+        } catch (error) {
+          // Already exited
+        }
+      };
+
+      // An agent ignoring the signal is killed after a grace period
+      let killTimer = null;
+      const stop = (signal) => {
+        signalGroup(signal);
+        if (!killTimer) {
+          killTimer = setTimeout(() => signalGroup('SIGKILL'), this.config.killAfterSeconds * 1000);
+        }
+      };
+
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        stop('SIGTERM');
+      }, timeoutMinutes * 60 * 1000);
+
+      // In its own process group the agent never sees Ctrl+C: pass it on (twice: kill now)
+      let interrupted = null;
+      const onSignal = (signal) => {
+        if (interrupted) signalGroup('SIGKILL');
+        interrupted = signal;
+        stop(signal);
+      };
+      const forwarded = ['SIGINT', 'SIGTERM'];
+      forwarded.forEach(signal => process.on(signal, onSignal));
+
+      child.stdout.on('data', chunk => {
+        stdoutLog.write(chunk);
+        if (options.onStdout) options.onStdout(chunk);
+      });
+      child.stderr.on('data', chunk => {
+        stderrLog.write(chunk);
+        if (options.onStderr) options.onStderr(chunk);
+      });
+
+      // An agent that doesn't read its stdin must not crash the run
+      child.stdin.on('error', () => {});
+      child.stdin.end(prompt);
+
+      let finished = false;
+      const finish = (exitCode, signal, error) => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        clearTimeout(killTimer);
+        forwarded.forEach(signal => process.removeListener(signal, onSignal));
+        const result = {
+          step: task.step,
+          command,
+          exitCode,
+          signal: signal || null,
+          timedOut,
+          interrupted,
+          error: error ? error.message : undefined,
+          startedAt: startedAt.toISOString(),
+          finishedAt: new Date().toISOString(),
+          durationMs: Date.now() - startedAt.getTime()
+        };
+
+        stdoutLog.end();
+        stderrLog.end(() => {
+          fs.writeFileSync(path.join(runDir, 'result.json'), JSON.stringify(result, null, 2));
+          resolve({ ...result, runDir });
+        });
+      };
+
+      child.on('error', error => finish(null, null, error));
+      child.on('close', (code, signal) => finish(code, signal));
+    });
+  }
+}
+
+AgentExecutor.EXEC_DEFAULTS = EXEC_DEFAULTS;
+
+module.exports = AgentExecutor;
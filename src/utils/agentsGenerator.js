@@ -301,7 +301,7 @@ function buildAgentRunContent({ agent, instructionsPath, rulesPath, specPath, pr
   ].filter(Boolean).join('\n');
 }
 
-async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, steps = [], modules = [], skipRunPrompts = false }) {
+async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, steps = [], modules = [], skipRunPrompts = false, log = console.log }) {
   const dirs = getDirs(aiProvider);
   
   // In skipRunPrompts mode (new simplified), only generate rules
@@ -311,14 +311,14 @@ async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, ste
   if (skipRunPrompts) {
     // New simplified mode: use provided steps directly, only generate rules
     if (!effectiveSteps || effectiveSteps.length === 0) {
-      console.log(chalk.yellow('⚠ Aucune etape fournie, regles ignorees.'));
+      log(chalk.yellow('⚠ Aucune etape fournie, regles ignorees.'));
       return { tasks: 0, modules: [] };
     }
   } else {
     // Legacy mode: read from Instructions/ directory
     const instructionsDir = path.join(outputDir, dirs.INSTRUCTIONS);
     if (!fsSync.existsSync(instructionsDir)) {
-      console.log(chalk.yellow('⚠ Pas de Instructions/ detecte, agents ignores.'));
+      log(chalk.yellow('⚠ Pas de Instructions/ detecte, agents ignores.'));
       return { tasks: 0, modules: [] };
     }
 
@@ -333,7 +333,7 @@ async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, ste
       .sort((a, b) => a.step - b.step);
       
     if (instructionFiles.length === 0) {
-      console.log(chalk.yellow('⚠ Instructions vides, agents ignores.'));
+      log(chalk.yellow('⚠ Instructions vides, agents ignores.'));
       return { tasks: 0, modules: [] };
     }
 
@@ -347,7 +347,7 @@ async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, ste
   }
 
   if (!effectiveSteps || effectiveSteps.length === 0) {
-    console.log(chalk.yellow('⚠ Aucune etape detectee, agents ignores.'));
+    log(chalk.yellow('⚠ Aucune etape detectee, agents ignores.'));
     return { tasks: 0, modules: [] };
   }
 
@@ -379,9 +379,9 @@ async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, ste
 
   // Skip run prompts and tasks-map in simplified mode
   if (skipRunPrompts) {
-    console.log(chalk.green('✓ Regles agents generees'));
+    log(chalk.green('✓ Regles agents generees'));
     if (moduleSummary.length > 0) {
-      console.log(chalk.gray(`  Modules couverts: ${moduleSummary.join(', ')}`));
+      log(chalk.gray(`  Modules couverts: ${moduleSummary.join(', ')}`));
     }
     return {
       tasks: effectiveSteps.length,
@@ -449,9 +449,9 @@ async function generateAgentsArtifacts({ outputDir, aiProvider, projectName, ste
     });
   await fs.writeFile(path.join(runDir, 'README.md'), indexLines.join('\n'), 'utf-8');
 
-  console.log(chalk.green(`✓ Agents generes (${tasksMap.length} taches)`));
+  log(chalk.green(`✓ Agents generes (${tasksMap.length} taches)`));
   if (moduleSummary.length > 0) {
-    console.log(chalk.gray(`  Modules couverts: ${moduleSummary.join(', ')}`));
+    log(chalk.gray(`  Modules couverts: ${moduleSummary.join(', ')}`));
   }
 
   return {
@@ -1327,4 +1327,6 @@ class CodeRunGenerator {
 	}
 }
 
+CodeRunGenerator.MODULE_TEMPLATES = MODULE_TEMPLATES;
+
 module.exports = CodeRunGenerator;
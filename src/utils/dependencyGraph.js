@@ -105,6 +105,218 @@ class DependencyGraph {
     return (node.dependsOn || []).filter(d => !completedSteps.includes(d));
   }
 
+  /**
+   * Get every step that transitively depends on a step (through enables)
+   * @param {number} stepNumber - Step number
+   * @returns {number[]} Dependent step numbers, sorted
+   */
+  getDependents(stepNumber) {
+    const dependents = new Set();
+    const queue = [...(this.graph.get(stepNumber)?.enables || [])];
+
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (current === stepNumber || dependents.has(current)) continue;
+      dependents.add(current);
+      queue.push(...(this.graph.get(current)?.enables || []));
+    }
+
+    return [...dependents].sort((a, b) => a - b);
+  }
+
+  /**
+   * Validate dependencies: cycles, self-dependencies, missing steps, forward references
+   * @returns {Object} { valid, errorCount, warningCount, selfDependencies, dangling, forward, cycles }
+   */
+  validate() {
+    const result = {
+      selfDependencies: [],
+      dangling: [],
+      forward: [],
+      cycles: []
+    };
+
+    for (const step of this.steps) {
+      for (const dep of step.dependsOn || []) {
+        if (dep === step.number) {
+          result.selfDependencies.push({ step: step.number, dep });
+        } else if (!this.graph.has(dep)) {
+          result.dangling.push({ step: step.number, dep });
+        } else if (dep > step.number) {
+          result.forward.push({ step: step.number, dep });
+        }
+      }
+    }
+
+    result.cycles = this.findCycles();
+    result.errorCount = result.selfDependencies.length + result.dangling.length + result.cycles.length;
+    result.warningCount = result.forward.length;
+    result.valid = result.errorCount === 0;
+
+    return result;
+  }
+
+  /**
+   * Find dependency cycles (self-dependencies excluded)
+   * Each cycle is a loop path where every step depends on the next one,
+   * e.g. [2, 4, 3, 2] means 2 depends on 4, 4 on 3 and 3 on 2
+   * @returns {number[][]} Cycles
+   */
+  findCycles() {
+    const cycles = [];
+    const seen = new Set();
+    const state = new Map(); // undefined = unvisited, 1 = on stack, 2 = done
+    const stack = [];
+
+    const visit = (stepNum) => {
+      state.set(stepNum, 1);
+      stack.push(stepNum);
+
+      const node = this.graph.get(stepNum);
+      for (const dep of node.dependsOn || []) {
+        if (dep === stepNum || !this.graph.has(dep)) continue;
+
+        if (state.get(dep) === 1) {
+          const loop = stack.slice(stack.indexOf(dep));
+          // Rotate so the smallest step comes first, to report each loop once
+          const start = loop.indexOf(Math.min(...loop));
+          const rotated = [...loop.slice(start), ...loop.slice(0, start)];
+          const key = rotated.join('>');
+          if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push([...rotated, rotated[0]]);
+          }
+        } else if (!state.has(dep)) {
+          visit(dep);
+        }
+      }
+
+      stack.pop();
+      state.set(stepNum, 2);
+    };
+
+    for (const step of this.steps) {
+      if (!state.has(step.number)) visit(step.number);
+    }
+
+    return cycles;
+  }
+
+  /**
+   * List the edges to drop so the graph becomes valid
+   * Self-dependencies and missing steps are dropped; for each cycle the
+   * edge pointing furthest forward in numbering is dropped
+   * @param {Object} validation - Result of validate()
+   * @returns {Object[]} Edges { step, dep, reason }
+   */
+  getInvalidEdges(validation = this.validate()) {
+    const edges = [
+      ...validation.selfDependencies.map(e => ({ ...e, reason: 'self' })),
+      ...validation.dangling.map(e => ({ ...e, reason: 'missing' }))
+    ];
+    const dropped = new Set(edges.map(e => `${e.step}>${e.dep}`));
+
+    for (const cycle of validation.cycles) {
+      const cycleEdges = [];
+      for (let i = 0; i < cycle.length - 1; i++) {
+        cycleEdges.push({ step: cycle[i], dep: cycle[i + 1] });
+      }
+      // Already broken by an edge dropped for a previous cycle
+      if (cycleEdges.some(e => dropped.has(`${e.step}>${e.dep}`))) continue;
+
+      const edge = cycleEdges.reduce((best, e) =>
+        (e.dep - e.step) > (best.dep - best.step) ? e : best
+      );
+      edges.push({ ...edge, reason: 'cycle' });
+      dropped.add(`${edge.step}>${edge.dep}`);
+    }
+
+    return edges;
+  }
+
+  /**
+   * Drop invalid edges until no cycle remains
+   * Mutates the dependsOn arrays of the steps
+   * @returns {Object[]} Removed edges { step, dep, reason }
+   */
+  fixInvalidEdges() {
+    const removed = [];
+
+    for (let pass = 0; pass < this.steps.length + 1; pass++) {
+      const validation = this.validate();
+      if (validation.valid) break;
+
+      const edges = this.getInvalidEdges(validation);
+      for (const edge of edges) {
+        const step = this.steps.find(s => s.number === edge.step);
+        // Remove in place so callers sharing the array see the fix
+        const deps = step.dependsOn || [];
+        for (let i = deps.length - 1; i >= 0; i--) {
+          if (deps[i] === edge.dep) deps.splice(i, 1);
+        }
+        removed.push(edge);
+      }
+    }
+
+    this.rebuild();
+    return removed;
+  }
+
+  /**
+   * Rebuild the graph after steps were modified
+   */
+  rebuild() {
+    this.graph = new Map();
+    this.reverseGraph = new Map();
+    return this.build();
+  }
+
+  /**
+   * Format validation issues as readable lines
+   * @param {Object} validation - Result of validate()
+   * @returns {Object} { errors: string[], warnings: string[] }
+   */
+  static formatValidation(validation) {
+    const errors = [];
+    const warnings = [];
+
+    for (const cycle of validation.cycles) {
+      errors.push(`Cycle: ${cycle.map(n => `Step ${n}`).join(' → ')}`);
+    }
+    for (const { step } of validation.selfDependencies) {
+      errors.push(`Step ${step} dépend de lui-même`);
+    }
+    for (const { step, dep } of validation.dangling) {
+      errors.push(`Step ${step} dépend de Step ${dep} qui n'existe pas`);
+    }
+    for (const { step, dep } of validation.forward) {
+      warnings.push(`Step ${step} dépend de Step ${dep} (numéro suivant)`);
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Create a graph from tasks.json entries
+   * The entries' dependsOn arrays are shared, so fixes apply to them
+   * @param {Object[]} entries - tasks.json entries
+   * @returns {DependencyGraph}
+   */
+  static fromTasks(entries = []) {
+    const steps = entries.map(task => {
+      task.dependsOn = task.dependsOn || [];
+      return {
+        number: task.step,
+        name: task.title,
+        dependsOn: task.dependsOn,
+        parallel: task.parallel || false,
+        status: task.status,
+        task
+      };
+    });
+    return new DependencyGraph(steps).build();
+  }
+
   /**
    * Get critical path (longest dependency chain)
    * @returns {number[]} Step numbers in critical path
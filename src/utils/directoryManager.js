@@ -94,6 +94,30 @@ function getFilePath(projectDir, fileKey, providerKey = DEFAULT_PROVIDER) {
   return path.join(projectDir, relativePath);
 }
 
+/**
+ * Locate an AI response file the way build reads it: <prompt dir>/docs/ first,
+ * then the project root (backward compatibility)
+ * @param {string} projectDir - Project directory
+ * @param {string} file - File name (implementation-plan.md, spec.md...)
+ * @param {string} providerKey - Provider key
+ * @returns {Promise<Object|null>} { path, root } root: found at the project root
+ */
+async function findDocFile(projectDir, file, providerKey = DEFAULT_PROVIDER) {
+  const candidates = [
+    { path: path.join(projectDir, getDirs(providerKey).DOCS, file), root: false },
+    { path: path.join(projectDir, file), root: true }
+  ];
+  for (const candidate of candidates) {
+    try {
+      await fs.access(candidate.path);
+      return candidate;
+    } catch (error) {
+      // Next location
+    }
+  }
+  return null;
+}
+
 /**
  * Clean up prompt directory
  * @param {string} projectDir - Project directory
@@ -273,6 +297,7 @@ module.exports = {
   getFilePaths,
   ensureDirectoryStructure,
   getFilePath,
+  findDocFile,
   cleanDirectory,
   promptDirExists,
   detectProvider,
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Default lock options
+ */
+const LOCK_DEFAULTS = {
+  timeout: 10000,   // Give up acquiring after 10s
+  staleAfter: 30000, // A lock older than 30s is considered abandoned
+  retryDelay: 50
+};
+
+/**
+ * Block the current thread for a few milliseconds (the orchestrator is synchronous)
+ * @param {number} ms - Delay in milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process is still running on this machine
+ * @param {number} pid - Process id
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Read lock file info (null if unreadable)
+ * @param {string} lockPath - Lock file path
+ * @returns {Object|null} { pid, host, createdAt }
+ */
+function readLockInfo(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Check whether an existing lock was abandoned (holder died or lock too old)
+ * @param {string} lockPath - Lock file path
+ * @param {number} staleAfter - Max lock age in milliseconds
+ * @returns {fs.Stats|null} Stats of the abandoned lock, null if it is held (or gone)
+ */
+function findStaleLock(lockPath, staleAfter) {
+  let stats;
+  try {
+    stats = fs.statSync(lockPath);
+  } catch (error) {
+    return null; // Released in the meantime
+  }
+
+  if (Date.now() - stats.mtimeMs > staleAfter) return stats;
+
+  const info = readLockInfo(lockPath);
+  if (info && info.host === os.hostname() && info.pid && !isProcessAlive(info.pid)) {
+    return stats;
+  }
+  return null;
+}
+
+/**
+ * Remove an abandoned lock without touching a fresh one
+ * The lock is moved aside atomically, then checked: if another process recovered the
+ * stale lock and took a new one in between, the moved file is the new lock and goes back
+ * @param {string} lockPath - Lock file path
+ * @param {fs.Stats} stale - Stats of the abandoned lock
+ */
+function removeStaleLock(lockPath, stale) {
+  const asidePath = `${lockPath}.${process.pid}.${Date.now()}.stale`;
+  try {
+    fs.renameSync(lockPath, asidePath);
+  } catch (error) {
+    return; // Another process recovered it first
+  }
+
+  const moved = fs.statSync(asidePath);
+  if (moved.ino !== stale.ino || moved.mtimeMs !== stale.mtimeMs) {
+    try {
+      fs.linkSync(asidePath, lockPath);
+    } catch (error) {
+      // The path was taken again meanwhile: the moved lock cannot be restored
+    }
+  }
+  fs.unlinkSync(asidePath);
+}
+
+/**
+ * Acquire an advisory lock next to a file (<file>.lock)
+ * @param {string} filePath - File to protect
+ * @param {Object} options - { timeout, staleAfter, retryDelay }
+ * @returns {string} Lock file path
+ */
+function acquireLock(filePath, options = {}) {
+  const { timeout, staleAfter, retryDelay } = { ...LOCK_DEFAULTS, ...options };
+  const lockPath = `${filePath}.lock`;
+  const start = Date.now();
+
+  while (true) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      fs.writeSync(fd, JSON.stringify({
+        pid: process.pid,
+        host: os.hostname(),
+        createdAt: new Date().toISOString()
+      }));
+      fs.closeSync(fd);
+      return lockPath;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    const stale = findStaleLock(lockPath, staleAfter);
+    if (stale) {
+      removeStaleLock(lockPath, stale);
+      continue;
+    }
+
+    if (Date.now() - start > timeout) {
+      const info = readLockInfo(lockPath);
+      const holder = info ? ` (pid ${info.pid}, ${info.createdAt})` : '';
+      throw new Error(`${path.basename(filePath)} is locked by another process${holder}. Remove ${lockPath} if it is stale.`);
+    }
+
+    sleepSync(retryDelay);
+  }
+}
+
+/**
+ * Release a lock acquired with acquireLock
+ * A lock that is not ours (taken over as stale, or being written) is left alone
+ * @param {string} lockPath - Lock file path
+ */
+function releaseLock(lockPath) {
+  try {
+    const info = readLockInfo(lockPath);
+    if (info && info.pid === process.pid && info.host === os.hostname()) {
+      fs.unlinkSync(lockPath);
+    }
+  } catch (error) {
+    // Already released
+  }
+}
+
+/**
+ * Run a function while holding the lock of a file
+ * @param {string} filePath - File to protect
+ * @param {Function} fn - Synchronous function to run
+ * @param {Object} options - Lock options
+ * @returns {*} Result of fn
+ */
+function withLock(filePath, fn, options = {}) {
+  const lockPath = acquireLock(filePath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+/**
+ * Write a file atomically (temp file in the same directory, then rename)
+ * @param {string} filePath - Destination path
+ * @param {string} content - File content
+ */
+function writeFileAtomic(filePath, content) {
+  const dir = path.dirname(filePath);
+  const tmpPath = path.join(dir, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  try {
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      fs.writeSync(fd, content);
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    try {
+      fs.unlinkSync(tmpPath);
+    } catch (e) {
+      // Temp file was never created
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  LOCK_DEFAULTS,
+  acquireLock,
+  releaseLock,
+  withLock,
+  writeFileAtomic
+};
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Git Tracker
+ * Records what changed in the repository while a step was worked on
+ */
+class GitTracker {
+  constructor(projectDir = process.cwd()) {
+    this.projectDir = projectDir;
+  }
+
+  /**
+   * Run a git command
+   * @param {string[]} args - git arguments
+   * @returns {Object} { ok, stdout, stderr }
+   */
+  git(args) {
+    const result = spawnSync('git', args, {
+      cwd: this.projectDir,
+      encoding: 'utf-8',
+      maxBuffer: 10 * 1024 * 1024
+    });
+    return {
+      ok: !result.error && result.status === 0,
+      stdout: (result.stdout || '').trim(),
+      stderr: (result.stderr || '').trim()
+    };
+  }
+
+  /**
+   * Check whether the project is inside a git work tree
+   */
+  isRepo() {
+    return this.git(['rev-parse', '--is-inside-work-tree']).stdout === 'true';
+  }
+
+  /**
+   * Current commit (null without commits)
+   */
+  head() {
+    const result = this.git(['rev-parse', 'HEAD']);
+    return result.ok ? result.stdout : null;
+  }
+
+  /**
+   * Files changed since a commit: committed since base plus uncommitted and untracked
+   * Orchestrator files (.ai/) are left out
+   * @param {string|null} base - Base commit
+   * @returns {string[]|null} Paths relative to the project directory, sorted
+   *   (null without base: any uncommitted file of the repo would be listed)
+   */
+  changedFiles(base) {
+    if (!base) return null;
+
+    const files = new Set();
+    const add = (result) => {
+      if (result.ok) result.stdout.split('\n').filter(Boolean).forEach(file => files.add(file));
+    };
+
+    // Diffing against the working tree covers both commits since base and uncommitted edits
+    add(this.git(['diff', '--name-only', '--relative', base]));
+    add(this.git(['ls-files', '--others', '--exclude-standard']));
+
+    return [...files]
+      .filter(file => !file.startsWith('.ai/'))
+      .sort();
+  }
+
+  /**
+   * Number of commits between two refs
+   */
+  countCommits(base, head) {
+    if (!base || !head) return 0;
+    const result = this.git(['rev-list', '--count', `${base}..${head}`]);
+    return result.ok ? parseInt(result.stdout, 10) : 0;
+  }
+
+  /**
+   * Commit every change (no-op if the tree is clean)
+   * @param {string} message - Commit message
+   * @returns {string|null} New commit, null if nothing was committed
+   */
+  commitAll(message) {
+    if (!this.git(['status', '--porcelain']).stdout) return null;
+
+    const add = this.git(['add', '-A']);
+    if (!add.ok) throw new Error(`git add failed: ${add.stderr}`);
+
+    const commit = this.git(['commit', '-m', message]);
+    if (!commit.ok) throw new Error(`git commit failed: ${commit.stderr || commit.stdout}`);
+    return this.head();
+  }
+
+  /**
+   * Create an annotated tag on HEAD
+   * @param {string} name - Tag name
+   * @param {string} message - Tag message
+   * @returns {boolean} false if the tag already exists
+   */
+  tag(name, message) {
+    if (this.git(['rev-parse', '-q', '--verify', `refs/tags/${name}`]).ok) return false;
+
+    const result = this.git(['tag', '-a', name, '-m', message]);
+    if (!result.ok) throw new Error(`git tag failed: ${result.stderr}`);
+    return true;
+  }
+
+  /**
+   * Repository root directory
+   */
+  repoRoot() {
+    const result = this.git(['rev-parse', '--show-toplevel']);
+    return result.ok ? result.stdout : null;
+  }
+
+  /**
+   * Check whether the work tree has uncommitted changes
+   */
+  isDirty() {
+    return Boolean(this.git(['status', '--porcelain']).stdout);
+  }
+
+  /**
+   * Ignore a pattern locally (info/exclude, shared by all worktrees)
+   */
+  excludePattern(pattern) {
+    const commonDir = this.git(['rev-parse', '--git-common-dir']);
+    if (!commonDir.ok) return;
+
+    const excludeFile = path.join(path.resolve(this.projectDir, commonDir.stdout), 'info', 'exclude');
+    const current = fs.existsSync(excludeFile) ? fs.readFileSync(excludeFile, 'utf-8') : '';
+    if (current.split('\n').includes(pattern)) return;
+
+    fs.mkdirSync(path.dirname(excludeFile), { recursive: true });
+    fs.appendFileSync(excludeFile, `${current && !current.endsWith('\n') ? '\n' : ''}${pattern}\n`);
+  }
+
+  /**
+   * Check whether a local branch exists
+   */
+  branchExists(branch) {
+    return this.git(['rev-parse', '-q', '--verify', `refs/heads/${branch}`]).ok;
+  }
+
+  /**
+   * Create a worktree on a new branch started from a commit
+   * @param {string} worktreePath - Directory of the worktree
+   * @param {string} branch - Branch to create
+   * @param {string} base - Start commit
+   */
+  addWorktree(worktreePath, branch, base) {
+    const args = this.branchExists(branch)
+      ? ['worktree', 'add', worktreePath, branch]
+      : ['worktree', 'add', '-b', branch, worktreePath, base];
+    const result = this.git(args);
+    if (!result.ok) throw new Error(`git worktree add failed: ${result.stderr}`);
+  }
+
+  /**
+   * Remove a worktree (and prune stale entries)
+   */
+  removeWorktree(worktreePath, { force = false } = {}) {
+    const result = this.git(['worktree', 'remove', ...(force ? ['--force'] : []), worktreePath]);
+    this.git(['worktree', 'prune']);
+    if (!result.ok) throw new Error(`git worktree remove failed: ${result.stderr}`);
+  }
+
+  /**
+   * Merge a branch into the current one (aborted on conflict)
+   * @param {string} branch - Branch to merge
+   * @param {string} message - Merge commit message
+   * @returns {Object} { ok, conflicts, output }
+   */
+  mergeBranch(branch, message) {
+    const result = this.git(['merge', '--no-ff', '-m', message, branch]);
+    if (result.ok) return { ok: true, conflicts: [], output: result.stdout };
+
+    const conflicts = this.git(['diff', '--name-only', '--diff-filter=U']).stdout.split('\n').filter(Boolean);
+    this.git(['merge', '--abort']);
+    return { ok: false, conflicts, output: result.stderr || result.stdout };
+  }
+
+  /**
+   * Delete a merged branch
+   */
+  deleteBranch(branch) {
+    return this.git(['branch', '-d', branch]).ok;
+  }
+}
+
+module.exports = GitTracker;
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const chalk = require('chalk');
+const { spawnSync } = require('child_process');
+
+/**
+ * Workflow events hooks can subscribe to
+ */
+const HOOK_EVENTS = [
+  'step-ready',
+  'step-prompted',
+  'step-completed',
+  'verify-failed',
+  'milestone-completed',
+  'build-completed'
+];
+
+/**
+ * Default hook options (.ai/config.json "hooks" section)
+ */
+const HOOK_DEFAULTS = {
+  enabled: true,
+  timeoutSeconds: 30
+};
+
+/**
+ * Hook Runner
+ * Runs the commands of .ai/config.json "hooks" and the executables of .ai/hooks/
+ * with the event payload as JSON on stdin. Failures are reported, never thrown.
+ */
+class HookRunner {
+  /**
+   * @param {string} projectDir - Project directory (hooks run there)
+   * @param {Object} config - "hooks" section of .ai/config.json
+   */
+  constructor(projectDir, config = {}) {
+    this.projectDir = projectDir;
+    this.config = { ...HOOK_DEFAULTS, ...config };
+    this.hooksDir = path.join(projectDir, '.ai', 'hooks');
+  }
+
+  /**
+   * Hooks registered for an event: config commands first, then .ai/hooks/<event>[.ext]
+   * @param {string} event - Event name
+   * @returns {Object[]} [{ name, command, file }]
+   */
+  getHooks(event) {
+    const configured = this.config[event];
+    const commands = (Array.isArray(configured) ? configured : [configured])
+      .filter(command => typeof command === 'string' && command.trim())
+      .map(command => ({ name: command, command }));
+
+    let files = [];
+    if (fs.existsSync(this.hooksDir)) {
+      files = fs.readdirSync(this.hooksDir)
+        .filter(file => file === event || file.startsWith(`${event}.`))
+        .sort()
+        .map(file => path.join(this.hooksDir, file))
+        .filter(file => HookRunner.isExecutable(file))
+        .map(file => ({ name: path.relative(this.projectDir, file), file }));
+    }
+
+    return [...commands, ...files];
+  }
+
+  /**
+   * Check whether a hook file can be run (any file on Windows)
+   */
+  static isExecutable(file) {
+    try {
+      const stat = fs.statSync(file);
+      return stat.isFile() && (process.platform === 'win32' || (stat.mode & 0o111) !== 0);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Run the hooks of an event
+   * Skipped inside a hook (PCB_HOOK set), so a hook calling prompt-cursor can't loop
+   * @param {string} event - Event name
+   * @param {Object} payload - Sent as JSON on stdin
+   * @returns {Object[]} [{ hook, ok, exitCode, durationMs, error }]
+   */
+  run(event, payload) {
+    if (!this.config.enabled || process.env.PCB_HOOK) return [];
+
+    const hooks = this.getHooks(event);
+    if (hooks.length === 0) return [];
+
+    const input = JSON.stringify({ event, at: new Date().toISOString(), ...payload });
+    return hooks.map(hook => {
+      const start = Date.now();
+      const options = {
+        cwd: this.projectDir,
+        input,
+        encoding: 'utf-8',
+        timeout: this.config.timeoutSeconds * 1000,
+        maxBuffer: 10 * 1024 * 1024,
+        env: {
+          ...process.env,
+          PCB_HOOK: event,
+          PCB_PROJECT_DIR: this.projectDir,
+          PCB_STEP: payload.task ? String(payload.task.step) : ''
+        }
+      };
+      const result = hook.file
+        ? spawnSync(hook.file, [], options)
+        : spawnSync(hook.command, { ...options, shell: true });
+
+      // A hook that exits without reading stdin makes the write fail: its exit code still decides
+      if (result.error && result.error.code === 'EPIPE') delete result.error;
+      const ok = !result.error && result.status === 0;
+      const outcome = {
+        hook: hook.name,
+        ok,
+        exitCode: result.status,
+        durationMs: Date.now() - start,
+        error: ok ? null : HookRunner.describeFailure(result, this.config.timeoutSeconds)
+      };
+      if (!ok) this.report(event, outcome);
+      return outcome;
+    });
+  }
+
+  /**
+   * Short reason for a failed hook
+   */
+  static describeFailure(result, timeoutSeconds) {
+    if (result.error) {
+      return result.error.code === 'ETIMEDOUT' ? `timeout après ${timeoutSeconds}s` : result.error.message;
+    }
+    const stderr = (result.stderr || '').trim().split('\n').pop();
+    return `code ${result.status}${result.signal ? ` (${result.signal})` : ''}${stderr ? `: ${stderr}` : ''}`;
+  }
+
+  /**
+   * Print a hook failure on stderr (stdout may carry a protocol, e.g. mcp)
+   */
+  report(event, outcome) {
+    console.error(chalk.yellow(`⚠️  Hook ${event} (${outcome.hook}) en échec: ${outcome.error}`));
+  }
+}
+
+HookRunner.HOOK_EVENTS = HOOK_EVENTS;
+HookRunner.HOOK_DEFAULTS = HOOK_DEFAULTS;
+
+module.exports = HookRunner;
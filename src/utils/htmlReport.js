@@ -0,0 +1,285 @@
+/**
+ * Status colors and labels shared by the report sections
+ */
+const STATUS_STYLES = {
+  completed: { color: '#22a06b', label: 'Terminé' },
+  'in-progress': { color: '#d97706', label: 'En cours' },
+  prompted: { color: '#2563eb', label: 'Prompté' },
+  ready: { color: '#eab308', label: 'Prêt' },
+  pending: { color: '#9ca3af', label: 'En attente' }
+};
+
+const NODE_WIDTH = 170;
+const NODE_HEIGHT = 42;
+const COLUMN_GAP = 60;
+const ROW_GAP = 16;
+
+/**
+ * Escape text for HTML content and attributes
+ */
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function percent(completed, total) {
+  return total > 0 ? Math.round((completed / total) * 100) : 0;
+}
+
+function progressBar(value) {
+  return `<div class="bar"><div style="width:${value}%"></div></div>`;
+}
+
+function formatDate(iso) {
+  return iso ? escapeHtml(iso.substring(0, 16).replace('T', ' ')) : '-';
+}
+
+/**
+ * HTML Report
+ * Renders the project report as a single HTML file: inline CSS and SVG, no script,
+ * no external resource, so it can be mailed or opened offline
+ */
+class HtmlReport {
+  /**
+   * @param {Object} data - { project, generatedAt, context, progress, byModule, byAgent,
+   *   milestones, tasks, critical, bugs, recent, forecast }
+   * @returns {string} HTML document
+   */
+  static render(data) {
+    const { project, generatedAt, progress } = data;
+
+    return `<!DOCTYPE html>
+<html lang="fr">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(project)} - Rapport d'avancement</title>
+<style>${this.styles()}</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(project)}</h1>
+  <p class="muted">Rapport d'avancement du ${formatDate(generatedAt)}</p>
+  <div class="overall">
+    <strong>${progress.percentage}%</strong>
+    ${progressBar(progress.percentage)}
+    <span class="muted">${progress.completed}/${progress.total} étapes terminées</span>
+  </div>
+</header>
+<main>
+${[
+    this.renderSummary(data),
+    this.renderProgress(data),
+    this.renderMilestones(data),
+    this.renderGraph(data),
+    this.renderBugs(data),
+    this.renderRecent(data)
+  ].filter(Boolean).join('\n')}
+</main>
+<footer class="muted">Généré par prompt-cursor</footer>
+</body>
+</html>
+`;
+  }
+
+  static styles() {
+    return `
+body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0; background: #f6f7f9; color: #1f2937; }
+header, main, footer { max-width: 1000px; margin: 0 auto; padding: 16px 24px; }
+h1 { margin: 8px 0 0; } h2 { font-size: 1.15rem; margin: 0 0 12px; }
+section { background: #fff; border: 1px solid #e5e7eb; border-radius: 8px; padding: 16px 20px; margin-bottom: 16px; }
+.muted { color: #6b7280; font-size: 0.9rem; }
+.overall { display: flex; align-items: center; gap: 12px; margin-top: 12px; }
+.overall strong { font-size: 1.6rem; } .overall .bar { flex: 1; height: 14px; }
+.bar { background: #e5e7eb; border-radius: 6px; height: 10px; overflow: hidden; min-width: 80px; }
+.bar > div { background: #22a06b; height: 100%; }
+.cards { display: grid; grid-template-columns: repeat(auto-fit, minmax(120px, 1fr)); gap: 8px; margin-bottom: 16px; }
+.card { border: 1px solid #e5e7eb; border-radius: 6px; padding: 8px 12px; }
+.card b { display: block; font-size: 1.3rem; }
+.columns { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 16px; }
+table { width: 100%; border-collapse: collapse; font-size: 0.92rem; }
+th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #f0f1f3; vertical-align: middle; }
+th { color: #6b7280; font-weight: 600; }
+td.bar-cell { width: 35%; }
+.badge { display: inline-block; padding: 1px 8px; border-radius: 10px; color: #fff; font-size: 0.8rem; }
+.graph { overflow-x: auto; }
+.legend span { margin-right: 12px; }
+ul { margin: 4px 0 12px; padding-left: 20px; }
+`;
+  }
+
+  static list(title, items) {
+    if (!items || items.length === 0) return '';
+    return `<h3>${escapeHtml(title)}</h3><ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  }
+
+  static renderSummary({ context = {}, forecast }) {
+    const parts = [
+      context.summary ? `<p>${escapeHtml(context.summary)}</p>` : '',
+      this.list('Objectifs', context.keyObjectives),
+      this.list('Stack technique', context.techStack),
+      this.list('Contraintes', context.constraints),
+      this.list('Étapes clés du plan', context.planHighlights)
+    ].filter(Boolean);
+
+    if (forecast && forecast.date && forecast.remaining > 0) {
+      parts.push(`<p><strong>Fin estimée:</strong> ${escapeHtml(forecast.date.substring(0, 10))} (~${escapeHtml(forecast.days)} jours, ${forecast.remaining} étape(s) restante(s))</p>`);
+    }
+    if (parts.length === 0) return '';
+    return `<section><h2>📄 Projet</h2>${parts.join('\n')}</section>`;
+  }
+
+  static renderGroupTable(title, groups) {
+    const rows = Object.entries(groups).map(([name, group]) => {
+      const value = percent(group.completed, group.total);
+      return `<tr><td>${escapeHtml(name)}</td><td>${group.completed}/${group.total}</td><td class="bar-cell">${progressBar(value)}</td><td>${value}%</td></tr>`;
+    }).join('');
+    return `<div><h3>${escapeHtml(title)}</h3><table><tr><th>Nom</th><th>Faits</th><th></th><th></th></tr>${rows}</table></div>`;
+  }
+
+  static renderProgress({ progress, byModule, byAgent }) {
+    const cards = [
+      ['Terminées', progress.completed],
+      ['En cours', progress.prompted + progress.inProgress],
+      ['Prêtes', progress.ready],
+      ['En attente', progress.pending],
+      ['Total', progress.total]
+    ].map(([label, value]) => `<div class="card"><b>${value}</b><span class="muted">${label}</span></div>`).join('');
+
+    return `<section><h2>📊 Progression</h2>
+<div class="cards">${cards}</div>
+<div class="columns">${this.renderGroupTable('Par module', byModule)}${this.renderGroupTable('Par agent', byAgent)}</div>
+</section>`;
+  }
+
+  static renderMilestones({ milestones }) {
+    if (!milestones || milestones.length === 0) return '';
+    const rows = milestones.map(m => `<tr>
+<td>${escapeHtml(m.icon)} ${escapeHtml(m.name)}</td>
+<td>${escapeHtml(m.deadline || '-')}</td>
+<td>${m.completedSteps.length}/${m.steps.length}</td>
+<td class="bar-cell">${progressBar(m.progress)}</td>
+<td>${m.progress}%</td></tr>`).join('');
+    return `<section><h2>🎯 Jalons</h2><table><tr><th>Jalon</th><th>Échéance</th><th>Étapes</th><th></th><th></th></tr>${rows}</table></section>`;
+  }
+
+  /**
+   * Dependency graph as inline SVG: one column per depth (longest dependency chain)
+   */
+  static renderGraph({ tasks, critical = [] }) {
+    if (!tasks || tasks.length === 0) return '';
+
+    const byStep = new Map(tasks.map(t => [t.step, t]));
+    const depth = new Map();
+    const visiting = new Set();
+    const depthOf = (step) => {
+      if (depth.has(step)) return depth.get(step);
+      if (visiting.has(step) || !byStep.has(step)) return 0;
+      visiting.add(step);
+      const deps = (byStep.get(step).dependsOn || []).filter(dep => byStep.has(dep));
+      const value = deps.length > 0 ? Math.max(...deps.map(depthOf)) + 1 : 0;
+      visiting.delete(step);
+      depth.set(step, value);
+      return value;
+    };
+
+    const columns = [];
+    [...tasks].sort((a, b) => a.step - b.step).forEach(task => {
+      const column = depthOf(task.step);
+      (columns[column] = columns[column] || []).push(task);
+    });
+
+    const positions = new Map();
+    columns.forEach((column, x) => (column || []).forEach((task, y) => {
+      positions.set(task.step, { x: 10 + x * (NODE_WIDTH + COLUMN_GAP), y: 10 + y * (NODE_HEIGHT + ROW_GAP) });
+    }));
+
+    const width = 20 + columns.length * (NODE_WIDTH + COLUMN_GAP) - COLUMN_GAP;
+    const height = 20 + Math.max(...columns.map(c => (c || []).length)) * (NODE_HEIGHT + ROW_GAP) - ROW_GAP;
+
+    const edges = tasks.flatMap(task => (task.dependsOn || [])
+      .filter(dep => positions.has(dep))
+      .map(dep => {
+        const from = positions.get(dep);
+        const to = positions.get(task.step);
+        const x1 = from.x + NODE_WIDTH;
+        const y1 = from.y + NODE_HEIGHT / 2;
+        const x2 = to.x;
+        const y2 = to.y + NODE_HEIGHT / 2;
+        const mid = (x1 + x2) / 2;
+        const onPath = critical.includes(dep) && critical.includes(task.step);
+        return `<path d="M${x1},${y1} C${mid},${y1} ${mid},${y2} ${x2 - 4},${y2}" fill="none" stroke="${onPath ? '#dc2626' : '#9ca3af'}" stroke-width="${onPath ? 2 : 1.2}" marker-end="url(#arrow)"/>`;
+      }));
+
+    const nodes = tasks.map(task => {
+      const { x, y } = positions.get(task.step);
+      const style = STATUS_STYLES[task.status] || STATUS_STYLES.pending;
+      const title = task.title.length > 22 ? `${task.title.substring(0, 21)}…` : task.title;
+      return `<g><title>Step ${task.step}: ${escapeHtml(task.title)} (${escapeHtml(style.label)}, ${escapeHtml(task.module || '-')})</title>
+<rect x="${x}" y="${y}" width="${NODE_WIDTH}" height="${NODE_HEIGHT}" rx="6" fill="#fff" stroke="${style.color}" stroke-width="${critical.includes(task.step) ? 2.5 : 1.5}"/>
+<rect x="${x}" y="${y}" width="6" height="${NODE_HEIGHT}" rx="2" fill="${style.color}"/>
+<text x="${x + 14}" y="${y + 17}" font-size="12" font-weight="600">Step ${task.step}</text>
+<text x="${x + 14}" y="${y + 33}" font-size="11" fill="#4b5563">${escapeHtml(title)}</text></g>`;
+    });
+
+    const legend = Object.values(STATUS_STYLES)
+      .map(style => `<span><span class="badge" style="background:${style.color}">&nbsp;</span> ${escapeHtml(style.label)}</span>`)
+      .join('');
+
+    return `<section><h2>🔗 Dépendances</h2>
+<div class="graph"><svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="inherit">
+<defs><marker id="arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto"><path d="M0,0 L10,5 L0,10 z" fill="#9ca3af"/></marker></defs>
+${edges.join('\n')}
+${nodes.join('\n')}
+</svg></div>
+<p class="legend muted">${legend} <span style="color:#dc2626">━</span> chemin critique restant</p>
+</section>`;
+  }
+
+  static renderBugs({ bugs }) {
+    if (!bugs || bugs.totalBugs === 0) {
+      return '<section><h2>🐛 Journal des bugs</h2><p class="muted">Aucun bug enregistré</p></section>';
+    }
+
+    const tags = (bugs.mostCommonTags || [])
+      .map(tag => (typeof tag === 'string' ? tag : `${tag.tag || tag.name} (${tag.count})`))
+      .join(', ');
+    const rows = (bugs.recentBugs || []).map(bug => `<tr>
+<td>${escapeHtml(bug.title)}</td>
+<td>${bug.step ? `Step ${escapeHtml(bug.step)}` : '-'}</td>
+<td>${escapeHtml(bug.severity || '-')}</td>
+<td>${bug.resolved ? '✅ Résolu' : '🔴 Ouvert'}</td>
+<td>${formatDate(bug.createdAt)}</td></tr>`).join('');
+
+    return `<section><h2>🐛 Journal des bugs</h2>
+<div class="cards">
+<div class="card"><b>${bugs.totalBugs}</b><span class="muted">Total</span></div>
+<div class="card"><b>${bugs.resolved}</b><span class="muted">Résolus</span></div>
+<div class="card"><b>${bugs.unresolved}</b><span class="muted">Ouverts</span></div>
+</div>
+${tags ? `<p class="muted">Tags fréquents: ${escapeHtml(tags)}</p>` : ''}
+<table><tr><th>Bug</th><th>Étape</th><th>Sévérité</th><th>État</th><th>Date</th></tr>${rows}</table>
+</section>`;
+  }
+
+  static renderRecent({ recent }) {
+    if (!recent || recent.length === 0) {
+      return '<section><h2>✅ Terminé récemment</h2><p class="muted">Aucune étape terminée</p></section>';
+    }
+    const rows = recent.map(task => `<tr>
+<td>Step ${task.step}</td>
+<td>${escapeHtml(task.title)}</td>
+<td>${escapeHtml(task.module || '-')}</td>
+<td>${formatDate(task.completedAt)}</td>
+<td>${typeof task.actualHours === 'number' ? `${task.actualHours}h` : '-'}${typeof task.estimatedHours === 'number' ? ` / ${task.estimatedHours}h estimées` : ''}</td></tr>`).join('');
+    return `<section><h2>✅ Terminé récemment</h2><table><tr><th>#</th><th>Étape</th><th>Module</th><th>Terminée le</th><th>Durée</th></tr>${rows}</table></section>`;
+  }
+}
+
+HtmlReport.escapeHtml = escapeHtml;
+
+module.exports = HtmlReport;
@@ -0,0 +1,259 @@
+/**
+ * PlanDiff - Semantic diff between two revisions of the implementation plan
+ */
+
+const fs = require('fs');
+const path = require('path');
+const PlanParser = require('./planParser');
+const StructuredPlan = require('./structuredPlan');
+const TaskMerger = require('./taskMerger');
+const { writeFileAtomic } = require('./fileLock');
+
+/**
+ * Statuses of tasks already handed to an agent (a promptedAt date counts too)
+ */
+const STARTED_STATUSES = ['prompted', 'in-progress', 'completed'];
+
+/**
+ * Compared step fields, as shown to the user
+ */
+const FIELD_LABELS = {
+  dependsOn: 'dépendances',
+  module: 'module',
+  files: 'fichiers',
+  estimate: 'estimation'
+};
+
+/**
+ * Plan step as a tasks.json-like entry, for TaskMerger.matchEntries()
+ */
+function asEntry(step) {
+  return {
+    step: step.number,
+    title: step.name,
+    files: step.files || [],
+    module: [].concat(step.module || [])[0] || null
+  };
+}
+
+/**
+ * Step number as written in the plan ("3", "2.1")
+ */
+function labelOf(step) {
+  return String(step.displayNumber || step.number);
+}
+
+/**
+ * Items of a that are not in b
+ */
+function without(a, b) {
+  return a.filter(item => !b.includes(item));
+}
+
+class PlanDiff {
+  /**
+   * Plan consumed by the last build
+   * @param {string} projectDir - Project directory
+   * @returns {string} .ai/plan-snapshot.json
+   */
+  static snapshotPath(projectDir) {
+    return path.join(projectDir, '.ai', 'plan-snapshot.json');
+  }
+
+  /**
+   * Read plan steps the way build does: structured plans (file or fenced block) first
+   * @param {string} content - Plan text
+   * @param {Object} options - { format, source } format: markdown (default), yaml or json
+   * @returns {Array} PlanParser steps
+   * @throws {Error} code INVALID_PLAN for an invalid structured plan
+   */
+  static readSteps(content, { format = 'markdown', source = 'implementation-plan.md' } = {}) {
+    if (format === 'yaml' || format === 'json') {
+      return StructuredPlan.load({ source, format, content, lineOffset: 0 }).steps;
+    }
+    const block = StructuredPlan.extractBlock(content);
+    return block ? StructuredPlan.load({ source, ...block }).steps : PlanParser.parsePlan(content);
+  }
+
+  /**
+   * Record the plan a build consumed, with the task each plan step became
+   * (simple mode groups several plan steps into one task)
+   * @param {string} projectDir - Project directory
+   * @param {Object} plan - { source, format, content }
+   * @param {Array} steps - Steps handed to the workflow generator
+   */
+  static saveSnapshot(projectDir, plan, steps) {
+    const stepTasks = {};
+    steps.forEach(step => {
+      (step.originalSteps || [step.number]).forEach(number => {
+        stepTasks[number] = step.number;
+      });
+    });
+
+    writeFileAtomic(this.snapshotPath(projectDir), JSON.stringify({
+      builtAt: new Date().toISOString(),
+      source: plan.source,
+      format: plan.format,
+      content: plan.content,
+      stepTasks
+    }, null, 2));
+  }
+
+  /**
+   * @param {string} projectDir - Project directory
+   * @returns {Object|null} { builtAt, source, format, content, stepTasks }
+   */
+  static loadSnapshot(projectDir) {
+    const file = this.snapshotPath(projectDir);
+    if (!fs.existsSync(file)) return null;
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Task of each plan step, guessed from tasks.json when no snapshot describes the plan
+   * @param {Array} steps - Plan steps
+   * @param {Object[]} entries - tasks.json entries
+   * @returns {Object} Plan step number → task step number
+   */
+  static mapStepsToTasks(steps, entries) {
+    const stepTasks = {};
+    for (const [number, entry] of TaskMerger.matchEntries(entries, steps.map(asEntry))) {
+      stepTasks[number] = entry.step;
+    }
+    return stepTasks;
+  }
+
+  /**
+   * Step numbers written more than once in a plan: steps and dependencies
+   * would be paired with the wrong step
+   * @param {Array} steps - Plan steps
+   * @returns {string[]} Duplicated labels
+   */
+  static duplicateLabels(steps) {
+    const seen = new Set();
+    const duplicates = new Set();
+    steps.map(labelOf).forEach(label => (seen.has(label) ? duplicates.add(label) : seen.add(label)));
+    return [...duplicates];
+  }
+
+  /**
+   * Compare two revisions of a plan
+   * Steps are paired like build pairs tasks (title, files, number)
+   * @param {Array} oldSteps - Steps of the previous revision
+   * @param {Array} newSteps - Steps of the new revision
+   * @returns {Object} { added, removed, renamed, renumbered, changed }
+   *   entries carry the step labels (from/to) and oldNumber, the previous sequential number
+   */
+  static compare(oldSteps, newSteps) {
+    const matches = TaskMerger.matchEntries(oldSteps.map(asEntry), newSteps.map(asEntry));
+    const oldByNumber = new Map(oldSteps.map(step => [step.number, step]));
+    const newByNumber = new Map(newSteps.map(step => [step.number, step]));
+    const renumbering = new Map([...matches].map(([newNumber, oldEntry]) => [oldEntry.step, newNumber]));
+
+    const diff = { added: [], removed: [], renamed: [], renumbered: [], changed: [] };
+
+    newSteps.forEach(step => {
+      const oldEntry = matches.get(step.number);
+      if (!oldEntry) {
+        diff.added.push({ step: labelOf(step), title: step.name });
+        return;
+      }
+
+      const old = oldByNumber.get(oldEntry.step);
+      const ref = { from: labelOf(old), to: labelOf(step), oldNumber: old.number, title: step.name };
+      if (ref.from !== ref.to) {
+        diff.renumbered.push(ref);
+      }
+      if (old.name !== step.name) {
+        diff.renamed.push({ ...ref, previousTitle: old.name });
+      }
+
+      // Dependencies compared in new numbering: a label can be reused by another step
+      const newLabel = number => `Step ${newByNumber.has(number) ? labelOf(newByNumber.get(number)) : number}`;
+      const oldLabel = number => (renumbering.has(number)
+        ? newLabel(renumbering.get(number))
+        : `Step ${oldByNumber.has(number) ? labelOf(oldByNumber.get(number)) : number} (supprimée)`);
+      const afterNumbers = step.dependsOn || [];
+      const beforeNumbers = (old.dependsOn || []).map(number => (renumbering.has(number) ? renumbering.get(number) : null));
+      const addedDeps = afterNumbers.filter(number => !beforeNumbers.includes(number)).map(newLabel);
+      const removedDeps = (old.dependsOn || [])
+        .filter(number => !renumbering.has(number) || !afterNumbers.includes(renumbering.get(number)))
+        .map(oldLabel);
+      const beforeModules = [].concat(old.module || []);
+      const afterModules = [].concat(step.module || []);
+
+      const changes = [];
+      if (addedDeps.length > 0 || removedDeps.length > 0) {
+        changes.push({ field: 'dependsOn', added: addedDeps, removed: removedDeps });
+      }
+      if (beforeModules.join(',') !== afterModules.join(',')) {
+        changes.push({ field: 'module', before: beforeModules.join(', ') || null, after: afterModules.join(', ') || null });
+      }
+      const addedFiles = without(step.files || [], old.files || []);
+      const removedFiles = without(old.files || [], step.files || []);
+      if (addedFiles.length > 0 || removedFiles.length > 0) {
+        changes.push({ field: 'files', added: addedFiles, removed: removedFiles });
+      }
+      if ((old.estimatedTime || null) !== (step.estimatedTime || null)) {
+        changes.push({ field: 'estimate', before: old.estimatedTime || null, after: step.estimatedTime || null });
+      }
+      if (changes.length > 0) {
+        diff.changed.push({ ...ref, changes });
+      }
+    });
+
+    oldSteps
+      .filter(step => !renumbering.has(step.number))
+      .forEach(step => diff.removed.push({ step: labelOf(step), oldNumber: step.number, title: step.name }));
+
+    return diff;
+  }
+
+  /**
+   * Started tasks (completed or prompted) touched by a diff
+   * @param {Object} diff - compare() result
+   * @param {Object[]} entries - tasks.json entries
+   * @param {Object} stepTasks - Previous plan step number → task step number
+   * @returns {Object[]} [{ step, title, status, reasons }] sorted by task number
+   */
+  static affectedTasks(diff, entries, stepTasks) {
+    const started = new Map(entries
+      .filter(entry => STARTED_STATUSES.includes(entry.status) || entry.promptedAt)
+      .map(entry => [entry.step, entry]));
+    const affected = new Map();
+
+    const note = (oldNumber, reason) => {
+      const entry = started.get(stepTasks[oldNumber]);
+      if (!entry) return;
+      if (!affected.has(entry.step)) {
+        affected.set(entry.step, { step: entry.step, title: entry.title, status: entry.status, reasons: [] });
+      }
+      affected.get(entry.step).reasons.push(reason);
+    };
+
+    diff.removed.forEach(s => note(s.oldNumber, `Step ${s.step} supprimée`));
+    diff.renumbered.forEach(s => note(s.oldNumber, `Step ${s.from} → Step ${s.to}`));
+    diff.renamed.forEach(s => note(s.oldNumber, `Step ${s.to} renommée`));
+    diff.changed.forEach(s => note(s.oldNumber, `Step ${s.to}: ${s.changes.map(c => FIELD_LABELS[c.field]).join(', ')}`));
+
+    return [...affected.values()].sort((a, b) => a.step - b.step);
+  }
+
+  /**
+   * Check whether a diff contains any change
+   * @param {Object} diff - compare() result
+   * @returns {boolean}
+   */
+  static hasChanges(diff) {
+    return Object.values(diff).some(list => list.length > 0);
+  }
+}
+
+PlanDiff.STARTED_STATUSES = STARTED_STATUSES;
+PlanDiff.FIELD_LABELS = FIELD_LABELS;
+
+module.exports = PlanDiff;
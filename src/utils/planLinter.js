@@ -0,0 +1,255 @@
+const PlanParser = require('./planParser');
+const ModuleManager = require('./moduleManager');
+const StructuredPlan = require('./structuredPlan');
+
+/**
+ * Lines that look like a step heading: "## Step 3: …", "**Étape 2.** …", "- [x] Step 4 - …"
+ */
+const STEP_LIKE_REGEX = /^\s{0,3}(?:#{1,6}\s*|[-*+]\s+(?:\[[ xX]?\]\s*)?|\d+\.\s+)?(?:\*\*|__)?\s*(?:step|étape|etape)\s+(\d+(?:\.\d+)*)\s*(?:\*\*|__)?\s*[:.)\-–—]/i;
+
+/**
+ * Labels the parser reads, as written by the AI (bold or not): when one is present
+ * but the parser's own pattern misses it, the value is silently ignored
+ */
+const DEPENDENCY_LABEL_REGEX = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*(?:step\s+)?(?:depends?\s*on|dépend\s+de|dependenc(?:y|ies)|dépendances?|requires?|nécessite|prérequis|after)\s*(?:\*\*|__)?\s*:/i;
+const MODULE_LABEL_REGEX = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*modules?\s*(?:\*\*|__)?\s*:/i;
+const ESTIMATE_LABEL_REGEX = /^\s*(?:[-*]\s*)?(?:\*\*|__)?\s*(?:estimated?(?:\s+time)?|estimation|estimé|durée|duration|time)\s*(?:\*\*|__)?\s*:/i;
+
+/**
+ * What extractModule() and extractEstimatedTime() actually read
+ */
+const MODULE_REGEXES = [/-\s*\*\*Module\*\*\s*:\s*([^\n]+)/i, /(?:^|\n)\s*module\s*:\s*([^\n]+)/im];
+const ESTIMATE_REGEX = /(?:estimated|estimé|durée|time)(?:\*\*)?\s*:(?:\*\*)?\s*([^\n]+)/i;
+
+/**
+ * "1.2" → [1, 2]
+ */
+function numberParts(rawNumber) {
+  return rawNumber.split('.').map(Number);
+}
+
+/**
+ * Numbers that may follow a step: next sibling at any level, or first child
+ * ("1.3" → "1.4", "2", "2.1", "1.3.1")
+ */
+function nextNumbers(previous) {
+  const parts = numberParts(previous);
+  const candidates = [];
+  for (let level = parts.length; level >= 1; level--) {
+    const next = [...parts.slice(0, level - 1), parts[level - 1] + 1];
+    candidates.push(next.join('.'));
+  }
+  candidates.push(`${previous}.1`);
+  return candidates;
+}
+
+/**
+ * Whether a step number follows another (a sibling may open with its ".1" children)
+ */
+function followsNumber(previous, current) {
+  return nextNumbers(previous).some(candidate => {
+    const rest = current.startsWith(`${candidate}.`) ? current.slice(candidate.length + 1) : null;
+    return current === candidate || (rest !== null && /^1(\.1)*$/.test(rest));
+  });
+}
+
+/**
+ * Plan Linter
+ * Reports, with line numbers, what PlanParser would silently drop or misread in implementation-plan.md
+ * (or the schema errors of a structured plan)
+ */
+class PlanLinter {
+  /**
+   * Lint a plan
+   * @param {string} content - Plan text
+   * @param {Object} options - { source, format } format: markdown (default), yaml or json
+   * @returns {Object} { source, format, structured, steps, diagnostics, errors, warnings }
+   *   diagnostics: [{ line, severity: 'error'|'warning', rule, message, step }]
+   */
+  static lint(content, { source = 'implementation-plan.md', format = 'markdown' } = {}) {
+    if (format === 'yaml' || format === 'json') {
+      return this.lintStructured({ source, format, content, lineOffset: 0 });
+    }
+
+    const block = StructuredPlan.extractBlock(content);
+    if (block) return this.lintStructured({ source, ...block });
+
+    return this.summarize({ source, format: null, structured: false }, ...this.lintMarkdown(content));
+  }
+
+  /**
+   * Structured plan: schema diagnostics from StructuredPlan
+   * @param {Object} located - StructuredPlan.locate() result (or { source, format, content, lineOffset })
+   */
+  static lintStructured(located) {
+    const { data, errors, warnings } = StructuredPlan.parse(located.content, located);
+    const diagnostic = (severity, rule) => ({ path, line, message }) => ({
+      line,
+      severity,
+      rule,
+      message: path ? `${path}: ${message}` : message,
+      step: null
+    });
+
+    return this.summarize(
+      { source: located.source, format: `${located.format} (structuré)`, structured: true },
+      [...errors.map(diagnostic('error', 'schema')), ...warnings.map(diagnostic('warning', 'schema'))],
+      data && Array.isArray(data.steps) ? data.steps.length : 0
+    );
+  }
+
+  /**
+   * Markdown plan: headings, numbering, dependencies, modules, empty steps and estimates
+   * @param {string} content - implementation-plan.md
+   * @returns {Array} [diagnostics, stepCount, formatLabel]
+   */
+  static lintMarkdown(content) {
+    const text = content.replace(/\r\n?/g, '\n');
+    const diagnostics = [];
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const lineAt = (index) => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (lineStarts[mid] <= index) low = mid;
+        else high = mid - 1;
+      }
+      return low + 1;
+    };
+    const report = (line, severity, rule, message, step = null) => {
+      diagnostics.push({ line, severity, rule, message, step });
+    };
+
+    const { format, matches } = PlanParser.findSteps(text);
+    const headingLines = new Set(matches.map(match => lineAt(match.index)));
+
+    // Headings the parser does not see: another format than the one in use, or no format at all
+    const labels = PlanParser.STEP_FORMATS.map(f => `"${f.label}"`).join(', ');
+    let fence = null;
+    text.split('\n').forEach((lineText, i) => {
+      const fenceMatch = lineText.match(/^\s*(`{3,}|~{3,})/);
+      if (fenceMatch) {
+        if (!fence) fence = fenceMatch[1];
+        else if (fenceMatch[1].startsWith(fence)) fence = null;
+        return;
+      }
+      if (fence || headingLines.has(i + 1)) return;
+      const stepLike = lineText.match(STEP_LIKE_REGEX);
+      if (!stepLike) return;
+
+      const other = PlanParser.STEP_FORMATS.find(f => new RegExp(f.regex.source, f.regex.flags.replace('g', '')).test(`${lineText}\n`));
+      if (other && format) {
+        report(i + 1, 'error', 'mixed-format', `"${lineText.trim()}" suit le format "${other.label}" au lieu de "${format.label}": étape ignorée`, stepLike[1]);
+      } else if (!other) {
+        report(i + 1, 'error', 'unsupported-heading', `"${lineText.trim()}" ressemble à une étape mais ne suit aucun format supporté (${labels}): étape ignorée`, stepLike[1]);
+      }
+    });
+
+    if (!format) {
+      report(1, 'error', 'no-steps', `aucune étape reconnue (${labels}): build utilisera les étapes par défaut`);
+      return [diagnostics, 0, null];
+    }
+
+    // Same resolution as parsePlan(): "2" also stands for sub-steps 2.1, 2.2
+    const numbered = matches.map((match, idx) => ({ rawNumber: match.rawNumber, number: idx + 1 }));
+    const resolves = (rawDep) => PlanParser.resolveDependency(rawDep, numbered).length > 0;
+
+    const knownModules = Object.keys(ModuleManager.getModuleDefinitions());
+    const seen = new Map();
+    let previous = null;
+
+    matches.forEach(match => {
+      const step = match.rawNumber;
+      const headingLine = lineAt(match.index);
+      const sectionLines = match.content.split('\n');
+      const contentLine = lineAt(match.contentIndex);
+      const lineOf = regex => {
+        const offset = sectionLines.findIndex(l => regex.test(l));
+        return offset === -1 ? headingLine : contentLine + offset;
+      };
+      const lineOfIndex = index => lineAt(match.contentIndex + index);
+
+      // Numbering
+      if (seen.has(step)) {
+        report(headingLine, 'error', 'duplicate-step', `Step ${step} déjà défini ligne ${seen.get(step)}`, step);
+      } else {
+        seen.set(step, headingLine);
+        if (previous === null && !/^1(\.1)*$/.test(step)) {
+          report(headingLine, 'warning', 'step-sequence', `le plan commence à Step ${step} (attendu: 1)`, step);
+        } else if (previous !== null && !followsNumber(previous, step)) {
+          report(headingLine, 'warning', 'step-sequence', `Step ${step} après Step ${previous} (attendu: ${nextNumbers(previous).join(', ')})`, step);
+        }
+        previous = step;
+      }
+
+      // Dependencies
+      const { dependsOnRaw } = PlanParser.extractDependencies(match.content, step);
+      const depLine = lineOf(DEPENDENCY_LABEL_REGEX);
+      dependsOnRaw.forEach(dep => {
+        if (dep === step) {
+          report(depLine, 'error', 'self-dependency', `Step ${step} dépend d'elle-même`, step);
+        } else if (!resolves(dep)) {
+          report(depLine, 'error', 'unknown-dependency', `Step ${step} dépend de Step ${dep}, qui n'existe pas`, step);
+        }
+      });
+      const depLabel = sectionLines.find(l => DEPENDENCY_LABEL_REGEX.test(l));
+      if (dependsOnRaw.length === 0 && depLabel && /\d/.test(depLabel) && !/none|aucun/i.test(depLabel)) {
+        report(depLine, 'warning', 'unparsed-dependency', `dépendances non lues par le parser: écrire "- **Depends on**: Step 1, Step 2"`, step);
+      }
+
+      // Modules
+      const moduleMatch = MODULE_REGEXES.map(regex => match.content.match(regex)).find(Boolean);
+      if (moduleMatch) {
+        const moduleLine = lineOfIndex(moduleMatch.index + moduleMatch[0].search(/\S/));
+        moduleMatch[1].split(',').map(m => m.trim()).filter(Boolean).forEach(name => {
+          if (!knownModules.includes(PlanParser.normalizeModuleName(name))) {
+            report(moduleLine, 'error', 'unknown-module', `module "${name}" inconnu (connus: ${knownModules.join(', ')})`, step);
+          }
+        });
+      } else if (sectionLines.some(l => MODULE_LABEL_REGEX.test(l))) {
+        report(lineOf(MODULE_LABEL_REGEX), 'warning', 'unparsed-module', 'module non lu par le parser (deviné d\'après le contenu): écrire "- **Module**: backend"', step);
+      }
+
+      // Content
+      const tasks = PlanParser[format.extractTasks](match.content)
+        .filter(task => task.type !== 'validation' && task.description !== match.title);
+      if (tasks.length === 0 && PlanParser.extractFiles(match.content).length === 0 && PlanParser.extractUserCommands(match.content).length === 0) {
+        report(headingLine, 'warning', 'empty-step', `Step ${step} n'a ni tâches, ni fichiers, ni commandes`, step);
+      }
+
+      // Estimate
+      const estimateMatch = match.content.match(ESTIMATE_REGEX);
+      if (estimateMatch) {
+        const estimate = estimateMatch[1].trim();
+        if (PlanParser.parseEstimateHours(estimate) === null) {
+          report(lineOfIndex(estimateMatch.index), 'warning', 'estimate', `estimation "${estimate}" illisible (ex: "2-4 heures", "30 min", "1 jour"): durée par défaut dans le planning`, step);
+        }
+      } else if (sectionLines.some(l => ESTIMATE_LABEL_REGEX.test(l))) {
+        report(lineOf(ESTIMATE_LABEL_REGEX), 'warning', 'unparsed-estimate', 'estimation non lue par le parser: écrire "Estimated: 2-4 heures"', step);
+      }
+    });
+
+    return [diagnostics, matches.length, format.label];
+  }
+
+  /**
+   * Sorted diagnostics with counts
+   */
+  static summarize(base, diagnostics, steps, formatLabel) {
+    const sorted = [...diagnostics].sort((a, b) => (a.line || 0) - (b.line || 0));
+    return {
+      ...base,
+      format: formatLabel !== undefined ? formatLabel : base.format,
+      steps,
+      diagnostics: sorted,
+      errors: sorted.filter(d => d.severity === 'error').length,
+      warnings: sorted.filter(d => d.severity === 'warning').length
+    };
+  }
+}
+
+module.exports = PlanLinter;
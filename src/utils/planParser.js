@@ -1,6 +1,49 @@
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * Supported step heading formats, tried in order: the first one with matches wins
+ * content is the step text handed to the extractors (the title line is included or not)
+ */
+const STEP_FORMATS = [
+  {
+    id: 'etape',
+    label: '### Étape X:',
+    regex: /###\s+Étape\s+(\d+(?:\.\d+)?):\s+(.+?)(?=###|\n##|$)/gs,
+    title: match => match[2].trim().split('\n')[0].trim(),
+    content: match => match[0],
+    extractTasks: 'extractTasks',
+    objective: (parser, content) => parser.extractObjective(content)
+  },
+  {
+    id: 'step-h4',
+    label: '#### Step X:',
+    regex: /####\s+Step\s+(\d+(?:\.\d+)?):\s+(.+?)\n([\s\S]*?)(?=####\s+Step|###\s+|##\s+|$)/gs,
+    title: match => match[2].trim(),
+    content: match => match[3],
+    extractTasks: 'extractTasksFromStepFormat',
+    objective: (parser, content, title) => parser.extractTaskDescription(content) || title
+  },
+  {
+    id: 'step-h3',
+    label: '### Step X:',
+    regex: /###\s+Step\s+(\d+(?:\.\d+)?):\s+(.+?)\n([\s\S]*?)(?=###\s+Step|##\s+Phase|##\s+\w|$)/gs,
+    title: match => match[2].trim(),
+    content: match => match[3],
+    extractTasks: 'extractTasksFromStepFormat',
+    objective: (parser, content, title) => parser.extractTaskDescription(content) || title
+  },
+  {
+    id: 'checkbox',
+    label: '- [ ] Step X:',
+    regex: /-\s+\[\s*\]\s+Step\s+(\d+(?:\.\d+)?):\s+([^\n]+)([\s\S]*?)(?=\n-\s+\[\s*\]\s+Step|\n##\s+Phase|$)/g,
+    title: match => match[2].trim(),
+    content: match => match[0],
+    extractTasks: 'extractTasksFromCheckboxFormat',
+    objective: (parser, content, title, tasks) => tasks[0]?.description || title
+  }
+];
+
 /**
  * Parse implementation-plan.md to extract steps
  * Supports complex projects with non-linear dependencies
@@ -68,170 +111,77 @@ class PlanParser {
     }
   }
 
+  /**
+   * Step headings of the first supported format found in the plan
+   * @param {string} content - Plan markdown content
+   * @returns {Object} { format, matches: [{ rawNumber, title, content, index, contentIndex }] }
+   *   format is null when no format matches, index/contentIndex are offsets in the plan
+   */
+  static findSteps(content) {
+    for (const format of STEP_FORMATS) {
+      const matches = [...content.matchAll(format.regex)].map(match => {
+        const stepContent = format.content(match);
+        return {
+          rawNumber: match[1].trim(),
+          title: format.title(match),
+          content: stepContent,
+          index: match.index,
+          contentIndex: match.index + match[0].length - stepContent.length
+        };
+      });
+      if (matches.length > 0) return { format, matches };
+    }
+    return { format: null, matches: [] };
+  }
+
   /**
    * Parse plan content
    * @param {string} content - Plan markdown content
+   * @param {Object} options - { inferred: false } to keep only the module and estimate the plan
+   *   declares (no guess from the content, no default)
    * @returns {Array} Array of step objects with rich metadata
    */
-  static parsePlan(content) {
-    const steps = [];
+  static parsePlan(content, { inferred = true } = {}) {
+    const { format, matches } = this.findSteps(content);
     
-    // Try format 1: "### Étape X:" (French format)
-    const frenchRegex = /###\s+Étape\s+(\d+(?:\.\d+)?):\s+(.+?)(?=###|\n##|$)/gs;
-    let match;
-    
-    while ((match = frenchRegex.exec(content)) !== null) {
-      const rawNumber = match[1].trim();
-      const rawTitle = match[2].trim();
-      const stepTitle = rawTitle.split('\n')[0].trim();
-      const stepContent = match[0];
-      
-      const tasks = this.extractTasks(stepContent);
-      const dependencies = this.extractDependencies(stepContent, rawNumber);
+    const steps = matches.map((match, idx) => {
+      const stepContent = match.content;
+      const tasks = this[format.extractTasks](stepContent);
+      const dependencies = this.extractDependencies(stepContent, match.rawNumber);
       
-      steps.push({
-        rawNumber,
-        number: steps.length + 1,
-        displayNumber: rawNumber,
-        name: stepTitle,
+      return {
+        rawNumber: match.rawNumber,
+        number: idx + 1,
+        displayNumber: match.rawNumber,
+        name: match.title,
         tasks: tasks,
-        objective: this.extractObjective(stepContent),
-        estimatedTime: this.extractEstimatedTime(stepContent, content),
+        objective: format.objective(this, stepContent, match.title, tasks),
+        estimatedTime: inferred ? this.extractEstimatedTime(stepContent, content) : this.extractDeclaredEstimate(stepContent),
+        estimateDeclared: Boolean(this.extractDeclaredEstimate(stepContent)),
         dependsOnRaw: dependencies.dependsOnRaw,
         dependsOn: [],
         parallel: dependencies.parallel,
-        module: this.extractModule(stepContent),
+        module: inferred ? this.extractModule(stepContent) : this.extractDeclaredModule(stepContent),
         files: this.extractFiles(stepContent),
         userCommands: this.extractUserCommands(stepContent),
         techDetails: this.extractTechDetails(stepContent)
-      });
-    }
-    
-    // Try format 2: "#### Step X:" (English format with ####)
-    if (steps.length === 0) {
-      const englishHeaderRegex = /####\s+Step\s+(\d+(?:\.\d+)?):\s+(.+?)\n([\s\S]*?)(?=####\s+Step|###\s+|##\s+|$)/gs;
-      
-      while ((match = englishHeaderRegex.exec(content)) !== null) {
-        const rawNumber = match[1].trim();
-        const stepTitle = match[2].trim();
-        const stepContent = match[3];
-        
-        const tasks = this.extractTasksFromStepFormat(stepContent);
-        const dependencies = this.extractDependencies(stepContent, rawNumber);
-        
-        steps.push({
-          rawNumber,
-          number: steps.length + 1,
-          displayNumber: rawNumber,
-          name: stepTitle,
-          tasks: tasks,
-          objective: this.extractTaskDescription(stepContent) || stepTitle,
-          estimatedTime: this.extractEstimatedTime(stepContent, content),
-          dependsOnRaw: dependencies.dependsOnRaw,
-          dependsOn: [],
-          parallel: dependencies.parallel,
-          module: this.extractModule(stepContent),
-          files: this.extractFiles(stepContent),
-          userCommands: this.extractUserCommands(stepContent),
-          techDetails: this.extractTechDetails(stepContent)
-        });
-      }
-    }
-    
-    // Try format 3: "### Step X:" (English format with ###)
-    if (steps.length === 0) {
-      const englishHeaderRegex2 = /###\s+Step\s+(\d+(?:\.\d+)?):\s+(.+?)\n([\s\S]*?)(?=###\s+Step|##\s+Phase|##\s+\w|$)/gs;
-      
-      while ((match = englishHeaderRegex2.exec(content)) !== null) {
-        const rawNumber = match[1].trim();
-        const stepTitle = match[2].trim();
-        const stepContent = match[3];
-        
-        const tasks = this.extractTasksFromStepFormat(stepContent);
-        const dependencies = this.extractDependencies(stepContent, rawNumber);
-        
-        steps.push({
-          rawNumber,
-          number: steps.length + 1,
-          displayNumber: rawNumber,
-          name: stepTitle,
-          tasks: tasks,
-          objective: this.extractTaskDescription(stepContent) || stepTitle,
-          estimatedTime: this.extractEstimatedTime(stepContent, content),
-          dependsOnRaw: dependencies.dependsOnRaw,
-          dependsOn: [],
-          parallel: dependencies.parallel,
-          module: this.extractModule(stepContent),
-          files: this.extractFiles(stepContent),
-          userCommands: this.extractUserCommands(stepContent),
-          techDetails: this.extractTechDetails(stepContent)
-        });
-      }
-    }
-    
-    // Try format 4: "- [ ] Step X:" (English checkbox format)
-    if (steps.length === 0) {
-      const checkboxRegex = /-\s+\[\s*\]\s+Step\s+(\d+(?:\.\d+)?):\s+([^\n]+)([\s\S]*?)(?=\n-\s+\[\s*\]\s+Step|\n##\s+Phase|$)/g;
-      
-      while ((match = checkboxRegex.exec(content)) !== null) {
-        const rawNumber = match[1].trim();
-        const stepTitle = match[2].trim();
-        const stepContent = match[0];
-        
-        const tasks = this.extractTasksFromCheckboxFormat(stepContent);
-        const dependencies = this.extractDependencies(stepContent, rawNumber);
-        
-        steps.push({
-          rawNumber,
-          number: steps.length + 1,
-          displayNumber: rawNumber,
-          name: stepTitle,
-          tasks: tasks,
-          objective: tasks[0]?.description || stepTitle,
-          estimatedTime: this.extractEstimatedTime(stepContent, content),
-          dependsOnRaw: dependencies.dependsOnRaw,
-          dependsOn: [],
-          parallel: dependencies.parallel,
-          module: this.extractModule(stepContent),
-          files: this.extractFiles(stepContent),
-          userCommands: this.extractUserCommands(stepContent),
-          techDetails: this.extractTechDetails(stepContent)
-        });
-      }
-    }
+      };
+    });
     
     // Map raw step numbers (1.1, 2.3…) to sequential integers for internal usage
-    const rawNumberMap = {};
     steps.forEach((step, idx) => {
-      const seq = idx + 1;
-      step.number = seq;
-      if (step.rawNumber) {
-        rawNumberMap[step.rawNumber] = seq;
-        // Also map integer part if it matches
-        const intPart = step.rawNumber.split('.')[0];
-        if (intPart) {
-          rawNumberMap[intPart] = rawNumberMap[intPart] || seq;
-        }
-      } else {
-        rawNumberMap[String(seq)] = seq;
-      }
+      step.number = idx + 1;
     });
     
     // Convert raw dependencies to mapped integers
-    steps.forEach((step, idx) => {
-      const mappedDeps = (step.dependsOnRaw || []).map(rawDep => {
-        const cleaned = rawDep.trim();
-        if (rawNumberMap[cleaned] !== undefined) return rawNumberMap[cleaned];
-        const noLeadingZeros = cleaned.replace(/^0+/, '') || cleaned;
-        if (rawNumberMap[noLeadingZeros] !== undefined) return rawNumberMap[noLeadingZeros];
-        const asFloat = parseFloat(cleaned);
-        if (!Number.isNaN(asFloat) && rawNumberMap[String(asFloat)]) return rawNumberMap[String(asFloat)];
-        const asInt = parseInt(cleaned, 10);
-        if (!Number.isNaN(asInt) && rawNumberMap[String(asInt)]) return rawNumberMap[String(asInt)];
-        if (!Number.isNaN(asInt)) return asInt;
-        return null;
-      }).filter((n) => n !== null);
-      step.dependsOn = mappedDeps;
+    steps.forEach((step) => {
+      const mappedDeps = (step.dependsOnRaw || []).flatMap(rawDep => {
+        const resolved = this.resolveDependency(rawDep, steps);
+        if (resolved.length > 0) return resolved;
+        const asInt = parseInt(rawDep, 10);
+        return Number.isNaN(asInt) ? [] : [asInt];
+      });
+      step.dependsOn = [...new Set(mappedDeps)];
       delete step.dependsOnRaw;
     });
     
@@ -243,6 +193,79 @@ class PlanParser {
       }
     }
     
+    return this.linkSubSteps(steps);
+  }
+
+  /**
+   * Resolve a dependency as written in the plan ("2", "2.1", "02") to step numbers
+   * A number without a step of its own ("2" next to 2.1 and 2.2) stands for all its sub-steps
+   * @param {string} rawDep - Raw step number
+   * @param {Array} steps - Steps with rawNumber and number
+   * @returns {number[]} Step numbers (empty when nothing matches)
+   */
+  static resolveDependency(rawDep, steps) {
+    const cleaned = rawDep.trim();
+    const keys = [cleaned, cleaned.replace(/^0+/, '') || cleaned, String(parseFloat(cleaned)), String(parseInt(cleaned, 10))];
+    for (const key of keys) {
+      const exact = steps.find(step => String(step.rawNumber) === key);
+      if (exact) return [exact.number];
+      const group = steps.filter(step => String(step.rawNumber).startsWith(`${key}.`));
+      if (group.length > 0) return group.map(step => step.number);
+    }
+    return [];
+  }
+
+  /**
+   * Nest decimal steps under their parent (2.1 and 2.2 under 2) and adapt dependencies:
+   * - a sub-step never waits for its parent, it starts when the parent's dependencies are met
+   * - a dependency on a parent means all its sub-steps (the parent completes with them)
+   * @param {Array} steps - Steps with rawNumber, number and dependsOn, updated in place
+   * @returns {Array} Same steps, with parent (step number) and children (step numbers)
+   */
+  static linkSubSteps(steps) {
+    const byRaw = new Map(steps.map(step => [String(step.rawNumber), step]));
+    const byNumber = new Map(steps.map(step => [step.number, step]));
+
+    steps.forEach(step => {
+      const raw = String(step.rawNumber || '');
+      const parent = raw.includes('.') ? byRaw.get(raw.slice(0, raw.lastIndexOf('.'))) : null;
+      if (parent && parent !== step) {
+        step.parent = parent.number;
+        parent.children = [...(parent.children || []), step.number];
+      }
+    });
+    if (!steps.some(step => step.parent)) return steps;
+
+    const ancestors = step => {
+      const list = [];
+      for (let p = byNumber.get(step.parent); p && !list.includes(p.number); p = byNumber.get(p.parent)) {
+        list.push(p.number);
+      }
+      return list;
+    };
+    const descendants = number => (byNumber.get(number)?.children || [])
+      .flatMap(child => [child, ...descendants(child)]);
+    const leaves = number => {
+      const children = byNumber.get(number)?.children;
+      return children ? children.flatMap(leaves) : [number];
+    };
+
+    steps.forEach(step => {
+      const related = [step.number, ...ancestors(step), ...descendants(step.number)];
+      step.dependsOn = (step.dependsOn || []).filter(dep => !related.includes(dep));
+    });
+
+    // Outermost first, so nested sub-steps inherit what their parent inherited
+    [...steps]
+      .sort((a, b) => ancestors(a).length - ancestors(b).length)
+      .filter(step => step.parent && step.dependsOn.length === 0)
+      .forEach(step => {
+        step.dependsOn = [...byNumber.get(step.parent).dependsOn];
+      });
+
+    steps.forEach(step => {
+      step.dependsOn = [...new Set(step.dependsOn.flatMap(leaves))];
+    });
     return steps;
   }
 
@@ -430,6 +453,26 @@ class PlanParser {
     return result;
   }
 
+  /**
+   * Module written in the step ("- **Module**: frontend", "Module: backend, api")
+   * @param {string} content - Step content
+   * @returns {string[]|string|null} Module key(s), null when the step declares none
+   */
+  static extractDeclaredModule(content) {
+    // Format 1: "- **Module**: frontend" or "- **Module**: backend, frontend"
+    // Format 2: "Module: xxx" without bold
+    const moduleMatch = content.match(/-\s*\*\*Module\*\*\s*:\s*([^\n]+)/i) ||
+      content.match(/(?:^|\n)\s*module\s*:\s*([^\n]+)/im);
+    if (!moduleMatch) return null;
+
+    const moduleStr = moduleMatch[1].trim().toLowerCase();
+    if (moduleStr.includes(',')) {
+      const modules = moduleStr.split(',').map(m => this.normalizeModuleName(m.trim())).filter(m => m);
+      return modules.length === 1 ? modules[0] : modules;
+    }
+    return this.normalizeModuleName(moduleStr);
+  }
+
   /**
    * Extract module assignment from step content
    * Enhanced V3: Better keywords with priority rules
@@ -437,27 +480,8 @@ class PlanParser {
    * @returns {string[]|string|null} Module key(s)
    */
   static extractModule(content) {
-    // Format 1: "- **Module**: frontend" or "- **Module**: backend, frontend"
-    const moduleMatch = content.match(/-\s*\*\*Module\*\*\s*:\s*([^\n]+)/i);
-    if (moduleMatch) {
-      const moduleStr = moduleMatch[1].trim().toLowerCase();
-      if (moduleStr.includes(',')) {
-        const modules = moduleStr.split(',').map(m => this.normalizeModuleName(m.trim())).filter(m => m);
-        return modules.length === 1 ? modules[0] : modules;
-      }
-      return this.normalizeModuleName(moduleStr);
-    }
-    
-    // Format 2: "Module: xxx" without bold
-    const simpleMatch = content.match(/(?:^|\n)\s*module\s*:\s*([^\n]+)/im);
-    if (simpleMatch) {
-      const moduleStr = simpleMatch[1].trim().toLowerCase();
-      if (moduleStr.includes(',')) {
-        const modules = moduleStr.split(',').map(m => this.normalizeModuleName(m.trim())).filter(m => m);
-        return modules.length === 1 ? modules[0] : modules;
-      }
-      return this.normalizeModuleName(moduleStr);
-    }
+    const declared = this.extractDeclaredModule(content);
+    if (declared) return declared;
     
     // Intelligent detection based on content analysis
     const lowerContent = content.toLowerCase();
@@ -682,6 +706,21 @@ class PlanParser {
       tasks.push(mainTask);
     }
     
+    // Additional tasks: "- **Tasks**:" followed by a list
+    const tasksMatch = content.match(/-\s*\*\*Tasks\*\*\s*:\s*\n([\s\S]*?)(?=\n-\s*\*\*|\n####|\n###|\n##|$)/i);
+    if (tasksMatch) {
+      for (const line of tasksMatch[1].split('\n')) {
+        const itemMatch = line.trim().match(/^[-*]\s+(.+)$/);
+        if (itemMatch) {
+          tasks.push({
+            description: itemMatch[1].trim(),
+            completed: false,
+            type: 'main'
+          });
+        }
+      }
+    }
+    
     // Create tasks from files to create
     if (files.length > 0) {
       // Group files by directory for better organization
@@ -832,15 +871,13 @@ class PlanParser {
    * Extract estimated time from phase or overall plan
    */
   static extractEstimatedTime(stepContent, fullContent) {
-    // Look for explicit time estimate
-    const timeMatch = stepContent.match(/(?:estimated|estimé|durée|time)\s*:\s*([^\n]+)/i);
-    if (timeMatch) {
-      return timeMatch[1].trim();
+    const declared = this.extractDeclaredEstimate(stepContent);
+    if (declared) {
+      return declared;
     }
     
-    // Look for "Semaine X" or "(Semaine X)" patterns
-    const weekMatch = stepContent.match(/Semaine\s+(\d+)/i) || 
-                     fullContent.match(/Semaine\s+(\d+)/i);
+    // Look for "Semaine X" anywhere in the plan
+    const weekMatch = fullContent.match(/Semaine\s+(\d+)/i);
     
     if (weekMatch) {
       return `Semaine ${weekMatch[1]}`;
@@ -849,6 +886,55 @@ class PlanParser {
     return '2-4 heures';
   }
 
+  /**
+   * Estimate written in the step itself ("Estimated: 2 hours", "(Semaine 3)")
+   * @param {string} stepContent - Step content
+   * @returns {string|null}
+   */
+  static extractDeclaredEstimate(stepContent) {
+    // Look for explicit time estimate
+    const timeMatch = stepContent.match(/(?:estimated|estimé|durée|time)(?:\*\*)?\s*:(?:\*\*)?\s*([^\n]+)/i);
+    if (timeMatch) {
+      return timeMatch[1].trim();
+    }
+    
+    // Look for "Semaine X" or "(Semaine X)" patterns
+    const weekMatch = stepContent.match(/Semaine\s+(\d+)/i);
+    return weekMatch ? `Semaine ${weekMatch[1]}` : null;
+  }
+
+  /**
+   * Convert an estimate to hours ("2-4 heures" → 3, "30 min" → 0.5, "2 jours" → 16)
+   * Ranges use their midpoint, a day is 8h and a week 40h
+   * @param {string} estimate - Estimate text from extractEstimatedTime
+   * @returns {number|null} Hours, null if the text is not a duration (e.g. "Semaine 2")
+   */
+  static parseEstimateHours(estimate) {
+    if (!estimate) return null;
+
+    const match = String(estimate).match(
+      /(\d+(?:[.,]\d+)?)(?:\s*(?:-|–|à|to)\s*(\d+(?:[.,]\d+)?))?\s*(minutes?|mins?|heures?|hours?|hrs?|h|jours?|days?|j|d|semaines?|weeks?|w)\b/i
+    );
+    if (!match) return null;
+
+    const low = parseFloat(match[1].replace(',', '.'));
+    const high = match[2] ? parseFloat(match[2].replace(',', '.')) : low;
+    const value = (low + high) / 2;
+    const unit = match[3].toLowerCase();
+
+    let hours;
+    if (unit.startsWith('m')) {
+      hours = value / 60;
+    } else if (/^(j|d)/.test(unit)) {
+      hours = value * 8;
+    } else if (/^(s|w)/.test(unit)) {
+      hours = value * 40;
+    } else {
+      hours = value;
+    }
+    return Math.round(hours * 100) / 100;
+  }
+
   /**
    * Group steps into phases for code-run
    * Now supports unlimited steps (no more hard limit)
@@ -861,16 +947,20 @@ class PlanParser {
     if (targetPhases === 0 || steps.length <= targetPhases) {
       return steps.map((step, index) => ({
         number: step.number || (index + 1),
+        ...(step.displayNumber ? { displayNumber: step.displayNumber } : {}),
         name: step.name,
         objective: step.objective,
         estimatedTime: step.estimatedTime,
+        ...(step.estimateDeclared === false ? { estimateDeclared: false } : {}),
         tasks: step.tasks,
         dependsOn: step.dependsOn || [],
         parallel: step.parallel || false,
         module: step.module,
         files: step.files || [],
         userCommands: step.userCommands || [],
-        techDetails: step.techDetails || {}
+        techDetails: step.techDetails || {},
+        ...(step.parent ? { parent: step.parent } : {}),
+        ...(step.children ? { children: step.children } : {})
       }));
     }
     
@@ -917,9 +1007,10 @@ class PlanParser {
   /**
    * Parse milestones from plan content
    * @param {string} content - Plan content
+   * @param {Object} options - { defaults: false } to leave deadline null when the plan gives none
    * @returns {Array} Milestones
    */
-  static parseMilestones(content) {
+  static parseMilestones(content, { defaults = true } = {}) {
     const milestones = [];
     
     // Match milestone/phase headers
@@ -951,7 +1042,7 @@ class PlanParser {
       milestones.push({
         name: name,
         steps: [...new Set(stepNums)],
-        deadline: deadline || `Semaine ${(index + 1) * 2}`
+        deadline: deadline || (defaults ? `Semaine ${(index + 1) * 2}` : null)
       });
 
       index++;
@@ -1001,4 +1092,6 @@ class PlanParser {
   }
 }
 
+PlanParser.STEP_FORMATS = STEP_FORMATS;
+
 module.exports = PlanParser;
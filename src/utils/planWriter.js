@@ -0,0 +1,250 @@
+const PlanParser = require('./planParser');
+const StructuredPlan = require('./structuredPlan');
+
+/**
+ * Tasks PlanParser derives from files, commands and the step itself: written back as
+ * their source fields (Files, User Instructions), never as tasks
+ */
+const DERIVED_TASK_TYPES = ['file', 'files', 'commands', 'validation'];
+
+/**
+ * extractObjective() fallback when a step has no objective of its own
+ */
+const DEFAULT_OBJECTIVE = 'Voir détails dans le plan d\'implémentation';
+
+/**
+ * Step fields that must be read back identically after a rewrite
+ * (tasks are only required to survive: the objective becomes the first task)
+ */
+const COMPARED_FIELDS = ['name', 'module', 'dependsOn', 'parallel', 'estimatedTime', 'files', 'userCommands'];
+
+/**
+ * Plan Writer
+ * Serializes PlanParser steps back to implementation-plan.md in one canonical format
+ * ("### Step X:" headings, bold field labels), so that parse → write → parse is stable
+ * and diffs between plan revisions only show what changed
+ */
+class PlanWriter {
+  /**
+   * Step numbers as written in the plan, or sequential ones when the plan reused a number
+   * @param {Array} steps - PlanParser steps
+   * @returns {Map} step.number → label ("3", "2.1")
+   */
+  static stepLabels(steps) {
+    const raw = steps.map(step => String(step.displayNumber || step.rawNumber || step.number));
+    const unique = new Set(raw).size === raw.length;
+    return new Map(steps.map((step, idx) => [step.number, unique ? raw[idx] : String(idx + 1)]));
+  }
+
+  /**
+   * Tasks written under "Task"/"Tasks": everything the parser did not derive
+   * @returns {Array<string>} Descriptions
+   */
+  static ownTasks(step) {
+    return (step.tasks || [])
+      .filter(task => !DERIVED_TASK_TYPES.includes(task.type))
+      .map(task => this.inline(task.description))
+      .filter(Boolean);
+  }
+
+  /**
+   * Dependencies as written: all the sub-steps of a parent become the parent
+   * (PlanParser.linkSubSteps() expands a parent back to its sub-steps)
+   * @param {Array<number>} dependsOn - Step numbers
+   * @param {Array} steps - All steps, with children
+   * @returns {Array<number>} Step numbers
+   */
+  static collapseSubSteps(dependsOn, steps) {
+    const byNumber = new Map(steps.map(step => [step.number, step]));
+    const leaves = number => {
+      const children = byNumber.get(number)?.children;
+      return children ? children.flatMap(leaves) : [number];
+    };
+    let collapsed = [...dependsOn];
+    steps
+      .filter(step => step.children)
+      .map(step => ({ number: step.number, leaves: leaves(step.number) }))
+      .sort((a, b) => b.leaves.length - a.leaves.length)
+      .forEach(group => {
+        if (!group.leaves.every(leaf => collapsed.includes(leaf))) return;
+        const at = collapsed.indexOf(group.leaves[0]);
+        collapsed = collapsed.filter(number => !group.leaves.includes(number));
+        collapsed.splice(at, 0, group.number);
+      });
+    return collapsed;
+  }
+
+  /**
+   * Single-line text (headings and list items cannot span lines)
+   */
+  static inline(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Render one step
+   * @param {Object} step - PlanParser step
+   * @param {Map} labels - From stepLabels()
+   * @param {Array} steps - All steps (sub-step dependencies written as their parent)
+   * @returns {Array<string>} Lines
+   */
+  static renderStep(step, labels, steps = []) {
+    const label = number => `Step ${labels.get(number) || number}`;
+    const name = this.inline(step.name) || `Step ${labels.get(step.number)}`;
+    // Without a "Task" line the parser uses the title as objective
+    const objective = step.objective && step.objective !== DEFAULT_OBJECTIVE ? this.inline(step.objective) : name;
+    const tasks = this.ownTasks(step).filter(task => objective === name || task !== objective);
+    const modules = [].concat(step.module || []);
+    const lines = [`### ${label(step.number)}: ${name}`];
+
+    if (objective !== name) {
+      lines.push(`- **Task**: ${objective}`);
+    }
+    if (tasks.length > 0) {
+      lines.push('- **Tasks**:', ...tasks.map(task => `  - ${task}`));
+    }
+    if (modules.length > 0) {
+      lines.push(`- **Module**: ${modules.join(', ')}`);
+    }
+    const dependsOn = this.collapseSubSteps(step.dependsOn || [], steps);
+    lines.push(`- **Depends on**: ${dependsOn.length > 0 ? dependsOn.map(label).join(', ') : 'None'}`);
+    if (step.parallel) {
+      lines.push('- **Parallel**: can run in parallel');
+    }
+    if (step.estimatedTime) {
+      lines.push(`- **Estimated**: ${this.inline(step.estimatedTime)}`);
+    }
+    if ((step.files || []).length > 0) {
+      lines.push('- **Files**:', ...step.files.map(file => `  - \`${file}\``));
+    }
+    if ((step.userCommands || []).length > 0) {
+      lines.push('- **User Instructions**:', '  ```bash', ...step.userCommands.map(cmd => `  ${cmd}`), '  ```');
+    }
+    return lines;
+  }
+
+  /**
+   * Render milestones after the steps (a step belongs to the first milestone listing it,
+   * references to steps that do not exist are dropped)
+   * @param {Array} milestones - [{ name, steps, deadline }] steps are step numbers
+   * @param {Map} labels - From stepLabels()
+   * @returns {Array<string>} Lines
+   */
+  static renderMilestones(milestones, labels) {
+    const seen = new Set();
+    const lines = [];
+    milestones.forEach((milestone, idx) => {
+      const steps = (milestone.steps || []).filter(number => labels.has(number) && !seen.has(number) && seen.add(number));
+      lines.push('', `## Milestone ${idx + 1}: ${this.inline(milestone.name) || `Milestone ${idx + 1}`}`);
+      if (milestone.deadline) {
+        lines.push(`- Deadline: ${this.inline(milestone.deadline)}`);
+      }
+      if (steps.length > 0) {
+        lines.push(`- Steps: ${steps.map(number => `Step ${labels.get(number)}`).join(', ')}`);
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Canonical implementation-plan.md
+   * @param {Array} steps - PlanParser (or StructuredPlan.toSteps) steps
+   * @param {Object} options - { title, milestones, block } block: structured plan kept verbatim at the end
+   * @returns {string} Markdown
+   */
+  static toMarkdown(steps, { title = 'Implementation Plan', milestones = [], block = null } = {}) {
+    const labels = this.stepLabels(steps);
+    const lines = [`# ${this.inline(title)}`, '', '## Steps'];
+
+    steps.forEach(step => {
+      lines.push('', ...this.renderStep(step, labels, steps));
+    });
+    lines.push(...this.renderMilestones(milestones, labels));
+
+    if (block) {
+      lines.push('', `\`\`\`${block.format} plan`, block.content.replace(/\s+$/, ''), '```');
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * List items of the steps that a rewrite does not keep: outside a known field
+   * ("- **Tasks**:", "- **Files**:"…) the "### Step X:" formats ignore plain bullets
+   * @param {string} content - Original plan
+   * @param {string} markdown - Rewritten plan
+   * @returns {Array<Object>} [{ step, item }] step: number as written in the plan
+   */
+  static lostListItems(content, markdown) {
+    const flat = text => text.replace(/`/g, '').replace(/\s+/g, ' ').trim();
+    const kept = flat(markdown);
+    return PlanParser.findSteps(content).matches.flatMap(match => match.content.split('\n')
+      .map(line => line.match(/^\s*[-*]\s+(?:\[[ xX]\]\s+)?(.+)$/))
+      .filter(Boolean)
+      .map(itemMatch => flat(itemMatch[1]))
+      // "Label: value" lines are fields, read (or deliberately not) by the parser
+      .filter(item => item && !/^(?:\*\*|__)?[^:*_]{1,30}(?:\*\*|__)?\s*:/.test(item) && !kept.includes(item))
+      .map(item => ({ step: match.rawNumber, item })));
+  }
+
+  /**
+   * Rewrite a Markdown plan in the canonical format
+   * The first "# " heading is kept as title, a fenced structured plan is kept verbatim;
+   * other prose (overview, risks…) is not part of the canonical form.
+   * Only what the plan declares is written: no guessed module, default estimate or deadline
+   * @param {string} content - implementation-plan.md content
+   * @returns {Object} { markdown, steps, milestones, changed, differences }
+   */
+  static format(content) {
+    const steps = PlanParser.parsePlan(content, { inferred: false });
+    if (steps.length === 0) {
+      throw new Error('Aucune étape reconnue dans le plan (formats: ' + PlanParser.STEP_FORMATS.map(f => f.label).join(', ') + ')');
+    }
+    const milestones = PlanParser.parseMilestones(content, { defaults: false });
+    const titleMatch = content.match(/^#\s+(.+)$/m);
+    const markdown = this.toMarkdown(steps, {
+      title: titleMatch ? titleMatch[1] : undefined,
+      milestones,
+      block: StructuredPlan.extractBlock(content)
+    });
+
+    return {
+      markdown,
+      steps,
+      milestones,
+      changed: markdown !== content.replace(/\r\n?/g, '\n'),
+      differences: [
+        ...this.compare(steps, PlanParser.parsePlan(markdown, { inferred: false })),
+        ...this.lostListItems(content, markdown).map(({ step, item }) => `Step ${step}: élément de liste non repris "${item}"`)
+      ]
+    };
+  }
+
+  /**
+   * Fields read differently from two versions of the same plan
+   * @param {Array} before - Steps parsed from the original
+   * @param {Array} after - Steps parsed from the rewrite
+   * @returns {Array<string>} Human-readable differences (empty when stable)
+   */
+  static compare(before, after) {
+    if (before.length !== after.length) {
+      return [`${before.length} étape(s) avant, ${after.length} après`];
+    }
+    const differences = [];
+    before.forEach((step, idx) => {
+      const label = `Step ${step.displayNumber || step.number}`;
+      COMPARED_FIELDS
+        .filter(field => JSON.stringify(step[field]) !== JSON.stringify(after[idx][field]))
+        .forEach(field => differences.push(`${label}: ${field}`));
+      const kept = this.ownTasks(after[idx]);
+      const lost = this.ownTasks(step).filter(task => !kept.includes(task));
+      if (lost.length > 0) {
+        differences.push(`${label}: ${lost.length} tâche(s) perdue(s)`);
+      }
+    });
+    return differences;
+  }
+}
+
+PlanWriter.DERIVED_TASK_TYPES = DERIVED_TASK_TYPES;
+
+module.exports = PlanWriter;
@@ -0,0 +1,271 @@
+const PlanParser = require('./planParser');
+const TaskTree = require('./taskTree');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Hours of a task without estimate (midpoint of the default "2-4 heures")
+ */
+const DEFAULT_TASK_HOURS = 3;
+
+/**
+ * Most points drawn on a burndown (days are grouped beyond that)
+ */
+const MAX_BURNDOWN_POINTS = 28;
+
+/**
+ * Task title usable in a Mermaid gantt line (":" "#" ";" are syntax there)
+ */
+function ganttLabel(text) {
+  return String(text).replace(/[:#;]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * "YYYY-MM-DD HH:mm" in UTC
+ */
+function ganttDate(time) {
+  return new Date(time).toISOString().substring(0, 16).replace('T', ' ');
+}
+
+/**
+ * "DD/MM" axis label
+ */
+function shortDate(time) {
+  const iso = new Date(time).toISOString();
+  return `${iso.substring(8, 10)}/${iso.substring(5, 7)}`;
+}
+
+/**
+ * Progress Charts
+ * Schedules tasks from their dependencies and estimates, computes the burndown
+ * from completedAt, and renders both as Mermaid (workflow.md) or ASCII (terminal)
+ */
+class ProgressCharts {
+  /**
+   * Estimated hours of a task (normalized estimatedHours, else parsed estimate)
+   * A parent task has none of its own: its sub-steps carry the work
+   */
+  static taskHours(task) {
+    if (TaskTree.isParent(task)) return 0;
+    if (typeof task.estimatedHours === 'number') return task.estimatedHours;
+    const parsed = PlanParser.parseEstimateHours(task.estimate);
+    return parsed !== null ? parsed : DEFAULT_TASK_HOURS;
+  }
+
+  /**
+   * Earliest schedule: a task starts when all its dependencies are finished
+   * Offsets are in working days (hoursPerDay of work a day), cycles are ignored
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {Object} options - { hoursPerDay }
+   * @returns {Object} { items: [{ task, startDay, days }], totalDays }
+   */
+  static schedule(tasks, { hoursPerDay = 8 } = {}) {
+    const byStep = new Map(tasks.map(t => [t.step, t]));
+    const ends = new Map();
+    const visiting = new Set();
+
+    const endOf = (step) => {
+      if (ends.has(step)) return ends.get(step);
+      if (visiting.has(step) || !byStep.has(step)) return 0;
+      visiting.add(step);
+      const task = byStep.get(step);
+      const start = Math.max(0, ...(task.dependsOn || []).map(endOf));
+      visiting.delete(step);
+      ends.set(step, start + this.taskHours(task) / hoursPerDay);
+      return ends.get(step);
+    };
+
+    const items = [...tasks]
+      .sort((a, b) => a.step - b.step)
+      .map(task => {
+        const end = endOf(task.step);
+        const days = this.taskHours(task) / hoursPerDay;
+        return { task, startDay: end - days, days };
+      });
+
+    return {
+      items,
+      totalDays: Math.max(0, ...items.map(item => item.startDay + item.days))
+    };
+  }
+
+  /**
+   * Remaining steps over time, from the completedAt of each task
+   * Completed tasks without completedAt count as done from the start
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {Object} options - { start, now, plannedDays } plannedDays draws the ideal line
+   * @returns {Object} { total, points: [{ date, remaining, completed, ideal }], stepDays }
+   */
+  static burndown(tasks, { start, now = Date.now(), plannedDays = 0 } = {}) {
+    const total = tasks.length;
+    const completions = tasks
+      .filter(t => t.status === 'completed')
+      .map(t => (t.completedAt ? new Date(t.completedAt).getTime() : -Infinity));
+
+    const firstDay = new Date(new Date(start || now).toISOString().substring(0, 10)).getTime();
+    const lastCompletion = Math.max(...completions.filter(isFinite), 0);
+    const spanDays = Math.floor((Math.max(now, lastCompletion) - firstDay) / DAY) + 1;
+    const stepDays = Math.max(1, Math.ceil(spanDays / MAX_BURNDOWN_POINTS));
+
+    const points = [];
+    for (let day = 0; day < spanDays; day += stepDays) {
+      const date = firstDay + day * DAY;
+      const endOfPoint = date + stepDays * DAY;
+      const completed = completions.filter(time => time < endOfPoint).length;
+      const elapsed = day + stepDays;
+      points.push({
+        date: new Date(date).toISOString().substring(0, 10),
+        remaining: total - completed,
+        completed,
+        ideal: plannedDays > 0
+          ? Math.max(0, Math.round(total * (1 - elapsed / plannedDays) * 10) / 10)
+          : null
+      });
+    }
+
+    return { total, points, stepDays };
+  }
+
+  /**
+   * Mermaid gantt: one section per milestone, done/active/crit tags, milestone markers
+   * @param {Object} planning - Orchestrator.getPlanning() result
+   * @returns {string} Fenced mermaid block
+   */
+  static toMermaidGantt(planning) {
+    const { project, start, schedule, milestones, critical } = planning;
+    const startTime = new Date(start).getTime();
+    const at = day => ganttDate(startTime + day * DAY);
+    const itemsByStep = new Map(schedule.items.map(item => [item.task.step, item]));
+
+    const lines = [
+      '```mermaid',
+      'gantt',
+      `  title ${ganttLabel(`Planning ${project || ''}`)}`,
+      '  dateFormat YYYY-MM-DD HH:mm',
+      '  axisFormat %d/%m'
+    ];
+
+    const sections = milestones
+      .map(milestone => ({ ...milestone, items: milestone.steps.map(step => itemsByStep.get(step)).filter(Boolean) }))
+      .filter(section => section.items.length > 0);
+    const grouped = new Set(sections.flatMap(section => section.items.map(item => item.task.step)));
+    const others = schedule.items.filter(item => !grouped.has(item.task.step));
+    if (others.length > 0) sections.push({ id: 'other', name: 'Autres', icon: '📌', items: others });
+
+    sections.forEach(section => {
+      lines.push(`  section ${ganttLabel(`${section.icon || ''} ${section.name}`)}`);
+      section.items.forEach(({ task, startDay, days }) => {
+        const tags = [];
+        if (task.status === 'completed') tags.push('done');
+        else if (['prompted', 'in-progress'].includes(task.status)) tags.push('active');
+        if (critical.includes(task.step)) tags.push('crit');
+        tags.push(`s${task.step}`, at(startDay), `${Math.max(1, Math.round(days * 24))}h`);
+        lines.push(`  Step ${task.step} ${ganttLabel(task.title)} :${tags.join(', ')}`);
+      });
+
+      if (section.id !== 'other') {
+        const end = Math.max(...section.items.map(item => item.startDay + item.days));
+        lines.push(`  🏁 ${ganttLabel(section.name)} :milestone, m${section.id}, ${at(end)}, 0d`);
+      }
+    });
+
+    lines.push('```');
+    return lines.join('\n');
+  }
+
+  /**
+   * Mermaid xychart: remaining steps, with the ideal line when a schedule exists
+   * @param {Object} burndown - burndown() result
+   * @returns {string} Fenced mermaid block
+   */
+  static toMermaidBurndown(burndown) {
+    const { total, points } = burndown;
+    const lines = [
+      '```mermaid',
+      'xychart-beta',
+      '  title "Burndown (steps restants)"',
+      `  x-axis [${points.map(p => `"${shortDate(p.date)}"`).join(', ')}]`,
+      `  y-axis "Steps" 0 --> ${Math.max(total, 1)}`,
+      `  line [${points.map(p => p.remaining).join(', ')}]`
+    ];
+    if (points.every(p => p.ideal !== null)) {
+      lines.push(`  line [${points.map(p => p.ideal).join(', ')}]`);
+    }
+    lines.push('```');
+    return lines.join('\n');
+  }
+
+  /**
+   * ASCII burndown: one column per point, █ remaining, · ideal line
+   * @param {Object} burndown - burndown() result
+   * @param {Object} options - { height }
+   * @returns {string[]} Lines (without box)
+   */
+  static toAsciiBurndown(burndown, { height = 10 } = {}) {
+    const { total, points } = burndown;
+    const rows = Math.min(height, Math.max(total, 1));
+    const scale = Math.max(total, 1) / rows;
+    const lines = [];
+
+    for (let row = rows; row >= 1; row--) {
+      const level = row * scale;
+      const cells = points.map(point => {
+        if (point.remaining >= level - scale / 2) return '█ ';
+        if (point.ideal !== null && Math.abs(point.ideal - level) < scale / 2) return '· ';
+        return '  ';
+      });
+      lines.push(`${String(Math.round(level)).padStart(3)} │${cells.join('')}`);
+    }
+    lines.push(`    └${'──'.repeat(points.length)}`);
+    if (points.length > 0) {
+      const first = shortDate(points[0].date);
+      const last = shortDate(points[points.length - 1].date);
+      const gap = points.length * 2 - first.length - last.length;
+      lines.push(`     ${first}${gap > 0 ? ' '.repeat(gap) + last : ''}`);
+    }
+    return lines;
+  }
+
+  /**
+   * ASCII timeline: one bar per step over the schedule
+   * @param {Object} planning - Orchestrator.getPlanning() result
+   * @param {Object} options - { width } columns for the bars
+   * @returns {string[]} Lines (without box)
+   */
+  static toAsciiGantt(planning, { width = 30 } = {}) {
+    const { schedule, critical } = planning;
+    const perColumn = Math.max(schedule.totalDays, 0.01) / width;
+
+    return schedule.items.map(({ task, startDay, days }) => {
+      const from = Math.min(width - 1, Math.floor(startDay / perColumn));
+      const length = Math.max(1, Math.round(days / perColumn));
+      const char = task.status === 'completed' ? '█' : ['prompted', 'in-progress'].includes(task.status) ? '▓' : critical.includes(task.step) ? '▒' : '░';
+      const bar = (' '.repeat(from) + char.repeat(length)).substring(0, width).padEnd(width);
+      return `${String(task.step).padStart(3)} ${bar} ${task.title}`;
+    });
+  }
+
+  /**
+   * workflow.md "Planning" section (gantt, then burndown once a step is done)
+   * @param {Object} planning - Orchestrator.getPlanning() result
+   * @returns {string} Markdown
+   */
+  static toMarkdown(planning) {
+    const burndown = planning.burndown.points.some(p => p.completed > 0)
+      ? this.toMermaidBurndown(planning.burndown)
+      : '_Aucune étape terminée pour l\'instant_';
+
+    return [
+      this.toMermaidGantt(planning),
+      '',
+      '### 📉 Burndown',
+      '',
+      burndown
+    ].join('\n');
+  }
+}
+
+ProgressCharts.DEFAULT_TASK_HOURS = DEFAULT_TASK_HOURS;
+
+module.exports = ProgressCharts;
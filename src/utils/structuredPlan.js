@@ -0,0 +1,722 @@
+const fs = require('fs');
+const path = require('path');
+const PlanParser = require('./planParser');
+const ModuleManager = require('./moduleManager');
+
+/**
+ * Structured plan files, looked up in docs/ before the fenced block of implementation-plan.md
+ */
+const PLAN_FILES = ['implementation-plan.yaml', 'implementation-plan.yml', 'implementation-plan.json'];
+
+/**
+ * Fenced yaml/json block in markdown (the info string may add "plan": ```yaml plan)
+ */
+const FENCE_REGEX = /^(`{3,}|~{3,})[ \t]*(yaml|yml|json)\b([^\n]*)\n([\s\S]*?)^\1[ \t]*$/gm;
+
+/**
+ * "key: value" line (quoted or plain key, value optional)
+ */
+const KEY_REGEX = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#[\]{},][^:#]*?)\s*:(?:[ \t]+(.*)|)$/;
+
+/**
+ * Step identifier: "1", "2.1" (numbers are accepted too)
+ */
+const STEP_ID = { type: ['string', 'number'], pattern: /^\d+(\.\d+)*$/, example: '"1", "2.1"' };
+const STRING_LIST = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Plan schema (subset of JSON Schema: type, required, properties, items, enum, pattern, minItems)
+ * Unknown keys are errors so that typos do not silently drop data
+ */
+const SCHEMA = {
+  type: 'object',
+  required: ['steps'],
+  properties: {
+    version: { type: 'number', enum: [1] },
+    project: { type: 'string' },
+    milestones: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'steps'],
+        properties: {
+          name: { type: 'string' },
+          deadline: { type: ['string', 'number'] },
+          steps: { type: 'array', items: STEP_ID }
+        }
+      }
+    },
+    steps: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['id', 'title'],
+        properties: {
+          id: STEP_ID,
+          title: { type: 'string' },
+          objective: { type: 'string' },
+          module: { type: ['string', 'array'], items: { type: 'string' } },
+          estimate: { type: ['string', 'number'] },
+          dependsOn: { type: 'array', items: STEP_ID },
+          parallel: { type: 'boolean' },
+          tasks: STRING_LIST,
+          files: STRING_LIST,
+          commands: STRING_LIST
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Usual spellings of schema keys, suggested in "unknown key" errors
+ */
+const KEY_ALIASES = {
+  name: 'title',
+  dependencies: 'dependsOn',
+  deps: 'dependsOn',
+  requires: 'dependsOn',
+  modules: 'module',
+  estimatedtime: 'estimate',
+  estimation: 'estimate',
+  duration: 'estimate',
+  usercommands: 'commands',
+  instructions: 'commands',
+  number: 'id',
+  step: 'id'
+};
+
+const TYPE_NAMES = {
+  string: 'une chaîne',
+  number: 'un nombre',
+  boolean: 'un booléen (true/false)',
+  array: 'une liste',
+  object: 'un objet',
+  null: 'vide'
+};
+
+/**
+ * Schema type of a value ("array" and "null" apart from "object")
+ */
+function typeOf(value) {
+  if (value === null || value === undefined) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Remove a trailing " # comment" outside quotes
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === '\\' && quote === '"') i++;
+      else if (char === quote) quote = null;
+    } else if ((char === '"' || char === '\'') && (i === 0 || /[\s[{,:]/.test(text[i - 1]))) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i).trim();
+    }
+  }
+  return text.trim();
+}
+
+/**
+ * Plain scalar: null, booleans and numbers are typed, anything else stays a string
+ */
+function plainScalar(text) {
+  if (/^(~|null|Null|NULL)?$/.test(text)) return null;
+  if (/^(true|True|TRUE)$/.test(text)) return true;
+  if (/^(false|False|FALSE)$/.test(text)) return false;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Line of each path of valid JSON text (JSON.parse does not report positions)
+ * @param {string} text - JSON text, already accepted by JSON.parse
+ * @returns {Object} Path → line map
+ */
+function jsonLines(text) {
+  const lines = {};
+  let pos = 0;
+  let line = 1;
+
+  const skip = () => {
+    while (pos < text.length && /\s/.test(text[pos])) {
+      if (text[pos] === '\n') line++;
+      pos++;
+    }
+  };
+  const string = () => {
+    const match = text.slice(pos).match(/^"(?:[^"\\]|\\.)*"/);
+    pos += match[0].length;
+    return JSON.parse(match[0]);
+  };
+  const value = (at) => {
+    skip();
+    if (at) lines[at] = line;
+    const open = text[pos];
+    if (open === '{' || open === '[') {
+      const close = open === '{' ? '}' : ']';
+      pos++;
+      skip();
+      if (text[pos] === close) {
+        pos++;
+        return;
+      }
+      for (let i = 0; ; i++) {
+        skip();
+        if (open === '{') {
+          const key = string();
+          skip();
+          pos++;
+          value(at ? `${at}.${key}` : key);
+        } else {
+          value(`${at}[${i}]`);
+        }
+        skip();
+        if (text[pos++] === close) return;
+      }
+    }
+    if (open === '"') {
+      string();
+      return;
+    }
+    pos += text.slice(pos).match(/^[^\s,\]}]*/)[0].length;
+  };
+
+  value('');
+  return lines;
+}
+
+/**
+ * Read a YAML subset: block mappings and sequences, flow lists and maps, quoted and
+ * plain scalars, block scalars (| and >) and comments. Anchors, tags and multi-line
+ * plain scalars are not supported
+ * @param {string} text - YAML text
+ * @returns {Object} { value, lines } lines maps each path ("steps[0].title") to its line
+ * @throws {Error} Syntax error, with error.line
+ */
+function parseYaml(text) {
+  const raw = text.replace(/\r\n?/g, '\n').split('\n');
+  const lines = {};
+  let index = 0;
+  let virtual = null;
+
+  const fail = (line, message) => {
+    const error = new Error(message);
+    error.line = line;
+    throw error;
+  };
+
+  const isSequenceItem = content => content === '-' || content.startsWith('- ');
+
+  // Next significant line, or the rest of a "- key: value" item being read as a mapping
+  const peek = () => {
+    if (virtual) return virtual;
+    while (index < raw.length) {
+      const content = raw[index];
+      const trimmed = content.trim();
+      if (trimmed === '...') {
+        index = raw.length;
+        break;
+      }
+      if (trimmed === '' || trimmed.startsWith('#') || trimmed === '---') {
+        index++;
+        continue;
+      }
+      const indent = content.match(/^ */)[0].length;
+      if (content[indent] === '\t') fail(index + 1, 'tabulation dans l\'indentation (utilisez des espaces)');
+      return { indent, text: content.slice(indent).trimEnd(), line: index + 1 };
+    }
+    return null;
+  };
+
+  const advance = () => {
+    if (virtual) virtual = null;
+    else index++;
+  };
+
+  const quoted = (content, line) => {
+    if (content.startsWith('"')) {
+      if (!/^"(?:[^"\\]|\\.)*"$/.test(content)) fail(line, `chaîne entre guillemets non terminée: ${content}`);
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        fail(line, `échappement invalide dans ${content}`);
+      }
+    }
+    if (!/^'(?:[^']|'')*'$/.test(content)) fail(line, `chaîne entre apostrophes non terminée: ${content}`);
+    return content.slice(1, -1).replace(/''/g, '\'');
+  };
+
+  const parseFlow = (content, line, flowPath) => {
+    let pos = 0;
+    const skip = () => {
+      while (pos < content.length && /\s/.test(content[pos])) pos++;
+    };
+    const token = () => {
+      skip();
+      const match = content.slice(pos).match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,\]}]*)/);
+      pos += match[0].length;
+      const value = match[0].trim();
+      return /^["']/.test(value) ? quoted(value, line) : plainScalar(value);
+    };
+    const item = (itemPath) => {
+      skip();
+      lines[itemPath] = line;
+      const open = content[pos];
+      if (open !== '[' && open !== '{') return token();
+      const close = open === '[' ? ']' : '}';
+      const result = open === '[' ? [] : {};
+      pos++;
+      skip();
+      if (content[pos] === close) {
+        pos++;
+        return result;
+      }
+      for (;;) {
+        if (open === '[') {
+          result.push(item(`${itemPath}[${result.length}]`));
+        } else {
+          const key = content.slice(pos).match(/^\s*("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^:,}]+?)\s*:\s*/);
+          if (!key) fail(line, `"clé: valeur" attendu dans ${content}`);
+          pos += key[0].length;
+          const name = /^["']/.test(key[1]) ? quoted(key[1], line) : key[1];
+          result[name] = item(`${itemPath}.${name}`);
+        }
+        skip();
+        if (content[pos] === ',') {
+          pos++;
+          continue;
+        }
+        if (content[pos] === close) {
+          pos++;
+          return result;
+        }
+        fail(line, `"${close}" attendu dans ${content}`);
+      }
+    };
+    const value = item(flowPath);
+    skip();
+    if (pos < content.length) fail(line, `texte inattendu après ${content.slice(0, pos)}`);
+    return value;
+  };
+
+  const parseBlockScalar = (indicator, parentIndent) => {
+    const collected = [];
+    let blockIndent = null;
+    while (index < raw.length) {
+      const content = raw[index];
+      if (content.trim() === '') {
+        collected.push('');
+        index++;
+        continue;
+      }
+      const indent = content.match(/^ */)[0].length;
+      if (indent <= parentIndent || (blockIndent !== null && indent < blockIndent)) break;
+      if (blockIndent === null) blockIndent = indent;
+      collected.push(content.slice(blockIndent));
+      index++;
+    }
+    while (collected.length > 0 && collected[collected.length - 1] === '') collected.pop();
+    const value = indicator.startsWith('|')
+      ? collected.join('\n')
+      : collected.join('\n').replace(/([^\n])\n(?=[^\n])/g, '$1 ');
+    return indicator.endsWith('-') ? value : `${value}\n`;
+  };
+
+  const parseValue = (rest, indent, valuePath, line, inMapping) => {
+    const content = stripComment(rest || '');
+    if (content === '') {
+      const child = peek();
+      if (inMapping && child && child.indent === indent && isSequenceItem(child.text)) {
+        return parseSequence(indent, valuePath);
+      }
+      return parseBlock(indent, valuePath);
+    }
+    if (/^[|>][-+]?$/.test(content)) return parseBlockScalar(content, indent);
+    if (/^["']/.test(content)) return quoted(content, line);
+    if (/^[[{]/.test(content)) return parseFlow(content, line, valuePath);
+    return plainScalar(content);
+  };
+
+  const parseBlock = (parentIndent, blockPath) => {
+    const first = peek();
+    if (!first || first.indent <= parentIndent) return null;
+    return isSequenceItem(first.text)
+      ? parseSequence(first.indent, blockPath)
+      : parseMapping(first.indent, blockPath);
+  };
+
+  const parseMapping = (indent, mappingPath) => {
+    const map = {};
+    let entry;
+    while ((entry = peek()) && entry.indent === indent && !isSequenceItem(entry.text)) {
+      const match = entry.text.match(KEY_REGEX);
+      if (!match) fail(entry.line, `"clé: valeur" attendu, trouvé "${entry.text}"`);
+      const key = /^["']/.test(match[1]) ? quoted(match[1], entry.line) : match[1];
+      const keyPath = mappingPath ? `${mappingPath}.${key}` : key;
+      if (Object.prototype.hasOwnProperty.call(map, key)) fail(entry.line, `clé "${key}" en double`);
+      lines[keyPath] = entry.line;
+      advance();
+      map[key] = parseValue(match[2], indent, keyPath, entry.line, true);
+    }
+    if (entry && entry.indent > indent) fail(entry.line, 'indentation inattendue');
+    if (entry && entry.indent === indent) fail(entry.line, 'élément de liste inattendu dans un objet');
+    return map;
+  };
+
+  const parseSequence = (indent, sequencePath) => {
+    const list = [];
+    let entry;
+    while ((entry = peek()) && entry.indent === indent && isSequenceItem(entry.text)) {
+      const itemPath = `${sequencePath}[${list.length}]`;
+      lines[itemPath] = entry.line;
+      advance();
+      const rest = entry.text.slice(1).replace(/^ +/, '');
+      if (isSequenceItem(rest) || (KEY_REGEX.test(rest) && !/^[[{]/.test(rest))) {
+        // "- key: value" or "- - item": the rest of the line opens a nested block
+        const nested = indent + entry.text.length - rest.length;
+        virtual = { indent: nested, text: rest, line: entry.line };
+        list.push(isSequenceItem(rest) ? parseSequence(nested, itemPath) : parseMapping(nested, itemPath));
+      } else {
+        list.push(parseValue(rest, indent, itemPath, entry.line, false));
+      }
+    }
+    if (entry && entry.indent > indent) fail(entry.line, 'indentation inattendue');
+    return list;
+  };
+
+  const first = peek();
+  let value = null;
+  if (first) {
+    value = parseBlock(-1, '');
+    const extra = peek();
+    if (extra) fail(extra.line, 'indentation inattendue');
+  }
+  return { value, lines };
+}
+
+/**
+ * Structured Plan
+ * Reads implementation-plan.yaml/.json (or a fenced yaml/json block of implementation-plan.md),
+ * validates it against SCHEMA and converts it to PlanParser steps and milestones
+ */
+class StructuredPlan {
+  /**
+   * First fenced yaml/json block holding a plan (a top-level "steps" key)
+   * Blocks tagged "plan" (```yaml plan) win over the others
+   * @param {string} markdown - Markdown content
+   * @returns {Object|null} { format, content, lineOffset } lineOffset is the line before the block content
+   */
+  static extractBlock(markdown) {
+    const blocks = [];
+    const text = markdown.replace(/\r\n?/g, '\n');
+    FENCE_REGEX.lastIndex = 0;
+    let match;
+    while ((match = FENCE_REGEX.exec(text)) !== null) {
+      const content = match[4];
+      if (!/(^|[{,])\s*["']?steps["']?\s*:/m.test(content)) continue;
+      blocks.push({
+        format: match[2] === 'json' ? 'json' : 'yaml',
+        content,
+        lineOffset: text.slice(0, match.index).split('\n').length,
+        tagged: /\bplan\b/i.test(match[3])
+      });
+    }
+    const block = blocks.find(b => b.tagged) || blocks[0];
+    if (!block) return null;
+    const { tagged, ...result } = block;
+    return result;
+  }
+
+  /**
+   * Find the structured plan of a project
+   * @param {string} docsDir - Prompt docs directory (.ai/docs)
+   * @param {string} markdownPath - implementation-plan.md to search for a fenced block (docs/ by default)
+   * @returns {Object|null} { file, source, format, content, lineOffset, embedded }
+   */
+  static locate(docsDir, markdownPath) {
+    for (const name of PLAN_FILES) {
+      const file = path.join(docsDir, name);
+      if (fs.existsSync(file)) {
+        return {
+          file,
+          source: name,
+          format: name.endsWith('.json') ? 'json' : 'yaml',
+          content: fs.readFileSync(file, 'utf-8'),
+          lineOffset: 0,
+          embedded: false
+        };
+      }
+    }
+
+    const planPath = markdownPath || path.join(docsDir, 'implementation-plan.md');
+    if (!fs.existsSync(planPath)) return null;
+    const block = this.extractBlock(fs.readFileSync(planPath, 'utf-8'));
+    return block ? { file: planPath, source: path.basename(planPath), ...block, embedded: true } : null;
+  }
+
+  /**
+   * Parse and validate plan text
+   * @param {string} content - YAML or JSON text
+   * @param {Object} options - { format, lineOffset } lineOffset shifts the reported lines
+   * @returns {Object} { data, lines, errors: [{ path, line, message }], warnings }
+   */
+  static parse(content, { format = 'yaml', lineOffset = 0 } = {}) {
+    let data;
+    let lines = {};
+
+    try {
+      if (format === 'json') {
+        data = JSON.parse(content);
+        lines = jsonLines(content);
+      } else {
+        ({ value: data, lines } = parseYaml(content));
+      }
+    } catch (error) {
+      let line = error.line;
+      const position = format === 'json' && error.message.match(/position (\d+)/);
+      if (position) line = content.slice(0, Number(position[1])).split('\n').length;
+      return {
+        data: null,
+        lines,
+        errors: [{ path: '', line: line ? line + lineOffset : null, message: `syntaxe ${format.toUpperCase()}: ${error.message}` }],
+        warnings: []
+      };
+    }
+
+    const shifted = {};
+    Object.entries(lines).forEach(([key, line]) => {
+      shifted[key] = line + lineOffset;
+    });
+    return { data, lines: shifted, ...this.validate(data, shifted) };
+  }
+
+  /**
+   * Check a plan object against SCHEMA, then step references, duplicates and estimates
+   * @param {Object} data - Parsed plan
+   * @param {Object} lines - Path → line map from parse()
+   * @returns {Object} { errors: [{ path, line, message }], warnings: [{ path, line, message }] }
+   */
+  static validate(data, lines = {}) {
+    const errors = [];
+    const warnings = [];
+    const lineOf = (at) => {
+      let current = at;
+      while (current) {
+        if (lines[current]) return lines[current];
+        current = current.replace(/(\.?[^.[\]]+|\[\d+\])$/, '');
+      }
+      return null;
+    };
+    const report = (list, at, message) => list.push({ path: at, line: lineOf(at), message });
+
+    const check = (value, schema, at) => {
+      const actual = typeOf(value);
+      const types = [].concat(schema.type);
+      if (!types.includes(actual)) {
+        report(errors, at, `doit être ${types.map(t => TYPE_NAMES[t]).join(' ou ')} (trouvé: ${TYPE_NAMES[actual]})`);
+        return;
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        report(errors, at, `valeur ${JSON.stringify(value)} non supportée (attendu: ${schema.enum.join(', ')})`);
+      }
+      if (schema.pattern && !schema.pattern.test(String(value))) {
+        report(errors, at, `${JSON.stringify(value)} n'est pas un numéro d'étape (ex: ${schema.example})`);
+      }
+      if (actual === 'array') {
+        if (schema.minItems && value.length < schema.minItems) report(errors, at, 'ne doit pas être vide');
+        if (schema.items) value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`));
+      }
+      if (actual === 'object' && schema.properties) {
+        (schema.required || [])
+          .filter(key => value[key] === undefined || value[key] === null || value[key] === '')
+          .forEach(key => report(errors, at, `champ obligatoire "${key}" manquant`));
+        Object.keys(value).forEach(key => {
+          const keyPath = at ? `${at}.${key}` : key;
+          if (schema.properties[key]) {
+            if (value[key] !== null) check(value[key], schema.properties[key], keyPath);
+            return;
+          }
+          const loose = key.toLowerCase().replace(/[-_\s]/g, '');
+          const suggestion = KEY_ALIASES[loose] || Object.keys(schema.properties)
+            .find(name => loose.length >= 3 && (name.toLowerCase().startsWith(loose) || loose.startsWith(name.toLowerCase())));
+          report(errors, keyPath, `clé inconnue "${key}"${suggestion && schema.properties[suggestion] ? ` (vouliez-vous dire "${suggestion}" ?)` : ''}`);
+        });
+      }
+    };
+
+    check(data, SCHEMA, '');
+    if (typeOf(data) !== 'object' || !Array.isArray(data.steps)) return { errors, warnings };
+
+    const steps = data.steps.filter(step => typeOf(step) === 'object');
+    const ids = new Map();
+    data.steps.forEach((step, i) => {
+      if (typeOf(step) !== 'object' || step.id === undefined || step.id === null) return;
+      const id = String(step.id);
+      if (ids.has(id)) {
+        report(errors, `steps[${i}].id`, `identifiant "${id}" déjà utilisé par steps[${ids.get(id)}]${typeof step.id === 'number' && !Number.isInteger(step.id) ? ' (mettez les numéros décimaux entre guillemets: "1.10")' : ''}`);
+      } else {
+        ids.set(id, i);
+      }
+    });
+
+    const knownModules = Object.keys(ModuleManager.getModuleDefinitions());
+    data.steps.forEach((step, i) => {
+      if (typeOf(step) !== 'object') return;
+      (Array.isArray(step.dependsOn) ? step.dependsOn : []).forEach((dep, j) => {
+        if (dep === null || dep === undefined || !STEP_ID.pattern.test(String(dep))) return;
+        if (String(dep) === String(step.id)) {
+          report(errors, `steps[${i}].dependsOn[${j}]`, 'une étape ne peut pas dépendre d\'elle-même');
+        } else if (!ids.has(String(dep))) {
+          report(errors, `steps[${i}].dependsOn[${j}]`, `étape "${dep}" inconnue`);
+        }
+      });
+
+      if (typeof step.estimate === 'string' && PlanParser.parseEstimateHours(step.estimate) === null) {
+        report(errors, `steps[${i}].estimate`, `durée illisible "${step.estimate}" (ex: "2-4 heures", "30 min", "1 jour")`);
+      } else if (typeof step.estimate === 'number' && !(step.estimate > 0)) {
+        report(errors, `steps[${i}].estimate`, 'doit être un nombre d\'heures positif');
+      }
+
+      [].concat(step.module || []).filter(m => typeof m === 'string').forEach(module => {
+        if (!knownModules.includes(PlanParser.normalizeModuleName(module))) {
+          report(warnings, `steps[${i}].module`, `module "${module}" inconnu (connus: ${knownModules.join(', ')})`);
+        }
+      });
+    });
+
+    (Array.isArray(data.milestones) ? data.milestones : []).forEach((milestone, i) => {
+      if (typeOf(milestone) !== 'object' || !Array.isArray(milestone.steps)) return;
+      milestone.steps.forEach((id, j) => {
+        if (id !== null && id !== undefined && STEP_ID.pattern.test(String(id)) && !ids.has(String(id))) {
+          report(errors, `milestones[${i}].steps[${j}]`, `étape "${id}" inconnue`);
+        }
+      });
+    });
+
+    if (steps.length > 0 && !steps.some(step => step.dependsOn !== undefined)) {
+      report(warnings, 'steps', 'aucun "dependsOn": les étapes seront enchaînées dans l\'ordre du fichier');
+    }
+
+    const byLine = (a, b) => (a.line || 0) - (b.line || 0);
+    return { errors: errors.sort(byLine), warnings: warnings.sort(byLine) };
+  }
+
+  /**
+   * Convert a valid plan to PlanParser steps (sequential numbers, ids kept as rawNumber, sub-steps linked)
+   * Without any dependsOn, steps are chained like the markdown parser does
+   * @param {Object} data - Validated plan
+   * @returns {Object[]} Steps
+   */
+  static toSteps(data) {
+    const numbers = new Map(data.steps.map((step, i) => [String(step.id), i + 1]));
+    const explicitDeps = data.steps.some(step => step.dependsOn !== undefined);
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+
+    return PlanParser.linkSubSteps(data.steps.map((step, i) => {
+      const title = text(step.title);
+      const objective = text(step.objective) || title;
+      const files = (step.files || []).map(text).filter(Boolean);
+      const commands = (step.commands || []).map(text).filter(Boolean);
+      const modules = [].concat(step.module || []).map(m => PlanParser.normalizeModuleName(m)).filter(Boolean);
+
+      const tasks = (step.tasks || []).map(text).filter(Boolean)
+        .map(description => ({ description, completed: false, type: 'main' }));
+      files.forEach(file => tasks.push({ description: `Créer le fichier \`${file}\``, completed: false, type: 'file', file }));
+      if (commands.length > 0) {
+        tasks.push({
+          description: 'Exécuter les commandes d\'installation/configuration',
+          completed: false,
+          type: 'commands',
+          commands,
+          details: commands.map(c => `\`${c}\``).join('\n')
+        });
+      }
+      if (tasks.length === 0) tasks.push({ description: objective, completed: false, type: 'main' });
+      tasks.push({ description: 'Vérifier que tout fonctionne (build + runtime)', completed: false, type: 'validation' });
+
+      return {
+        rawNumber: String(step.id),
+        number: i + 1,
+        displayNumber: String(step.id),
+        name: title,
+        tasks,
+        objective,
+        estimatedTime: typeof step.estimate === 'number' ? `${step.estimate} heures` : text(step.estimate) || '2-4 heures',
+        estimateDeclared: typeof step.estimate === 'number' || Boolean(text(step.estimate)),
+        dependsOn: explicitDeps
+          ? (step.dependsOn || []).map(dep => numbers.get(String(dep)))
+          : (i > 0 ? [i] : []),
+        parallel: step.parallel === true,
+        module: modules.length === 0
+          ? PlanParser.extractModule(`Step ${i + 1}: ${title}\n${objective}`)
+          : (modules.length === 1 ? modules[0] : modules),
+        files,
+        userCommands: commands,
+        techDetails: {}
+      };
+    }));
+  }
+
+  /**
+   * Convert plan milestones to PlanParser.parseMilestones() entries
+   * @param {Object} data - Validated plan
+   * @returns {Object[]} { name, steps, deadline }
+   */
+  static toMilestones(data) {
+    const numbers = new Map(data.steps.map((step, i) => [String(step.id), i + 1]));
+    return (data.milestones || []).map((milestone, index) => ({
+      name: milestone.name.trim(),
+      steps: [...new Set(milestone.steps.map(id => numbers.get(String(id))))],
+      deadline: milestone.deadline !== undefined && milestone.deadline !== null
+        ? String(milestone.deadline)
+        : `Semaine ${(index + 1) * 2}`
+    }));
+  }
+
+  /**
+   * One diagnostic as "file:line path: message"
+   */
+  static formatDiagnostic(diagnostic, source) {
+    const where = diagnostic.line ? `${source}:${diagnostic.line}` : source;
+    return `${where}${diagnostic.path ? ` ${diagnostic.path}` : ''}: ${diagnostic.message}`;
+  }
+
+  /**
+   * Parse, validate and convert a located plan
+   * @param {Object} located - locate() result
+   * @returns {Object} { project, steps, milestones, warnings } warnings are formatted strings
+   * @throws {Error} code INVALID_PLAN, error.errors holds the formatted diagnostics
+   */
+  static load(located) {
+    const { data, errors, warnings } = this.parse(located.content, located);
+
+    if (errors.length > 0) {
+      const details = errors.map(e => this.formatDiagnostic(e, located.source));
+      const error = new Error(`Plan structuré invalide (${errors.length} erreur(s)):\n${details.map(d => `  - ${d}`).join('\n')}`);
+      error.code = 'INVALID_PLAN';
+      error.errors = details;
+      throw error;
+    }
+
+    return {
+      project: typeof data.project === 'string' ? data.project.trim() : null,
+      steps: this.toSteps(data),
+      milestones: this.toMilestones(data),
+      warnings: warnings.map(w => this.formatDiagnostic(w, located.source))
+    };
+  }
+}
+
+StructuredPlan.PLAN_FILES = PLAN_FILES;
+StructuredPlan.SCHEMA = SCHEMA;
+StructuredPlan.parseYaml = parseYaml;
+
+module.exports = StructuredPlan;
@@ -0,0 +1,347 @@
+const TaskScheduler = require('./taskScheduler');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Export formats: file extension and description
+ */
+const EXPORT_FORMATS = {
+  'github-json': { extension: 'github.json', description: 'GitHub issues (JSON)' },
+  'github-md': { extension: 'github.md', description: 'GitHub issues (Markdown)' },
+  jira: { extension: 'jira.csv', description: 'Jira CSV import' },
+  csv: { extension: 'csv', description: 'CSV' },
+  todotxt: { extension: 'todo.txt', description: 'todo.txt' },
+  ics: { extension: 'ics', description: 'iCalendar (milestone deadlines)' }
+};
+
+const JIRA_STATUS = {
+  pending: 'To Do',
+  ready: 'To Do',
+  prompted: 'In Progress',
+  'in-progress': 'In Progress',
+  completed: 'Done'
+};
+
+const JIRA_PRIORITY = ['Highest', 'High', 'Medium', 'Low'];
+
+/**
+ * Quote a CSV field when needed
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRow(values) {
+  return values.map(csvField).join(',');
+}
+
+/**
+ * Escape an iCalendar text value
+ */
+function icsText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold an iCalendar line at 75 octets (continuation lines start with a space)
+ */
+function icsFold(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (size + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function icsDate(date) {
+  return date.toISOString().substring(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Task Exporter
+ * Turns tasks.json entries (plus step content and milestones) into tracker formats.
+ * Every format keeps status, module, agent and dependencies.
+ */
+class TaskExporter {
+  /**
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {Object} options - { project, milestones, readStep(step), start, now }
+   */
+  constructor(tasks, options = {}) {
+    this.tasks = [...tasks].sort((a, b) => a.step - b.step);
+    this.project = options.project || 'Project';
+    this.milestones = options.milestones || [];
+    this.readStep = options.readStep || (() => '');
+    this.start = options.start ? new Date(options.start) : new Date();
+    this.now = options.now ? new Date(options.now) : new Date();
+  }
+
+  /**
+   * Export in one of EXPORT_FORMATS
+   * @param {string} format - Format key
+   * @returns {string} File content
+   */
+  export(format) {
+    const exporters = {
+      'github-json': () => this.toGithubJson(),
+      'github-md': () => this.toGithubMarkdown(),
+      jira: () => this.toJiraCsv(),
+      csv: () => this.toCsv(),
+      todotxt: () => this.toTodoTxt(),
+      ics: () => this.toIcs()
+    };
+    if (!exporters[format]) {
+      throw new Error(`Unknown format "${format}" (expected: ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+    return exporters[format]();
+  }
+
+  /**
+   * Milestone holding a step (null if none)
+   */
+  getMilestone(step) {
+    return this.milestones.find(m => m.steps.includes(step)) || null;
+  }
+
+  /**
+   * Step file content, empty if unreadable
+   */
+  getContent(task) {
+    try {
+      return (this.readStep(task.step) || '').trim();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Labels shared by the issue formats
+   */
+  getLabels(task) {
+    return [
+      task.module && `module:${task.module}`,
+      task.agent && `agent:${task.agent}`,
+      `status:${task.status}`,
+      task.parallel && 'parallel'
+    ].filter(Boolean);
+  }
+
+  /**
+   * Issue body: metadata, dependency references, then the step content
+   * Issues are numbered by step, so "#N" refers to step N
+   */
+  getIssueBody(task) {
+    const lines = [
+      `**Step:** ${task.step} | **Status:** ${task.status} | **Module:** ${task.module || '-'} | **Agent:** ${task.agent || '-'}`
+    ];
+    if (task.estimate) lines.push(`**Estimate:** ${task.estimate}`);
+    if (task.dependsOn && task.dependsOn.length > 0) {
+      lines.push(`Depends on ${task.dependsOn.map(dep => `#${dep}`).join(', ')}`);
+    }
+    if (task.files && task.files.length > 0) {
+      lines.push(`**Files:** ${task.files.map(file => `\`${file}\``).join(', ')}`);
+    }
+
+    const content = this.getContent(task);
+    return content ? `${lines.join('\n\n')}\n\n---\n\n${content}\n` : `${lines.join('\n\n')}\n`;
+  }
+
+  toGithubJson() {
+    const issues = this.tasks.map(task => {
+      const milestone = this.getMilestone(task.step);
+      return {
+        number: task.step,
+        title: `Step ${task.step}: ${task.title}`,
+        body: this.getIssueBody(task),
+        labels: this.getLabels(task),
+        state: task.status === 'completed' ? 'closed' : 'open',
+        milestone: milestone ? milestone.name : null,
+        assignees: task.claimedBy ? [task.claimedBy] : [],
+        step: task.step,
+        status: task.status,
+        module: task.module || null,
+        agent: task.agent || null,
+        dependsOn: task.dependsOn || []
+      };
+    });
+    return JSON.stringify(issues, null, 2) + '\n';
+  }
+
+  toGithubMarkdown() {
+    const sections = this.tasks.map(task => {
+      const milestone = this.getMilestone(task.step);
+      const checkbox = task.status === 'completed' ? '[x]' : '[ ]';
+      return [
+        `## ${checkbox} #${task.step} Step ${task.step}: ${task.title}`,
+        '',
+        `Labels: ${this.getLabels(task).map(label => `\`${label}\``).join(' ')}${milestone ? ` | Milestone: ${milestone.name}` : ''}`,
+        '',
+        this.getIssueBody(task).trim()
+      ].join('\n');
+    });
+    return `# ${this.project}: issues\n\n${sections.join('\n\n')}\n`;
+  }
+
+  toJiraCsv() {
+    const maxDeps = Math.max(0, ...this.tasks.map(t => (t.dependsOn || []).length));
+    const header = [
+      'Issue Id', 'Summary', 'Issue Type', 'Status', 'Priority', 'Component/s',
+      'Labels', 'Labels', 'Fix Version/s', 'Original Estimate', 'Assignee', 'Description',
+      // Jira maps repeated columns to multiple values
+      ...Array(maxDeps).fill('Inward issue link (Blocks)')
+    ];
+
+    const rows = this.tasks.map(task => {
+      const milestone = this.getMilestone(task.step);
+      const priority = TaskScheduler.normalizePriority(task.priority);
+      const deps = task.dependsOn || [];
+      return csvRow([
+        task.step,
+        `Step ${task.step}: ${task.title}`,
+        'Task',
+        JIRA_STATUS[task.status] || 'To Do',
+        JIRA_PRIORITY[Math.min(priority, 3)] || 'Medium',
+        task.module || '',
+        `agent-${task.agent || 'generic'}`,
+        `status-${task.status}`,
+        milestone ? milestone.name : '',
+        typeof task.estimatedHours === 'number' ? Math.round(task.estimatedHours * 3600) : '',
+        task.claimedBy || '',
+        this.getContent(task),
+        ...Array.from({ length: maxDeps }, (value, i) => deps[i] || '')
+      ]);
+    });
+
+    return [csvRow(header), ...rows].join('\n') + '\n';
+  }
+
+  toCsv() {
+    const header = [
+      'step', 'title', 'status', 'module', 'agent', 'dependsOn', 'milestone', 'estimate',
+      'estimatedHours', 'priority', 'claimedBy', 'startedAt', 'completedAt', 'actualHours', 'file'
+    ];
+    const rows = this.tasks.map(task => {
+      const milestone = this.getMilestone(task.step);
+      return csvRow([
+        task.step,
+        task.title,
+        task.status,
+        task.module || '',
+        task.agent || '',
+        (task.dependsOn || []).join(' '),
+        milestone ? milestone.name : '',
+        task.estimate || '',
+        task.estimatedHours ?? '',
+        task.priority ?? '',
+        task.claimedBy || '',
+        task.startedAt || '',
+        task.completedAt || '',
+        task.actualHours ?? '',
+        task.file
+      ]);
+    });
+    return [csvRow(header), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * todo.txt: priority (A-D), +module project, @agent context, key:value tags
+   */
+  toTodoTxt() {
+    const lines = this.tasks.map(task => {
+      const words = [];
+      if (task.status === 'completed') {
+        words.push('x');
+        if (task.completedAt) words.push(task.completedAt.substring(0, 10));
+      } else if (task.priority !== undefined) {
+        words.push(`(${'ABCD'[Math.min(TaskScheduler.normalizePriority(task.priority), 3)]})`);
+      }
+      if (task.promptedAt || task.startedAt) words.push((task.startedAt || task.promptedAt).substring(0, 10));
+
+      words.push(`Step ${task.step}: ${task.title.replace(/\s+/g, ' ')}`);
+      if (task.module) words.push(`+${task.module.replace(/\s+/g, '-')}`);
+      if (task.agent) words.push(`@${task.agent.replace(/\s+/g, '-')}`);
+      words.push(`step:${task.step}`, `status:${task.status}`);
+      if (task.dependsOn && task.dependsOn.length > 0) words.push(`dep:${task.dependsOn.join(',')}`);
+
+      const milestone = this.getMilestone(task.step);
+      if (milestone) words.push(`milestone:${milestone.name.replace(/\s+/g, '-')}`);
+      return words.join(' ');
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Milestone deadline as a date: a date from the plan, or "Semaine N" / "Week N"
+   * counted from the start date
+   */
+  getDeadlineDate(deadline) {
+    const week = String(deadline || '').match(/(?:semaine|week)\s*(\d+)|^(\d+)$/i);
+    if (week) {
+      return new Date(this.start.getTime() + parseInt(week[1] || week[2], 10) * 7 * DAY);
+    }
+    const date = new Date(deadline);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * iCalendar: one all-day event per milestone on its deadline
+   */
+  toIcs() {
+    const stamp = this.now.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const slug = this.project.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//prompt-cursor//export//EN',
+      'CALSCALE:GREGORIAN',
+      `X-WR-CALNAME:${icsText(`${this.project} milestones`)}`
+    ];
+
+    this.milestones.forEach(milestone => {
+      const date = this.getDeadlineDate(milestone.deadline);
+      if (!date) return;
+
+      const steps = milestone.steps
+        .map(step => this.tasks.find(t => t.step === step))
+        .filter(Boolean);
+      const description = [
+        `${milestone.progress}% (${milestone.completedSteps.length}/${milestone.steps.length} steps)`,
+        ...steps.map(task => `${task.status === 'completed' ? '[x]' : '[ ]'} Step ${task.step}: ${task.title} (${task.status}, ${task.module || '-'}/${task.agent || '-'}${task.dependsOn && task.dependsOn.length ? `, depends on ${task.dependsOn.join(', ')}` : ''})`)
+      ].join('\n');
+
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${slug}-milestone-${milestone.id}@prompt-cursor`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${icsDate(date)}`,
+        `DTEND;VALUE=DATE:${icsDate(new Date(date.getTime() + DAY))}`,
+        `SUMMARY:${icsText(`${milestone.icon} ${milestone.name} (${milestone.deadline})`)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        `STATUS:${milestone.status === 'completed' ? 'CONFIRMED' : 'TENTATIVE'}`,
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+  }
+}
+
+TaskExporter.EXPORT_FORMATS = EXPORT_FORMATS;
+
+module.exports = TaskExporter;
@@ -0,0 +1,142 @@
+/**
+ * TaskHistory - Append-only log of task transitions (.ai/tasks-history.jsonl)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Task fields describing its progression (restored by undo)
+ */
+const STATE_FIELDS = ['status', 'promptedAt', 'startedAt', 'completedAt', 'actualHours', 'claimedBy', 'claimedAt', 'verification', 'git'];
+
+class TaskHistory {
+  constructor(projectDir = process.cwd()) {
+    this.historyFile = path.join(projectDir, '.ai', 'tasks-history.jsonl');
+  }
+
+  /**
+   * Copy the state fields of a task (missing fields are omitted)
+   * @param {Object} task - Task entry
+   * @returns {Object}
+   */
+  static captureState(task) {
+    const state = {};
+    STATE_FIELDS.forEach(field => {
+      if (task && task[field] !== undefined) state[field] = task[field];
+    });
+    return state;
+  }
+
+  /**
+   * Put a captured state back on a task (fields absent from state are removed)
+   * @param {Object} task - Task entry, updated in place
+   * @param {Object} state - State from captureState
+   */
+  static applyState(task, state) {
+    STATE_FIELDS.forEach(field => {
+      if (state[field] === undefined) {
+        delete task[field];
+      } else {
+        task[field] = state[field];
+      }
+    });
+  }
+
+  /**
+   * Build a transition event
+   * @param {Object} params - { action, step, actor, from, to, undoes, auto, cause }
+   *   auto: follows from another transition (parent completed by its sub-steps, cascaded reset),
+   *   never undone on its own; cause: id of that transition when it must be undone with it
+   * @returns {Object}
+   */
+  static createEvent({ action, step, actor, from, to, undoes, auto, cause }) {
+    const event = {
+      id: crypto.randomBytes(6).toString('hex'),
+      at: new Date().toISOString(),
+      action,
+      step,
+      actor,
+      from,
+      to
+    };
+    if (undoes) event.undoes = undoes;
+    if (auto) event.auto = true;
+    if (cause) event.cause = cause;
+    return event;
+  }
+
+  /**
+   * Append events to the log (caller holds the tasks.json lock)
+   * @param {Object[]} events - Events to append
+   */
+  append(events) {
+    if (!events || events.length === 0) return;
+    const lines = events.map(event => JSON.stringify(event)).join('\n') + '\n';
+    fs.appendFileSync(this.historyFile, lines);
+  }
+
+  /**
+   * Read all events, oldest first (unparseable lines are skipped)
+   * @returns {Object[]}
+   */
+  readAll() {
+    if (!fs.existsSync(this.historyFile)) return [];
+
+    return fs.readFileSync(this.historyFile, 'utf-8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Ids of events already reverted by an undo
+   * @param {Object[]} events - All events
+   * @returns {Set<string>}
+   */
+  static getUndoneIds(events) {
+    return new Set(events.filter(e => e.undoes).map(e => e.undoes));
+  }
+
+  /**
+   * Last transitions that can still be undone, most recent first
+   * (automatic transitions are not counted: they follow the undone ones)
+   * @param {number} count - Number of transitions
+   * @returns {Object[]}
+   */
+  getUndoable(count = 1) {
+    const events = this.readAll();
+    const undone = TaskHistory.getUndoneIds(events);
+
+    return events
+      .filter(e => e.action !== 'undo' && !e.auto && !undone.has(e.id))
+      .reverse()
+      .slice(0, count);
+  }
+
+  /**
+   * Transitions caused by another one (cascaded resets), not undone yet, most recent first
+   * @param {string} id - Id of the causing event
+   * @returns {Object[]}
+   */
+  getCaused(id) {
+    const events = this.readAll();
+    const undone = TaskHistory.getUndoneIds(events);
+
+    return events
+      .filter(e => e.cause === id && !undone.has(e.id))
+      .reverse();
+  }
+}
+
+TaskHistory.STATE_FIELDS = STATE_FIELDS;
+
+module.exports = TaskHistory;
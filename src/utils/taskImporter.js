@@ -0,0 +1,387 @@
+const path = require('path');
+const PlanParser = require('./planParser');
+const ModuleManager = require('./moduleManager');
+
+/**
+ * Import formats
+ */
+const IMPORT_FORMATS = ['github', 'csv', 'markdown'];
+
+/**
+ * Dependency references in free text: "depends on #12", "blocked by #3, #4", "after #2"
+ */
+const DEPENDENCY_REGEX = /(?:depends?\s+on|dépend\s+de|blocked\s+by|bloqué\s+par|requires?|after|après)\s*:?\s*((?:#\d+(?:\s*(?:,|and|et|&)\s*|\s+))*#\d+)/gi;
+const DEPENDENCY_TEST = new RegExp(DEPENDENCY_REGEX.source, 'i');
+
+/**
+ * CSV columns (lowercase header → field), covers our own export and Jira/Linear-style exports
+ */
+const CSV_COLUMNS = {
+  id: ['id', 'step', 'number', '#', 'issue id', 'issue key', 'key'],
+  title: ['title', 'summary', 'name', 'task'],
+  body: ['body', 'description', 'details', 'objective'],
+  status: ['status', 'state'],
+  module: ['module', 'component', 'component/s', 'components'],
+  labels: ['labels', 'label', 'tags'],
+  agent: ['agent'],
+  dependsOn: ['dependson', 'depends on', 'dependencies', 'blocked by', 'inward issue link (blocks)'],
+  estimate: ['estimate', 'original estimate', 'estimated', 'estimated time'],
+  priority: ['priority'],
+  files: ['files']
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, newlines inside quotes)
+ * @param {string} content - CSV text
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const text = content.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim()));
+}
+
+/**
+ * Task Importer
+ * Turns GitHub issues, CSV rows or a Markdown checklist into plan steps
+ * (the shape PlanParser produces), so WorkflowGenerator renders them like a parsed plan.
+ */
+class TaskImporter {
+  /**
+   * Guess the format from the file extension, then the content
+   * @param {string} file - Source file path
+   * @param {string} content - File content
+   * @returns {string} One of IMPORT_FORMATS
+   */
+  static detectFormat(file, content) {
+    const ext = path.extname(file).toLowerCase();
+    if (ext === '.json') return 'github';
+    if (ext === '.csv') return 'csv';
+    if (ext === '.md' || ext === '.markdown' || ext === '.txt') return 'markdown';
+
+    const trimmed = content.trim();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) return 'github';
+    if (/^\s*(?:[-*+]|\d+[.)])\s+\[[ xX]\]/m.test(content)) return 'markdown';
+    return 'csv';
+  }
+
+  /**
+   * Parse a source file into plan steps
+   * @param {string} content - File content
+   * @param {string} format - One of IMPORT_FORMATS
+   * @returns {Object} { steps, warnings }
+   */
+  static parse(content, format) {
+    const parsers = {
+      github: () => this.parseGithubIssues(content),
+      csv: () => this.parseCsv(content),
+      markdown: () => this.parseChecklist(content)
+    };
+    if (!parsers[format]) {
+      throw new Error(`Unknown import format "${format}" (expected: ${IMPORT_FORMATS.join(', ')})`);
+    }
+
+    const items = parsers[format]();
+    if (items.length === 0) {
+      throw new Error(`No task found in the ${format} source`);
+    }
+    return this.toSteps(items);
+  }
+
+  /**
+   * GitHub issues: REST API or `gh issue list --json` output, or our github-json export
+   * Pull requests are skipped
+   */
+  static parseGithubIssues(content) {
+    let data = JSON.parse(content);
+    if (!Array.isArray(data)) data = data.issues || data.items || [data];
+
+    return data
+      .filter(issue => issue && issue.title && !issue.pull_request)
+      .map(issue => {
+        const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean);
+        const body = issue.body || '';
+        return {
+          id: String(issue.number ?? issue.step ?? issue.id),
+          title: TaskImporter.cleanTitle(issue.title),
+          body,
+          labels,
+          module: issue.module,
+          status: issue.status || (String(issue.state).toLowerCase() === 'closed' ? 'completed' : null),
+          dependsOn: [...(issue.dependsOn || []).map(String), ...TaskImporter.extractReferences(body)],
+          estimate: issue.estimate,
+          priority: issue.priority,
+          milestone: issue.milestone && (issue.milestone.title || issue.milestone)
+        };
+      })
+      .sort((a, b) => Number(a.id) - Number(b.id));
+  }
+
+  /**
+   * CSV with a header row; repeated columns (Jira "Labels", issue links) are all kept
+   */
+  static parseCsv(content) {
+    const [header, ...rows] = parseCsvRows(content);
+    if (!header) return [];
+
+    const fieldsByColumn = header.map(name => {
+      const key = name.trim().toLowerCase();
+      return Object.keys(CSV_COLUMNS).find(field => CSV_COLUMNS[field].includes(key)) || null;
+    });
+    if (!fieldsByColumn.includes('title')) {
+      throw new Error(`CSV needs a title column (${CSV_COLUMNS.title.join(', ')})`);
+    }
+
+    return rows.map((row, index) => {
+      const values = {};
+      fieldsByColumn.forEach((field, column) => {
+        const value = (row[column] || '').trim();
+        if (!field || !value) return;
+        (values[field] = values[field] || []).push(value);
+      });
+      const first = field => (values[field] ? values[field][0] : undefined);
+      const split = field => (values[field] || []).flatMap(value => value.split(/[\s,;|]+/)).filter(Boolean);
+      const body = first('body') || '';
+
+      return {
+        id: (first('id') || String(index + 1)).replace(/^#/, '').replace(/^[A-Z][A-Z0-9]*-/, ''),
+        title: TaskImporter.cleanTitle(first('title') || ''),
+        body,
+        labels: split('labels'),
+        module: first('module'),
+        agent: first('agent'),
+        status: first('status'),
+        dependsOn: [
+          ...split('dependsOn').map(ref => ref.replace(/^#/, '').replace(/^[A-Z][A-Z0-9]*-/, '')),
+          ...TaskImporter.extractReferences(body)
+        ],
+        estimate: TaskImporter.normalizeEstimate(first('estimate')),
+        priority: first('priority'),
+        files: split('files')
+      };
+    }).filter(item => item.title);
+  }
+
+  /**
+   * Markdown checklist: "- [ ] Title" items ("- [x]" = done), indented items become tasks,
+   * the closest heading is a module hint, "+module" tags are labels
+   * Items are referenced by position (#1, #2...) or by an explicit "#N" / "N." prefix
+   */
+  static parseChecklist(content) {
+    const items = [];
+    let heading = null;
+
+    content.split('\n').forEach(line => {
+      const headingMatch = line.match(/^#{1,6}\s+(.+?)\s*$/);
+      if (headingMatch) {
+        heading = headingMatch[1].replace(/^\d+[.)]\s*/, '');
+        return;
+      }
+
+      const itemMatch = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+\[([ xX])\]\s+(.+?)\s*$/);
+      if (!itemMatch) return;
+
+      const [, indent, check, text] = itemMatch;
+      const done = check.toLowerCase() === 'x';
+
+      // Indented item: sub-task of the previous top-level item
+      if (indent.length > 0 && items.length > 0) {
+        items[items.length - 1].tasks.push({ description: text, completed: done, type: 'main' });
+        return;
+      }
+
+      const idMatch = text.match(/^(?:#|Step\s+)?(\d+)[.:)]?\s+/i);
+      const labels = (text.match(/(?:^|\s)\+([\w-]+)/g) || []).map(tag => tag.trim().slice(1));
+      const title = text
+        .replace(/^(?:#|Step\s+)?\d+[.:)]?\s+/i, '')
+        .replace(DEPENDENCY_REGEX, '')
+        .replace(/(?:^|\s)\+[\w-]+/g, '')
+        .replace(/\(\s*\)|\s{2,}/g, ' ')
+        .trim();
+
+      items.push({
+        id: idMatch ? idMatch[1] : String(items.length + 1),
+        title: TaskImporter.cleanTitle(title),
+        body: '',
+        labels: heading ? [...labels, heading] : labels,
+        status: done ? 'completed' : null,
+        dependsOn: TaskImporter.extractReferences(text),
+        tasks: []
+      });
+    });
+
+    return items;
+  }
+
+  /**
+   * "#12" references from dependency phrases
+   * @param {string} text - Issue body or item text
+   * @returns {string[]} Referenced ids
+   */
+  static extractReferences(text) {
+    const refs = [];
+    for (const match of (text || '').matchAll(DEPENDENCY_REGEX)) {
+      refs.push(...match[1].match(/\d+/g));
+    }
+    return refs;
+  }
+
+  /**
+   * Drop the "Step N:" prefix of titles coming from our own export
+   */
+  static cleanTitle(title) {
+    return String(title).replace(/^Step\s+\d+(?:\.\d+)?\s*:\s*/i, '').trim();
+  }
+
+  /**
+   * Jira estimates are in seconds; anything else is kept as text
+   */
+  static normalizeEstimate(estimate) {
+    if (!estimate) return undefined;
+    if (/^\d+$/.test(estimate)) {
+      const hours = parseInt(estimate, 10) / 3600;
+      return `${Math.round(hours * 10) / 10} heures`;
+    }
+    return estimate;
+  }
+
+  /**
+   * Module of an item: explicit module field, then the first label naming a known module
+   * ("frontend", "area:backend", "module: db" → database)
+   */
+  static resolveModule(item) {
+    const known = Object.keys(ModuleManager.getModuleDefinitions());
+    const candidates = [item.module, ...(item.labels || [])].filter(Boolean);
+
+    for (const candidate of candidates) {
+      const name = PlanParser.normalizeModuleName(String(candidate).replace(/^(?:module|area|component|scope|type)\s*[:/]\s*/i, ''));
+      if (known.includes(name)) return name;
+    }
+    return null;
+  }
+
+  /**
+   * Imported status: completed, in-progress or null (pending/ready are recomputed)
+   */
+  static normalizeStatus(status, labels = []) {
+    const values = [status, ...labels.filter(l => /^status\s*[:/-]/i.test(l)).map(l => l.replace(/^status\s*[:/-]\s*/i, ''))];
+    for (const value of values.filter(Boolean).map(v => String(v).trim().toLowerCase())) {
+      if (['completed', 'done', 'closed', 'resolved', 'fixed', 'x'].includes(value)) return 'completed';
+      if (['in-progress', 'in progress', 'prompted', 'doing', 'started', 'in review'].includes(value)) return 'in-progress';
+    }
+    return null;
+  }
+
+  /**
+   * Number items 1..N in source order and resolve references to step numbers
+   * Unknown references and self references are dropped with a warning
+   * @param {Object[]} items - Parsed items
+   * @returns {Object} { steps, warnings }
+   */
+  static toSteps(items) {
+    const warnings = [];
+    const stepById = new Map();
+    items.forEach((item, index) => {
+      if (stepById.has(item.id)) {
+        warnings.push(`#${item.id} en double: "${item.title}" importé comme Step ${index + 1}`);
+      } else {
+        stepById.set(item.id, index + 1);
+      }
+    });
+
+    const steps = items.map((item, index) => {
+      const number = index + 1;
+      const dependsOn = [];
+      [...new Set(item.dependsOn || [])].forEach(ref => {
+        const dep = stepById.get(String(ref));
+        if (!dep) {
+          warnings.push(`Step ${number} (#${item.id}): dépendance #${ref} introuvable, ignorée`);
+        } else if (dep !== number && !dependsOn.includes(dep)) {
+          dependsOn.push(dep);
+        }
+      });
+
+      const bodyTasks = (item.body.match(/^\s*[-*+]\s+\[[ xX]\]\s+.+$/gm) || []).map(line => {
+        const [, check, text] = line.match(/\[([ xX])\]\s+(.+)$/);
+        return { description: text.trim(), completed: check.toLowerCase() === 'x', type: 'main' };
+      });
+      const tasks = item.tasks && item.tasks.length > 0 ? item.tasks : bodyTasks;
+      const files = item.files && item.files.length > 0 ? item.files : PlanParser.extractFiles(item.body);
+
+      return {
+        rawNumber: String(number),
+        number,
+        displayNumber: String(number),
+        name: item.title,
+        tasks: tasks.length > 0 ? tasks : [{ description: item.title, completed: false, type: 'main' }],
+        objective: TaskImporter.extractObjective(item.body) || item.title,
+        estimatedTime: item.estimate || PlanParser.extractEstimatedTime(item.body, ''),
+        estimateDeclared: Boolean(item.estimate || PlanParser.extractDeclaredEstimate(item.body || '')),
+        dependsOn: dependsOn.sort((a, b) => a - b),
+        parallel: /\(parallel\)|\(parallèle\)/i.test(item.title),
+        module: TaskImporter.resolveModule(item),
+        files,
+        userCommands: [],
+        techDetails: {},
+        source: {
+          id: item.id,
+          status: TaskImporter.normalizeStatus(item.status, item.labels),
+          priority: item.priority
+        }
+      };
+    });
+
+    return { steps, warnings };
+  }
+
+  /**
+   * First prose paragraph of a body (headings, lists and metadata lines skipped)
+   */
+  static extractObjective(body) {
+    const paragraph = (body || '')
+      .split(/\n\s*\n/)
+      .map(block => block.trim())
+      .find(block => block && !/^(#|[-*+]\s|\d+[.)]\s|\*\*\w+:\*\*|---|```|>)/.test(block) && !DEPENDENCY_TEST.test(block));
+    return paragraph ? paragraph.replace(/\s*\n\s*/g, ' ').substring(0, 300) : null;
+  }
+}
+
+TaskImporter.IMPORT_FORMATS = IMPORT_FORMATS;
+TaskImporter.parseCsvRows = parseCsvRows;
+
+module.exports = TaskImporter;
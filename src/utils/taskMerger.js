@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const TaskTree = require('./taskTree');
+
+/**
+ * Runtime fields owned by the orchestrator, carried over when a plan is rebuilt
+ */
+const PRESERVED_FIELDS = ['status', 'promptedAt', 'startedAt', 'completedAt', 'actualHours', 'claimedBy', 'claimedAt', 'verification', 'git', 'worktree'];
+
+/**
+ * Optional fields users add by hand to tasks.json entries
+ */
+const MANUAL_FIELDS = ['priority', 'verify'];
+
+/**
+ * Title similarity from which a step with the same number and module is the old one reworded
+ */
+const REWORDED_SIMILARITY = 0.5;
+
+/**
+ * Fields compared to detect a changed step
+ */
+const COMPARED_FIELDS = ['title', 'module', 'agent', 'files', 'dependsOn', 'parent'];
+
+/**
+ * Task Merger
+ * Merges a freshly generated tasks.json with the previous one so that
+ * re-running `build` on an updated plan keeps task progress
+ */
+class TaskMerger {
+  /**
+   * Normalize a title for matching (case, accents, punctuation)
+   * @param {string} title - Step title
+   * @returns {string} Normalized title
+   */
+  static normalizeTitle(title) {
+    return (title || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/\(.*?\)/g, '')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Jaccard similarity between two file lists
+   * @param {string[]} a - First list
+   * @param {string[]} b - Second list
+   * @returns {number} Similarity between 0 and 1
+   */
+  static fileSimilarity(a = [], b = []) {
+    if (a.length === 0 || b.length === 0) return 0;
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const intersection = [...setA].filter(f => setB.has(f)).length;
+    const union = new Set([...setA, ...setB]).size;
+    return union > 0 ? intersection / union : 0;
+  }
+
+  /**
+   * Title words used for similarity (3+ characters)
+   * @param {string} title - Step title
+   * @returns {Set<string>}
+   */
+  static titleWords(title) {
+    return new Set(this.normalizeTitle(title).split(' ').filter(word => word.length >= 3));
+  }
+
+  /**
+   * Jaccard similarity between the title words of two steps
+   * @param {string} a - First title
+   * @param {string} b - Second title
+   * @returns {number} Similarity between 0 and 1
+   */
+  static titleSimilarity(a, b) {
+    const wordsA = this.titleWords(a);
+    const wordsB = this.titleWords(b);
+    const intersection = [...wordsA].filter(word => wordsB.has(word)).length;
+    const union = new Set([...wordsA, ...wordsB]).size;
+    return union > 0 ? intersection / union : 0;
+  }
+
+  /**
+   * Check whether two entries share a file or a title word
+   * @param {Object} a - First entry
+   * @param {Object} b - Second entry
+   * @returns {boolean}
+   */
+  static sharesContent(a, b) {
+    const files = new Set(a.files || []);
+    return this.titleSimilarity(a.title, b.title) > 0 || (b.files || []).some(file => files.has(file));
+  }
+
+  /**
+   * Check whether a same-number, same-module step is the old one reworded:
+   * a shared file, or at least half of the title words in common
+   * @param {Object} oldEntry - Previous entry
+   * @param {Object} newEntry - New entry
+   * @returns {boolean}
+   */
+  static isReworded(oldEntry, newEntry) {
+    return this.fileSimilarity(oldEntry.files, newEntry.files) > 0
+      || this.titleSimilarity(oldEntry.title, newEntry.title) >= REWORDED_SIMILARITY;
+  }
+
+  /**
+   * Hash step file content (used to detect hand-edited step files)
+   * @param {string} content - File content
+   * @returns {string} Short sha1 hash
+   */
+  static hashContent(content) {
+    return crypto.createHash('sha1').update(content || '').digest('hex').substring(0, 12);
+  }
+
+  /**
+   * Match old entries to new entries by title, files and step number
+   * @param {Object[]} oldEntries - Previous tasks.json entries
+   * @param {Object[]} newEntries - Freshly generated entries
+   * @returns {Map<number, Object>} New step number -> old entry
+   */
+  static matchEntries(oldEntries, newEntries) {
+    const matches = new Map();
+    const usedOld = new Set();
+
+    const link = (newEntry, oldEntry) => {
+      matches.set(newEntry.step, oldEntry);
+      usedOld.add(oldEntry.step);
+    };
+    const unmatchedNew = () => newEntries.filter(e => !matches.has(e.step));
+    const unmatchedOld = () => oldEntries.filter(e => !usedOld.has(e.step));
+
+    // Pass 1: same title and same number
+    for (const newEntry of unmatchedNew()) {
+      const title = this.normalizeTitle(newEntry.title);
+      const oldEntry = unmatchedOld().find(e =>
+        e.step === newEntry.step && this.normalizeTitle(e.title) === title
+      );
+      if (oldEntry) link(newEntry, oldEntry);
+    }
+
+    // Pass 2: same title, any number (renumbered step)
+    for (const newEntry of unmatchedNew()) {
+      const title = this.normalizeTitle(newEntry.title);
+      if (!title) continue;
+      const oldEntry = unmatchedOld().find(e => this.normalizeTitle(e.title) === title);
+      if (oldEntry) link(newEntry, oldEntry);
+    }
+
+    // Pass 3: mostly the same files (renamed step)
+    for (const newEntry of unmatchedNew()) {
+      let best = null;
+      let bestScore = 0.5;
+      for (const oldEntry of unmatchedOld()) {
+        const score = this.fileSimilarity(oldEntry.files, newEntry.files);
+        if (score >= bestScore) {
+          best = oldEntry;
+          bestScore = score;
+        }
+      }
+      if (best) link(newEntry, best);
+    }
+
+    // Pass 4: same number, same module and a shared file or a similar title (reworded step)
+    // Without it, any step replaced at the same place would inherit the progress
+    for (const newEntry of unmatchedNew()) {
+      const oldEntry = unmatchedOld().find(e =>
+        e.step === newEntry.step && (e.module || null) === (newEntry.module || null) && this.isReworded(e, newEntry)
+      );
+      if (oldEntry) link(newEntry, oldEntry);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Unmatched steps that look like an old step at the same place (same number and module,
+   * some title word in common) without being similar enough to keep its progress
+   * @param {Object[]} oldEntries - Previous tasks.json entries
+   * @param {Object[]} newEntries - Freshly generated entries
+   * @param {Map<number, Object>} matches - From matchEntries()
+   * @returns {Object[]} [{ step, title, previousTitle, previousStatus }]
+   */
+  static findWeakMatches(oldEntries, newEntries, matches) {
+    const usedOld = new Set([...matches.values()].map(e => e.step));
+    return newEntries
+      .filter(newEntry => !matches.has(newEntry.step))
+      .map(newEntry => ({
+        newEntry,
+        oldEntry: oldEntries.find(e => !usedOld.has(e.step) && e.step === newEntry.step
+          && (e.module || null) === (newEntry.module || null) && this.sharesContent(e, newEntry))
+      }))
+      .filter(({ oldEntry }) => oldEntry)
+      .map(({ newEntry, oldEntry }) => ({
+        step: newEntry.step,
+        title: newEntry.title,
+        previousTitle: oldEntry.title,
+        previousStatus: oldEntry.status
+      }));
+  }
+
+  /**
+   * List the compared fields that differ between an old and a new entry
+   * @param {Object} oldEntry - Previous entry
+   * @param {Object} newEntry - New entry
+   * @param {Map<number, number>} renumbering - Old step number -> new step number
+   * @returns {string[]} Changed field names
+   */
+  static diffEntry(oldEntry, newEntry, renumbering) {
+    const changed = [];
+    for (const field of COMPARED_FIELDS) {
+      let before = oldEntry[field];
+      let after = newEntry[field];
+
+      if (field === 'dependsOn') {
+        before = (before || []).map(d => renumbering.get(d) ?? `removed:${d}`).sort();
+        after = [...(after || [])].sort();
+      } else if (field === 'parent') {
+        before = before === undefined ? undefined : renumbering.get(before) ?? `removed:${before}`;
+      } else if (field === 'files') {
+        before = [...(before || [])].sort();
+        after = [...(after || [])].sort();
+      }
+
+      if (JSON.stringify(before ?? null) !== JSON.stringify(after ?? null)) {
+        changed.push(field);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Recompute ready/pending for entries that have not been started
+   * (parents first follow their sub-steps)
+   * @param {Object[]} entries - Entries to update in place
+   */
+  static refreshReadiness(entries) {
+    TaskTree.syncParents(entries);
+    const byStep = new Map(entries.map(e => [e.step, e]));
+    for (const entry of entries) {
+      if (entry.status !== 'pending' && entry.status !== 'ready') continue;
+      if (TaskTree.isParent(entry)) continue;
+      const depsCompleted = (entry.dependsOn || []).every(d => byStep.get(d)?.status === 'completed');
+      entry.status = depsCompleted ? 'ready' : 'pending';
+    }
+  }
+
+  /**
+   * Merge a previous tasks.json with freshly generated entries
+   * @param {Object[]} oldEntries - Previous tasks.json entries
+   * @param {Object[]} newEntries - Freshly generated entries
+   * @returns {Object} { entries, matches, report }
+   */
+  static merge(oldEntries = [], newEntries = []) {
+    const matches = this.matchEntries(oldEntries, newEntries);
+    const renumbering = new Map();
+    for (const [newStep, oldEntry] of matches) {
+      renumbering.set(oldEntry.step, newStep);
+    }
+
+    const report = {
+      added: [],
+      removed: [],
+      renumbered: [],
+      changed: [],
+      weak: this.findWeakMatches(oldEntries, newEntries, matches),
+      preserved: 0
+    };
+
+    const entries = newEntries.map(newEntry => {
+      const oldEntry = matches.get(newEntry.step);
+      if (!oldEntry) {
+        report.added.push({ step: newEntry.step, title: newEntry.title });
+        return { ...newEntry, status: 'pending' };
+      }
+
+      const merged = { ...newEntry };
+      for (const field of PRESERVED_FIELDS) {
+        if (oldEntry[field] !== undefined) merged[field] = oldEntry[field];
+      }
+      // Set by hand in tasks.json, kept unless the plan sets them
+      for (const field of MANUAL_FIELDS) {
+        if (merged[field] === undefined && oldEntry[field] !== undefined) merged[field] = oldEntry[field];
+      }
+      if (merged.status !== 'pending' && merged.status !== 'ready') {
+        report.preserved++;
+      }
+
+      if (oldEntry.step !== newEntry.step) {
+        report.renumbered.push({ from: oldEntry.step, to: newEntry.step, title: newEntry.title });
+      }
+
+      const fields = this.diffEntry(oldEntry, newEntry, renumbering);
+      if (fields.length > 0) {
+        report.changed.push({
+          step: newEntry.step,
+          title: newEntry.title,
+          previousTitle: oldEntry.title,
+          fields,
+          status: merged.status
+        });
+      }
+
+      return merged;
+    });
+
+    for (const oldEntry of oldEntries) {
+      if (!renumbering.has(oldEntry.step)) {
+        report.removed.push({ step: oldEntry.step, title: oldEntry.title, status: oldEntry.status });
+      }
+    }
+
+    this.refreshReadiness(entries);
+
+    return { entries, matches, report };
+  }
+
+  /**
+   * Check whether a merge report contains any change
+   * @param {Object} report - Merge report
+   * @returns {boolean}
+   */
+  static hasChanges(report) {
+    return report.added.length > 0
+      || report.removed.length > 0
+      || report.renumbered.length > 0
+      || report.changed.length > 0;
+  }
+}
+
+TaskMerger.PRESERVED_FIELDS = PRESERVED_FIELDS;
+TaskMerger.REWORDED_SIMILARITY = REWORDED_SIMILARITY;
+
+module.exports = TaskMerger;
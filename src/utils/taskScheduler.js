@@ -0,0 +1,171 @@
+const DependencyGraph = require('./dependencyGraph');
+const ModuleManager = require('./moduleManager');
+
+/**
+ * Available strategies for picking the next task
+ */
+const STRATEGIES = ['critical', 'fifo', 'module', 'shortest'];
+
+/**
+ * Named priorities (lower = first), numbers are used as is
+ */
+const PRIORITY_LEVELS = {
+  critical: 0,
+  high: 1,
+  medium: 2,
+  normal: 2,
+  low: 3
+};
+
+const DEFAULT_PRIORITY = PRIORITY_LEVELS.medium;
+
+/**
+ * Task Scheduler
+ * Ranks ready tasks so agents:next picks the one that matters most
+ */
+class TaskScheduler {
+  /**
+   * Normalize a task priority (number or high/medium/low), lower = first
+   * @param {number|string} priority - Priority from tasks.json
+   * @returns {number}
+   */
+  static normalizePriority(priority) {
+    if (typeof priority === 'number' && !isNaN(priority)) return priority;
+    if (typeof priority === 'string') {
+      const key = priority.trim().toLowerCase();
+      if (PRIORITY_LEVELS[key] !== undefined) return PRIORITY_LEVELS[key];
+      const value = parseFloat(key);
+      if (!isNaN(value)) return value;
+    }
+    return DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Build metrics on the remaining (not completed) work
+   * @param {Object[]} tasks - All tasks.json entries
+   * @returns {Object} { criticalPath: Set, criticalLength, downstream: Map<step, number> }
+   */
+  static analyze(tasks) {
+    const remaining = tasks.filter(t => t.status !== 'completed');
+    const remainingSteps = new Set(remaining.map(t => t.step));
+
+    const graph = new DependencyGraph(remaining.map(task => ({
+      number: task.step,
+      name: task.title,
+      dependsOn: (task.dependsOn || []).filter(dep => remainingSteps.has(dep))
+    }))).build();
+
+    const downstream = new Map(remaining.map(t => [t.step, graph.getDependents(t.step).length]));
+
+    // A single-step "path" means there is no chain left to prioritize
+    const criticalPath = remaining.length > 0 ? graph.getCriticalPath() : [];
+    return {
+      criticalPath: new Set(criticalPath.length > 1 ? criticalPath : []),
+      criticalLength: criticalPath.length,
+      downstream
+    };
+  }
+
+  /**
+   * Rank candidate tasks with a strategy
+   * @param {Object[]} candidates - Ready tasks
+   * @param {Object[]} tasks - All tasks (for graph metrics)
+   * @param {string} strategy - critical, fifo, module or shortest
+   * @returns {Object[]} [{ task, reasons }] best first
+   */
+  static rank(candidates, tasks, strategy = 'critical') {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown strategy "${strategy}" (expected: ${STRATEGIES.join(', ')})`);
+    }
+
+    const { criticalPath, criticalLength, downstream } = this.analyze(tasks);
+    const modulePriority = ModuleManager.getModulePriority();
+
+    const rows = candidates.map(task => ({
+      task,
+      priority: this.normalizePriority(task.priority),
+      critical: criticalPath.has(task.step),
+      downstream: downstream.get(task.step) || 0,
+      moduleOrder: modulePriority[task.module] || 99,
+      hours: typeof task.estimatedHours === 'number' ? task.estimatedHours : Infinity
+    }));
+
+    const byStep = (a, b) => a.task.step - b.task.step;
+    const comparators = {
+      fifo: [byStep],
+      critical: [
+        (a, b) => a.priority - b.priority,
+        (a, b) => Number(b.critical) - Number(a.critical),
+        (a, b) => b.downstream - a.downstream,
+        byStep
+      ],
+      module: [
+        (a, b) => a.priority - b.priority,
+        (a, b) => a.moduleOrder - b.moduleOrder,
+        byStep
+      ],
+      shortest: [
+        (a, b) => a.priority - b.priority,
+        (a, b) => a.hours - b.hours,
+        byStep
+      ]
+    };
+
+    rows.sort((a, b) => {
+      for (const compare of comparators[strategy]) {
+        const result = compare(a, b);
+        if (result !== 0 && !isNaN(result)) return result;
+      }
+      return 0;
+    });
+
+    return rows.map(row => ({
+      task: row.task,
+      reasons: this.explain(row, strategy, { criticalLength, candidates: rows.length })
+    }));
+  }
+
+  /**
+   * Describe why a task ranks where it does
+   * @param {Object} row - Ranked row (task and its metrics)
+   * @param {string} strategy - Strategy used
+   * @param {Object} context - { criticalLength, candidates }
+   * @returns {string[]} Reasons (French, shown by agents:next)
+   */
+  static explain(row, strategy, { criticalLength, candidates }) {
+    const reasons = [];
+
+    if (strategy === 'fifo') {
+      reasons.push('Premier step prêt dans l\'ordre du plan');
+      return reasons;
+    }
+
+    if (row.task.priority !== undefined) {
+      reasons.push(`Priorité ${row.task.priority}`);
+    }
+
+    if (strategy === 'critical') {
+      if (row.critical) {
+        reasons.push(`Sur le chemin critique (${criticalLength} steps restants)`);
+      }
+      if (row.downstream > 0) {
+        reasons.push(`Débloque ${row.downstream} step(s) en aval`);
+      }
+    } else if (strategy === 'module') {
+      reasons.push(`Module ${row.task.module || 'other'} (ordre ${row.moduleOrder === 99 ? '-' : row.moduleOrder})`);
+    } else if (strategy === 'shortest') {
+      reasons.push(row.hours === Infinity
+        ? 'Pas d\'estimation'
+        : `Estimation: ${row.task.estimate || `${row.hours}h`}`);
+    }
+
+    if (reasons.length === 0) {
+      reasons.push(candidates > 1 ? 'Départagé par l\'ordre du plan' : 'Seul step prêt');
+    }
+    return reasons;
+  }
+}
+
+TaskScheduler.STRATEGIES = STRATEGIES;
+
+module.exports = TaskScheduler;
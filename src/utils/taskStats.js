@@ -0,0 +1,211 @@
+const DependencyGraph = require('./dependencyGraph');
+const TaskTree = require('./taskTree');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Task Stats
+ * Combines estimates and task timestamps: actual durations, estimate accuracy,
+ * throughput and completion forecast
+ */
+class TaskStats {
+  /**
+   * Tasks that carry work: a parent completes with its sub-steps and is not counted
+   * @param {Object[]} tasks - tasks.json entries
+   * @returns {Object[]}
+   */
+  static workItems(tasks) {
+    return tasks.filter(task => !TaskTree.isParent(task));
+  }
+
+  /**
+   * Actual duration of a task in hours (start → completion)
+   * Start is startedAt, or promptedAt for tasks tracked before startedAt existed
+   * @param {Object} task - tasks.json entry
+   * @returns {number|null} Hours, null if not started or not completed
+   */
+  static durationHours(task) {
+    if (typeof task.actualHours === 'number') return task.actualHours;
+
+    const start = task.startedAt || task.promptedAt;
+    if (!start || !task.completedAt) return null;
+
+    const ms = new Date(task.completedAt).getTime() - new Date(start).getTime();
+    if (isNaN(ms) || ms < 0) return null;
+    return Math.round((ms / HOUR) * 100) / 100;
+  }
+
+  /**
+   * Estimate vs actual for completed tasks, grouped by a field (module, agent)
+   * Only tasks having both an estimate and an actual duration are compared
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {string} field - Grouping field
+   * @returns {Object} { [group]: { total, completed, measured, estimated, actual, ratio } }
+   */
+  static compareByGroup(tasks, field) {
+    const groups = {};
+
+    this.workItems(tasks).forEach(task => {
+      const key = task[field] || 'other';
+      if (!groups[key]) {
+        groups[key] = { total: 0, completed: 0, measured: 0, estimated: 0, actual: 0, ratio: null };
+      }
+      const group = groups[key];
+      group.total++;
+      if (task.status !== 'completed') return;
+
+      group.completed++;
+      const actual = this.durationHours(task);
+      if (actual === null || typeof task.estimatedHours !== 'number') return;
+
+      group.measured++;
+      group.estimated += task.estimatedHours;
+      group.actual += actual;
+    });
+
+    Object.values(groups).forEach(group => {
+      group.estimated = Math.round(group.estimated * 100) / 100;
+      group.actual = Math.round(group.actual * 100) / 100;
+      group.ratio = group.estimated > 0 ? Math.round((group.actual / group.estimated) * 100) / 100 : null;
+    });
+
+    return groups;
+  }
+
+  /**
+   * Completed steps per day over the last days
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {Object} options - { days, now }
+   * @returns {Object} { days: [{ date, count }], perDay }
+   */
+  static throughput(tasks, { days = 14, now = Date.now() } = {}) {
+    const counts = new Map();
+    for (let i = days - 1; i >= 0; i--) {
+      counts.set(new Date(now - i * DAY).toISOString().substring(0, 10), 0);
+    }
+
+    const completedDates = this.workItems(tasks)
+      .filter(t => t.status === 'completed' && t.completedAt)
+      .map(t => t.completedAt.substring(0, 10));
+
+    completedDates.forEach(date => {
+      if (counts.has(date)) counts.set(date, counts.get(date) + 1);
+    });
+
+    // Average over the active period only (a project started yesterday isn't slow)
+    const firstActivity = tasks
+      .map(t => t.startedAt || t.promptedAt || t.completedAt)
+      .filter(Boolean)
+      .map(date => new Date(date).getTime())
+      .sort((a, b) => a - b)[0];
+
+    const windowStart = now - days * DAY;
+    const activeDays = firstActivity
+      ? Math.max(1, (now - Math.max(firstActivity, windowStart)) / DAY)
+      : days;
+    const recent = [...counts.values()].reduce((sum, count) => sum + count, 0);
+
+    return {
+      days: [...counts.entries()].map(([date, count]) => ({ date, count })),
+      perDay: Math.round((recent / activeDays) * 100) / 100
+    };
+  }
+
+  /**
+   * Longest chain of remaining work, weighted by estimated hours
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {number} ratio - Correction applied to estimates (actual/estimated)
+   * @returns {Object} { hours, steps }
+   */
+  static remainingCriticalPath(tasks, ratio = 1) {
+    const remaining = this.workItems(tasks).filter(t => t.status !== 'completed');
+    const remainingSteps = new Set(remaining.map(t => t.step));
+    const graph = new DependencyGraph(remaining.map(task => ({
+      number: task.step,
+      name: task.title,
+      dependsOn: (task.dependsOn || []).filter(dep => remainingSteps.has(dep)),
+      task
+    }))).build();
+
+    const weight = task => (typeof task.estimatedHours === 'number' ? task.estimatedHours : 0) * ratio;
+    const memo = new Map();
+    const visiting = new Set();
+
+    // Longest path ending at a step (cycles are ignored)
+    const longest = (step) => {
+      if (memo.has(step)) return memo.get(step);
+      if (visiting.has(step)) return { hours: 0, steps: [] };
+      visiting.add(step);
+
+      const node = graph.graph.get(step);
+      let best = { hours: 0, steps: [] };
+      for (const dep of node.dependsOn) {
+        const candidate = longest(dep);
+        if (candidate.hours > best.hours || (candidate.hours === best.hours && candidate.steps.length > best.steps.length)) {
+          best = candidate;
+        }
+      }
+
+      const result = {
+        hours: best.hours + weight(node.step.task),
+        steps: [...best.steps, step]
+      };
+      visiting.delete(step);
+      memo.set(step, result);
+      return result;
+    };
+
+    let critical = { hours: 0, steps: [] };
+    remaining.forEach(task => {
+      const candidate = longest(task.step);
+      if (candidate.hours > critical.hours || (candidate.hours === critical.hours && candidate.steps.length > critical.steps.length)) {
+        critical = candidate;
+      }
+    });
+
+    return { hours: Math.round(critical.hours * 100) / 100, steps: critical.steps };
+  }
+
+  /**
+   * Forecast the completion date
+   * The project can't finish before its longest remaining chain (estimates corrected
+   * by the observed accuracy, worked hoursPerDay a day), nor faster than the throughput.
+   * Steps without an estimate weigh nothing in the chain: they are reported as unestimated
+   * @param {Object[]} tasks - tasks.json entries
+   * @param {Object} options - { hoursPerDay, days, now }
+   * @returns {Object} Forecast details, date null when nothing allows a forecast
+   */
+  static forecast(tasks, { hoursPerDay = 8, days = 14, now = Date.now() } = {}) {
+    const left = this.workItems(tasks).filter(t => t.status !== 'completed');
+    const remaining = left.length;
+    const unestimated = left.filter(t => typeof t.estimatedHours !== 'number').length;
+    const overall = this.compareByGroup(tasks.map(t => ({ ...t, all: 'all' })), 'all').all || {};
+    const ratio = overall.ratio || 1;
+    const { perDay } = this.throughput(tasks, { days, now });
+    const critical = this.remainingCriticalPath(tasks, ratio);
+
+    if (remaining === 0) {
+      return { remaining, unestimated, ratio, perDay, critical, throughputDays: 0, criticalDays: 0, days: 0, date: new Date(now).toISOString() };
+    }
+
+    const throughputDays = perDay > 0 ? remaining / perDay : null;
+    const criticalDays = critical.hours > 0 ? critical.hours / hoursPerDay : null;
+    const candidates = [throughputDays, criticalDays].filter(value => value !== null);
+    const forecastDays = candidates.length > 0 ? Math.max(...candidates) : null;
+
+    return {
+      remaining,
+      unestimated,
+      ratio,
+      perDay,
+      critical,
+      throughputDays: throughputDays !== null ? Math.round(throughputDays * 10) / 10 : null,
+      criticalDays: criticalDays !== null ? Math.round(criticalDays * 10) / 10 : null,
+      days: forecastDays !== null ? Math.round(forecastDays * 10) / 10 : null,
+      date: forecastDays !== null ? new Date(now + forecastDays * DAY).toISOString() : null
+    };
+  }
+}
+
+module.exports = TaskStats;
@@ -0,0 +1,116 @@
+/**
+ * TaskTree - Parent tasks grouping sub-steps (2.1, 2.2 under 2) in tasks.json
+ */
+
+/**
+ * Task Tree
+ * A parent task is never worked on directly: it completes when all its children do
+ * and goes back to pending when one of them is reset
+ */
+class TaskTree {
+  /**
+   * Check whether a task groups sub-steps
+   * @param {Object} task - tasks.json entry
+   * @returns {boolean}
+   */
+  static isParent(task) {
+    return Array.isArray(task?.children) && task.children.length > 0;
+  }
+
+  /**
+   * Nesting depth of a task (0 for a top-level task)
+   * @param {Object} task - tasks.json entry
+   * @param {Map} byStep - step → entry
+   * @returns {number}
+   */
+  static depth(task, byStep) {
+    let depth = 0;
+    const seen = new Set([task.step]);
+    for (let parent = byStep.get(task.parent); parent && !seen.has(parent.step); parent = byStep.get(parent.parent)) {
+      seen.add(parent.step);
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * Derive parent statuses from their children, deepest parents first
+   * @param {Object[]} tasks - tasks.json entries, updated in place
+   * @returns {Object[]} [{ task, before }] parents whose status changed (before: copy of the entry)
+   */
+  static syncParents(tasks) {
+    const byStep = new Map(tasks.map(task => [task.step, task]));
+    const changes = [];
+
+    tasks
+      .filter(task => this.isParent(task))
+      .sort((a, b) => this.depth(b, byStep) - this.depth(a, byStep))
+      .forEach(parent => {
+        const children = parent.children.map(step => byStep.get(step)).filter(Boolean);
+        const done = children.length > 0 && children.every(child => child.status === 'completed');
+        const before = { ...parent };
+
+        if (done && parent.status !== 'completed') {
+          parent.status = 'completed';
+          parent.completedAt = children.map(child => child.completedAt).filter(Boolean).sort().pop() || new Date().toISOString();
+          delete parent.claimedBy;
+          delete parent.claimedAt;
+        } else if (!done && parent.status !== 'pending') {
+          parent.status = 'pending';
+          delete parent.completedAt;
+          delete parent.promptedAt;
+          delete parent.claimedBy;
+          delete parent.claimedAt;
+        } else {
+          return;
+        }
+        changes.push({ task: parent, before });
+      });
+
+    return changes;
+  }
+
+  /**
+   * Tasks in tree order (each parent followed by its children), for display
+   * @param {Object[]} tasks - tasks.json entries
+   * @returns {Object[]} [{ task, depth, last }] last: last child of its parent
+   */
+  static flatten(tasks) {
+    const byStep = new Map(tasks.map(task => [task.step, task]));
+    const rows = [];
+    const visit = (task, depth, last) => {
+      if (rows.some(row => row.task === task)) return;
+      rows.push({ task, depth, last });
+      const children = (task.children || []).map(step => byStep.get(step)).filter(Boolean);
+      children.forEach((child, idx) => visit(child, depth + 1, idx === children.length - 1));
+    };
+
+    tasks
+      .filter(task => !byStep.has(task.parent))
+      .forEach(task => visit(task, 0, false));
+    // Tasks unreachable from a root (parent cycle): listed flat
+    tasks.forEach(task => visit(task, 0, false));
+    return rows;
+  }
+
+  /**
+   * Step number for display, with the plan label when it differs ("3 (2.1)")
+   * @param {Object} task - tasks.json entry
+   * @returns {string}
+   */
+  static label(task) {
+    return task.label && task.label !== String(task.step) ? `${task.step} (${task.label})` : String(task.step);
+  }
+
+  /**
+   * Tree prefix of a flattened row ("  ├─ ", "  └─ ")
+   * @param {Object} row - flatten() row
+   * @returns {string}
+   */
+  static prefix(row) {
+    if (row.depth === 0) return '';
+    return '   '.repeat(row.depth - 1) + (row.last ? '└─ ' : '├─ ');
+  }
+}
+
+module.exports = TaskTree;
@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const CodeRunGenerator = require('./codeRunGenerator');
+
+/**
+ * Default verification options (.ai/config.json "verify" section)
+ */
+const VERIFY_DEFAULTS = {
+  timeoutSeconds: 600,
+  outputLimit: 2000 // Characters of output kept in tasks.json per command
+};
+
+/**
+ * First line of the E2E specs written by agents:complete
+ * (only run by verify when "verify": { "e2e": true } is configured)
+ */
+const GENERATED_E2E_MARKER = '// Generated by prompt-cursor';
+
+/**
+ * Verify Runner
+ * Resolves and runs the checks that gate agents:complete
+ */
+class VerifyRunner {
+  /**
+   * @param {string} projectDir - Project directory (commands run there)
+   * @param {Object} config - "verify" section of .ai/config.json
+   */
+  constructor(projectDir, config = {}) {
+    this.projectDir = projectDir;
+    this.config = { ...VERIFY_DEFAULTS, ...config };
+  }
+
+  /**
+   * Extract commands from the test section of a step file
+   * (inline `code` after "Commande:" or fenced bash blocks under a 🧪/Test/Vérification heading)
+   * @param {string} content - Step file content
+   * @returns {string[]} Commands
+   */
+  static extractStepCommands(content) {
+    const commands = [];
+    const sectionRegex = /^##+\s+.*(?:🧪|test|vérif|verif).*\n([\s\S]*?)(?=^##+\s|^---\s*$|(?![\s\S]))/gim;
+    let section;
+
+    while ((section = sectionRegex.exec(content)) !== null) {
+      const body = section[1];
+
+      const inlineRegex = /(?:commande|command)\s*:?\**\s*:?\s*`([^`]+)`/gi;
+      let inline;
+      while ((inline = inlineRegex.exec(body)) !== null) {
+        commands.push(inline[1].trim());
+      }
+
+      const fenceRegex = /```(?:bash|sh|shell)\n([\s\S]*?)```/g;
+      let fence;
+      while ((fence = fenceRegex.exec(body)) !== null) {
+        fence[1].split('\n')
+          .map(line => line.replace(/^\$\s*/, '').trim())
+          .filter(line => line && !line.startsWith('#'))
+          .forEach(line => commands.push(line));
+      }
+    }
+
+    return [...new Set(commands)];
+  }
+
+  /**
+   * Read the scripts of the project package.json
+   * @returns {Object} Script map (empty if no package.json)
+   */
+  getPackageScripts() {
+    try {
+      const pkg = JSON.parse(fs.readFileSync(path.join(this.projectDir, 'package.json'), 'utf-8'));
+      return pkg.scripts || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Module test command from MODULE_TEMPLATES, only if the project defines that script
+   * @param {string} moduleKey - Task module
+   * @returns {string|null}
+   */
+  getModuleCommand(moduleKey) {
+    const template = CodeRunGenerator.MODULE_TEMPLATES[moduleKey];
+    const command = template?.testCommand;
+    if (!command || !/test/.test(command)) return null;
+
+    const script = command.match(/^npm (?:run )?(\S+)$/)?.[1];
+    return script && this.getPackageScripts()[script] ? command : null;
+  }
+
+  /**
+   * Resolve the verify commands of a task, first source found wins:
+   * task "verify" entry, step test section, project config, module testCommand
+   * @param {Object} task - tasks.json entry
+   * @param {string} stepContent - Step file content (optional)
+   * @returns {Object[]} [{ command, source, skip }]
+   */
+  resolveCommands(task, stepContent = '') {
+    if (Array.isArray(task.verify) && task.verify.length > 0) {
+      return task.verify.map(command => ({ command, source: 'task' }));
+    }
+
+    const stepCommands = VerifyRunner.extractStepCommands(stepContent);
+    if (stepCommands.length > 0) {
+      return stepCommands.map(command => ({
+        command,
+        source: 'step',
+        skip: task.e2e?.file && command === task.e2e.command ? this.getE2ESkipReason(task.e2e.file) : null
+      }));
+    }
+
+    const configCommands = this.config.modules?.[task.module] || this.config.commands;
+    if (Array.isArray(configCommands) && configCommands.length > 0) {
+      return configCommands.map(command => ({ command, source: 'config' }));
+    }
+
+    const moduleCommand = this.getModuleCommand(task.module);
+    return moduleCommand ? [{ command: moduleCommand, source: 'module' }] : [];
+  }
+
+  /**
+   * Why the E2E spec of the generated step section is not run (null to run it):
+   * the agent may not have written it yet, and the placeholder spec written on completion
+   * needs Playwright, which the project may not use
+   * @param {string} file - Spec path relative to the project
+   * @returns {string|null}
+   */
+  getE2ESkipReason(file) {
+    let content;
+    try {
+      content = fs.readFileSync(path.join(this.projectDir, file), 'utf-8');
+    } catch (error) {
+      return `${file} absent`;
+    }
+    if (content.startsWith(GENERATED_E2E_MARKER) && this.config.e2e !== true) {
+      return `${file} généré par prompt-cursor ("verify": { "e2e": true } pour le lancer)`;
+    }
+    return null;
+  }
+
+  /**
+   * Run one command in the project directory
+   * @param {string} command - Shell command
+   * @returns {Object} { command, passed, exitCode, durationMs, output }
+   */
+  runCommand(command) {
+    const start = Date.now();
+    const result = spawnSync(command, {
+      cwd: this.projectDir,
+      shell: true,
+      encoding: 'utf-8',
+      timeout: this.config.timeoutSeconds * 1000,
+      maxBuffer: 10 * 1024 * 1024,
+      env: { ...process.env, CI: process.env.CI || '1' }
+    });
+
+    let output = `${result.stdout || ''}${result.stderr || ''}`;
+    if (result.error) {
+      output += `\n${result.error.code === 'ETIMEDOUT' ? `Timeout après ${this.config.timeoutSeconds}s` : result.error.message}`;
+    }
+
+    return {
+      command,
+      passed: !result.error && result.status === 0,
+      exitCode: result.status,
+      durationMs: Date.now() - start,
+      output: output.length > this.config.outputLimit
+        ? '…' + output.slice(-this.config.outputLimit)
+        : output
+    };
+  }
+
+  /**
+   * Run every resolved command (skipped ones are reported, not run)
+   * @param {Object[]} commands - From resolveCommands
+   * @param {Function} onResult - Called after each command (for live output)
+   * @returns {Object} { passed, results }
+   */
+  run(commands, onResult = () => {}) {
+    const results = commands.map(({ command, source, skip }) => {
+      const result = skip
+        ? { command, passed: true, skipped: skip, exitCode: null, durationMs: 0, output: '' }
+        : this.runCommand(command);
+      result.source = source;
+      onResult(result);
+      return result;
+    });
+
+    return {
+      passed: results.every(r => r.passed),
+      results
+    };
+  }
+}
+
+VerifyRunner.VERIFY_DEFAULTS = VERIFY_DEFAULTS;
+VerifyRunner.GENERATED_E2E_MARKER = GENERATED_E2E_MARKER;
+
+module.exports = VerifyRunner;
@@ -6,6 +6,11 @@ const { ensureDirectoryStructure, getDirs, DEFAULT_PROVIDER } = require('./direc
 const { getPromptDirectory } = require('./aiProviders');
 const ModuleManager = require('./moduleManager');
 const DependencyGraph = require('./dependencyGraph');
+const TaskMerger = require('./taskMerger');
+const PlanParser = require('./planParser');
+const TaskTree = require('./taskTree');
+const { withLock, writeFileAtomic } = require('./fileLock');
+const Orchestrator = require('../orchestrator');
 
 /**
  * Simplified Workflow Generator
@@ -23,6 +28,10 @@ class WorkflowGenerator {
     this.projectContext = options.projectContext || {};
     this.complexMode = options.complexMode || false;
     this.modules = options.modules || [];
+    this.merge = options.merge || false;
+    this.log = options.log || console.log;
+    this.mergeResult = null;
+    this.stepHashes = {};
     
     // Initialize module manager
     if (this.modules.length > 0 || this.complexMode) {
@@ -45,7 +54,7 @@ class WorkflowGenerator {
    * Main generate method
    */
   async generate() {
-    console.log(chalk.cyan('\n🚀 Génération du workflow simplifié...\n'));
+    this.log(chalk.cyan('\n🚀 Génération du workflow simplifié...\n'));
     
     await ensureDirectoryStructure(this.outputDir, this.aiProvider);
     
@@ -53,25 +62,161 @@ class WorkflowGenerator {
     const stepsDir = path.join(this.outputDir, this.promptDir, 'steps');
     await fs.mkdir(stepsDir, { recursive: true });
     
+    // Merge with previous tasks.json (keeps progress across plan updates)
+    const previousTasks = this.merge ? this.loadPreviousTasks() : null;
+    const previousStepContents = previousTasks
+      ? await this.snapshotStepFiles(previousTasks.entries)
+      : new Map();
+    if (previousTasks) {
+      this.previousEntries = previousTasks.entries;
+      this.mergeResult = TaskMerger.merge(previousTasks.entries, this.buildTaskEntries());
+    }
+    
     // Generate workflow.md
     const workflowPath = await this.generateWorkflowFile();
     
     // Generate step files
-    const stepFiles = await this.generateStepFiles(stepsDir);
+    const stepFiles = await this.generateStepFiles(stepsDir, previousStepContents);
     
     // Generate tasks-map.json
     const tasksMapPath = await this.generateTasksMap();
     
+    if (this.mergeResult) {
+      await this.cleanupRemovedStepFiles(stepsDir, previousStepContents);
+    }
+
+    // Merged progress and planning charts need tasks.json
+    new Orchestrator(this.outputDir).load().updateWorkflow();
+    if (this.mergeResult) {
+      this.printMergeReport();
+    }
+    
     // Generate rules (reuse existing logic)
     await this.generateRules();
     
-    console.log(chalk.green('\n✨ Workflow généré avec succès!\n'));
-    console.log(chalk.cyan('Fichiers créés:'));
-    console.log(chalk.white(`  ✓ ${this.promptDir}/workflow.md`));
-    console.log(chalk.white(`  ✓ ${this.promptDir}/steps/ (${stepFiles.length} fichiers)`));
-    console.log(chalk.white(`  ✓ ${this.promptDir}/tasks.json`));
-    
-    return { workflowPath, stepFiles, tasksMapPath };
+    this.log(chalk.green('\n✨ Workflow généré avec succès!\n'));
+    this.log(chalk.cyan('Fichiers créés:'));
+    this.log(chalk.white(`  ✓ ${this.promptDir}/workflow.md`));
+    this.log(chalk.white(`  ✓ ${this.promptDir}/steps/ (${stepFiles.length} fichiers)`));
+    this.log(chalk.white(`  ✓ ${this.promptDir}/tasks.json`));
+    
+    return {
+      workflowPath,
+      stepFiles,
+      tasksMapPath,
+      mergeReport: this.mergeResult ? this.mergeResult.report : null
+    };
+  }
+
+  /**
+   * Load the previous tasks.json (null if missing or unreadable)
+   */
+  loadPreviousTasks() {
+    const tasksPath = path.join(this.outputDir, '.ai', 'tasks.json');
+    if (!fsSync.existsSync(tasksPath)) return null;
+
+    try {
+      const data = JSON.parse(fsSync.readFileSync(tasksPath, 'utf-8'));
+      if (!Array.isArray(data.entries) || data.entries.length === 0) return null;
+      return data;
+    } catch (error) {
+      this.log(chalk.yellow(`⚠ tasks.json illisible, régénération complète (${error.message})`));
+      return null;
+    }
+  }
+
+  /**
+   * Read current step files before they get overwritten
+   * @returns {Map<number, Object>} Old step number -> { path, content, edited }
+   */
+  async snapshotStepFiles(entries) {
+    const snapshot = new Map();
+
+    for (const entry of entries) {
+      const filePath = path.join(this.outputDir, entry.file || `.ai/steps/step-${entry.step}.md`);
+      if (!fsSync.existsSync(filePath)) continue;
+
+      const content = await fs.readFile(filePath, 'utf-8');
+      snapshot.set(entry.step, {
+        path: filePath,
+        content,
+        // Without a stored hash we can't tell, so the file is backed up if it differs
+        edited: entry.stepHash ? TaskMerger.hashContent(content) !== entry.stepHash : null
+      });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Back up a step file that is about to be replaced or dropped
+   */
+  async backupStepFile(stepsDir, oldStep, content) {
+    const backupDir = path.join(stepsDir, '.backup');
+    await fs.mkdir(backupDir, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupDir, `step-${oldStep}-${stamp}.md`);
+    await fs.writeFile(backupPath, content, 'utf-8');
+    return path.relative(this.outputDir, backupPath);
+  }
+
+  /**
+   * Remove step files of steps dropped from the plan (backed up if edited)
+   */
+  async cleanupRemovedStepFiles(stepsDir, previousStepContents) {
+    const report = this.mergeResult.report;
+    report.backedUp = report.backedUp || [];
+    const currentSteps = new Set(this.mergeResult.entries.map(e => e.step));
+
+    for (const removed of report.removed) {
+      const previous = previousStepContents.get(removed.step);
+      if (!previous) continue;
+
+      if (previous.edited !== false) {
+        const backupPath = await this.backupStepFile(stepsDir, removed.step, previous.content);
+        report.backedUp.push({ step: removed.step, path: backupPath });
+      }
+      if (!currentSteps.has(removed.step) && fsSync.existsSync(previous.path)) {
+        await fs.unlink(previous.path);
+      }
+    }
+  }
+
+  /**
+   * Print what changed since the previous build
+   */
+  printMergeReport() {
+    const { report } = this.mergeResult;
+
+    this.log(chalk.cyan('\n🔀 Fusion avec le tasks.json existant:'));
+    if (!TaskMerger.hasChanges(report)) {
+      this.log(chalk.gray('  Aucun changement de plan détecté'));
+    }
+
+    report.added.forEach(s => {
+      this.log(chalk.green(`  + Step ${s.step}: ${s.title}`));
+    });
+    report.removed.forEach(s => {
+      this.log(chalk.red(`  - Step ${s.step}: ${s.title} (${s.status})`));
+    });
+    report.renumbered.forEach(s => {
+      this.log(chalk.yellow(`  ↪ Step ${s.from} → ${s.to}: ${s.title}`));
+    });
+    report.changed.forEach(s => {
+      const title = s.fields.includes('title') ? `${s.previousTitle} → ${s.title}` : s.title;
+      this.log(chalk.blue(`  ~ Step ${s.step}: ${title} [${s.fields.join(', ')}]`));
+    });
+    (report.weak || []).forEach(s => {
+      this.log(chalk.yellow(`  ? Step ${s.step}: ${s.title} ressemble à "${s.previousTitle}" (${s.previousStatus}), progression non reprise`));
+    });
+    (report.keptEdits || []).forEach(s => {
+      this.log(chalk.magenta(`  ✎ Step ${s.step}: modifications manuelles conservées (${s.path})`));
+    });
+    (report.backedUp || []).forEach(s => {
+      this.log(chalk.gray(`  💾 Step ${s.step}: ancienne version sauvegardée (${s.path})`));
+    });
+
+    this.log(chalk.gray(`  ${report.preserved} étape(s) avec progression conservée`));
   }
 
   /**
@@ -101,7 +246,7 @@ class WorkflowGenerator {
     
     const outputPath = path.join(this.outputDir, this.promptDir, 'workflow.md');
     await fs.writeFile(outputPath, content, 'utf-8');
-    console.log(chalk.green(`✓ workflow.md créé`));
+    this.log(chalk.green(`✓ workflow.md créé`));
     
     return outputPath;
   }
@@ -147,18 +292,16 @@ class WorkflowGenerator {
   }
 
   /**
-   * Generate steps table
+   * Generate steps table (sub-steps indented under their parent)
    */
   generateStepsTable() {
     const lines = [];
     
-    for (const step of this.steps) {
-      const moduleValue = this.moduleAssignments?.[step.number] || step.module;
-      const moduleKey = Array.isArray(moduleValue) ? moduleValue[0] : moduleValue;
-      const agent = this.resolveAgent(moduleKey);
-      const status = step.number === 1 ? '🟡 En cours' : '⏳ En attente';
+    for (const row of TaskTree.flatten(this.buildTaskEntries())) {
+      const { task } = row;
+      const status = task.status === 'ready' ? '🟡 En cours' : '⏳ En attente';
       
-      lines.push(`| ${step.number} | ${step.name} | ${moduleKey || '-'} | ${agent} | ${status} |`);
+      lines.push(`| ${TaskTree.label(task)} | ${TaskTree.prefix(row)}${task.title} | ${task.module || '-'} | ${task.agent} | ${status} |`);
     }
     
     return lines.join('\n');
@@ -223,7 +366,7 @@ class WorkflowGenerator {
   /**
    * Generate step files (simplified format)
    */
-  async generateStepFiles(stepsDir) {
+  async generateStepFiles(stepsDir, previousStepContents = new Map()) {
     const templatePath = path.join(__dirname, '../prompts/step-template.md');
     const template = await fs.readFile(templatePath, 'utf-8');
     const createdFiles = [];
@@ -254,7 +397,8 @@ class WorkflowGenerator {
         ].join('\n');
       
       const replacements = {
-        STEP_NUMBER: stepNumber.toString(),
+        STEP_LABEL: this.stepLabel(stepNumber),
+        PLAN_STEP: String(step.displayNumber || stepNumber),
         STEP_TITLE: step.name || `Étape ${stepNumber}`,
         AGENT: agent,
         MODULE: moduleKey || 'generic',
@@ -272,14 +416,41 @@ class WorkflowGenerator {
       }
       
       const filePath = path.join(stepsDir, `step-${stepNumber}.md`);
-      await fs.writeFile(filePath, content, 'utf-8');
+      this.stepHashes[stepNumber] = TaskMerger.hashContent(content);
+      await this.writeStepFile(stepsDir, filePath, stepNumber, content, previousStepContents);
       createdFiles.push(filePath);
     }
     
-    console.log(chalk.green(`✓ ${createdFiles.length} fichiers step créés`));
+    this.log(chalk.green(`✓ ${createdFiles.length} fichiers step créés`));
     return createdFiles;
   }
   
+  /**
+   * Write a step file, keeping hand-edited content from the previous build
+   */
+  async writeStepFile(stepsDir, filePath, stepNumber, content, previousStepContents) {
+    const oldEntry = this.mergeResult?.matches.get(stepNumber);
+    const previous = oldEntry ? previousStepContents.get(oldEntry.step) : null;
+
+    if (previous && previous.content !== content) {
+      const report = this.mergeResult.report;
+      if (previous.edited) {
+        // Hand-edited: keep the user's version (moved along if renumbered)
+        report.keptEdits = report.keptEdits || [];
+        report.keptEdits.push({ step: stepNumber, path: path.relative(this.outputDir, filePath) });
+        await fs.writeFile(filePath, previous.content, 'utf-8');
+        return;
+      }
+      if (previous.edited === null) {
+        report.backedUp = report.backedUp || [];
+        const backupPath = await this.backupStepFile(stepsDir, oldEntry.step, previous.content);
+        report.backedUp.push({ step: stepNumber, path: backupPath });
+      }
+    }
+
+    await fs.writeFile(filePath, content, 'utf-8');
+  }
+
   /**
    * Generate next step info (simplified)
    */
@@ -289,7 +460,16 @@ class WorkflowGenerator {
     }
     const nextStep = this.steps[currentIndex + 1];
     const nextNumber = nextStep.number || (currentIndex + 2);
-    return `Step ${nextNumber} - ${nextStep.name || 'Étape suivante'}`;
+    return `Step ${this.stepLabel(nextNumber)} - ${nextStep.name || 'Étape suivante'}`;
+  }
+
+  /**
+   * Step number as shown to agents, with the plan label when it differs ("5 (3)")
+   * so it matches both tasks.json and --step
+   */
+  stepLabel(stepNumber) {
+    const step = this.steps.find((s, index) => (s.number || index + 1) === stepNumber);
+    return TaskTree.label({ step: stepNumber, label: step?.displayNumber && String(step.displayNumber) });
   }
 
   /**
@@ -297,10 +477,10 @@ class WorkflowGenerator {
    */
   formatDependencies(step, stepNumber) {
     if (step.dependsOn && step.dependsOn.length > 0) {
-      return step.dependsOn.map(d => `Step ${d}`).join(', ');
+      return step.dependsOn.map(d => `Step ${this.stepLabel(d)}`).join(', ');
     }
     if (stepNumber === 1) return 'Aucune';
-    return `Step ${stepNumber - 1}`;
+    return `Step ${this.stepLabel(stepNumber - 1)}`;
   }
 
   /**
@@ -486,12 +666,9 @@ CONTRAINTES:
   }
 
   /**
-   * Generate tasks.json
+   * Build tasks.json entries from steps
    */
-  async generateTasksMap() {
-    const aiDir = path.join(this.outputDir, '.ai');
-    await fs.mkdir(aiDir, { recursive: true });
-    
+  buildTaskEntries() {
     const entries = this.steps.map((step, index) => {
       const stepNumber = step.number || (index + 1);
       const moduleValue = this.moduleAssignments?.[stepNumber] || step.module;
@@ -502,6 +679,7 @@ CONTRAINTES:
       
       const entry = {
         step: stepNumber,
+        ...(step.displayNumber ? { label: String(step.displayNumber) } : {}),
         title: step.name || `Étape ${stepNumber}`,
         file: `.ai/steps/step-${stepNumber}.md`,
         agent,
@@ -511,6 +689,26 @@ CONTRAINTES:
         status: 'pending'
       };
 
+      if (step.parallel) {
+        entry.parallel = true;
+      }
+
+      if (step.parent) {
+        entry.parent = step.parent;
+      }
+      if (step.children) {
+        entry.children = step.children;
+      }
+
+      // A parent's estimate is the sum of its sub-steps; the parser's default is no estimate
+      const estimatedHours = step.children || step.estimateDeclared === false
+        ? null
+        : PlanParser.parseEstimateHours(step.estimatedTime);
+      if (estimatedHours !== null) {
+        entry.estimate = step.estimatedTime;
+        entry.estimatedHours = estimatedHours;
+      }
+
       if (uiTest && e2eFile) {
         entry.e2e = {
           type: 'ui',
@@ -524,21 +722,54 @@ CONTRAINTES:
       return entry;
     });
     
-    // Mark first step as ready
-    if (entries.length > 0) {
-      entries[0].status = 'ready';
+    // Mark first step as ready (a parent completes with its sub-steps)
+    const first = entries.find(entry => !TaskTree.isParent(entry));
+    if (first) {
+      first.status = 'ready';
     }
     
-    const tasksMap = {
-      generatedAt: new Date().toISOString(),
-      project: this.projectName,
-      totalSteps: this.steps.length,
-      entries
-    };
+    return entries;
+  }
+
+  /**
+   * Generate tasks.json
+   */
+  async generateTasksMap() {
+    const aiDir = path.join(this.outputDir, '.ai');
+    await fs.mkdir(aiDir, { recursive: true });
     
     const outputPath = path.join(aiDir, 'tasks.json');
-    await fs.writeFile(outputPath, JSON.stringify(tasksMap, null, 2), 'utf-8');
-    console.log(chalk.green(`✓ tasks.json créé`));
+    
+    withLock(outputPath, () => {
+      // Re-merge if another command updated tasks.json while we were building
+      if (this.mergeResult) {
+        const latest = this.loadPreviousTasks();
+        if (latest && JSON.stringify(latest.entries) !== JSON.stringify(this.previousEntries)) {
+          const { matches, report } = this.mergeResult;
+          const remerged = TaskMerger.merge(latest.entries, this.buildTaskEntries());
+          remerged.report.keptEdits = report.keptEdits;
+          remerged.report.backedUp = report.backedUp;
+          this.mergeResult = { ...remerged, matches };
+        }
+      }
+      
+      const entries = this.mergeResult ? this.mergeResult.entries : this.buildTaskEntries();
+      for (const entry of entries) {
+        if (this.stepHashes[entry.step]) {
+          entry.stepHash = this.stepHashes[entry.step];
+        }
+      }
+      
+      const tasksMap = {
+        generatedAt: new Date().toISOString(),
+        project: this.projectName,
+        totalSteps: this.steps.length,
+        entries
+      };
+      
+      writeFileAtomic(outputPath, JSON.stringify(tasksMap, null, 2));
+    });
+    this.log(chalk.green(this.mergeResult ? `✓ tasks.json fusionné` : `✓ tasks.json créé`));
     
     return outputPath;
   }
@@ -549,7 +780,7 @@ CONTRAINTES:
   async generateRules() {
     // Reuse existing rules generation from agentsGenerator
     // This is handled separately by build command
-    console.log(chalk.gray('  ℹ Règles générées via agentsGenerator'));
+    this.log(chalk.gray('  ℹ Règles générées via agentsGenerator'));
   }
 
   /**